@@ -0,0 +1,71 @@
+// Uploading images to place on the canvas
+//
+// Image files are sent to the server's POST /assets route, which stores them
+// by content hash. Image paths only carry the returned asset ID, so socket
+// events stay small; every client loads the image from GET /assets/:assetId.
+
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml'];
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // The server refuses bigger images
+const DEFAULT_IMAGE_SIZE = { width: 300, height: 150 }; // For SVGs without a size of their own
+
+// URL an uploaded image is served from
+export function getAssetUrl(assetId) {
+    return `/assets/${assetId}`;
+}
+
+// Upload an image file with an upload token from the server (see
+// WebSocketClient.requestUploadToken); resolves to { assetId, type, size }
+export async function uploadImage(file, uploadToken) {
+    if (!IMAGE_TYPES.includes(file.type)) {
+        throw new Error('Only PNG, JPEG and SVG images can be added');
+    }
+    if (file.size > MAX_IMAGE_SIZE) {
+        throw new Error('Images must be at most 5 MB');
+    }
+    
+    const response = await fetch('/assets', {
+        method: 'POST',
+        headers: { 'Content-Type': file.type, 'X-Upload-Token': uploadToken },
+        body: file
+    });
+    const result = await response.json().catch(() => null);
+    if (!response.ok) {
+        throw new Error(result && result.message ? result.message : `The server answered ${response.status}`);
+    }
+    return result;
+}
+
+// Fetch an uploaded image as a data URL
+export async function fetchAssetDataUrl(assetId) {
+    const response = await fetch(getAssetUrl(assetId));
+    if (!response.ok) {
+        throw new Error(`The server answered ${response.status}`);
+    }
+    const blob = await response.blob();
+    
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Get the natural size of an image file
+export function getImageSize(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image.naturalWidth && image.naturalHeight
+                ? { width: image.naturalWidth, height: image.naturalHeight }
+                : DEFAULT_IMAGE_SIZE);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The image could not be read'));
+        };
+        image.src = url;
+    });
+}
\ No newline at end of file
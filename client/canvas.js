@@ -1,17 +1,185 @@
 // Canvas drawing logic for collaborative canvas
+import {
+    HIT_TOLERANCE,
+    cutStroke,
+    findPathAt,
+    getCurveSegments,
+    getFrameCorners,
+    getPathBounds,
+    getPathFrame,
+    isInsideFrame,
+    isSelectable,
+    pathTouchesSegment,
+    rotatePath,
+    rotatePoint,
+    scalePath,
+    translatePath
+} from './geometry.js';
+import { createSmoothingFilter, simplifyPoints } from './smoothing.js';
+import { getAssetUrl } from './assets.js';
+
+const HANDLE_SIZE = 8; // Size of the selection handles in pixels
+const ROTATE_HANDLE_OFFSET = 24; // Distance of the rotate handle above the selection
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 10;
+const WHEEL_ZOOM_BASE = 1.002; // Zoom factor per pixel of wheel movement
+const FIT_PADDING = 40; // Screen pixels left around the drawing by fitToContent
+const PALM_CONTACT_SIZE = 40; // Touches wider or taller than this (in CSS pixels) are palms
+const MIN_PRESSURE_WIDTH = 0.2; // Share of the stroke width drawn at the lightest pen pressure
+const MAX_STROKE_POINTS = 5000; // Longer strokes are split, as the server rejects bigger paths
+const DEFAULT_LAYER_ID = 'default'; // Layer of paths that don't name one, which every room has
+const TEXT_LINE_HEIGHT = 1.25; // Line spacing of text, as a multiple of the font size
+const TEXT_SYNC_INTERVAL = 100; // Milliseconds between updates sent while text is typed
+const MAX_IMAGE_VIEW_SHARE = 0.5; // New images are scaled down to fit this share of the view
+const CORNER_RADIUS_SHARE = 0.2; // Corner radius of new rounded rectangles, as a share of their shorter side
+const VERTEX_SNAP_DISTANCE = 8; // Clicking this close (in screen pixels) to the first or last corner finishes a polyline or polygon
+
+// A new layer, shown, unlocked and opaque; its snapshot holds the layer's flattened paths
+function createLayer(id, name) {
+    return { id, name, visible: true, locked: false, opacity: 1, snapshot: null };
+}
+
+// CSS font of a text object, at its size in world units
+function getTextFont(path, scale = 1) {
+    return `${path.fontSize * scale}px ${path.fontFamily}`;
+}
+
+// Size of a text object's lines at its font size
+function measureText(ctx, path) {
+    const lines = path.text.split('\n');
+    ctx.save();
+    ctx.font = getTextFont(path);
+    const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+    ctx.restore();
+    return { width, height: lines.length * path.fontSize * TEXT_LINE_HEIGHT };
+}
+
+// Draw a text object stretched to fill its box, so it covers the same area
+// for everyone whatever fonts they have, and after it was resized
+function drawText(ctx, path) {
+    const { width, height } = measureText(ctx, path);
+    if (width === 0) return;
+    
+    const lineHeight = path.fontSize * TEXT_LINE_HEIGHT;
+    ctx.save();
+    ctx.translate((path.startX + path.endX) / 2, (path.startY + path.endY) / 2);
+    ctx.rotate(path.rotation || 0);
+    ctx.scale(Math.abs(path.endX - path.startX) / width, Math.abs(path.endY - path.startY) / height);
+    ctx.font = getTextFont(path);
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = path.color;
+    path.text.split('\n').forEach((line, i) => {
+        ctx.fillText(line, -width / 2, -height / 2 + i * lineHeight + (lineHeight - path.fontSize) / 2);
+    });
+    ctx.restore();
+}
+
+// Trace a shape outline's commands (see shapes.js) as the context's current path
+function traceCommands(ctx, commands) {
+    ctx.beginPath();
+    commands.forEach(([type, ...values]) => {
+        if (type === 'M') {
+            ctx.moveTo(...values);
+        } else if (type === 'L') {
+            ctx.lineTo(...values);
+        } else if (type === 'C') {
+            ctx.bezierCurveTo(...values);
+        } else if (type === 'Z') {
+            ctx.closePath();
+        }
+    });
+}
+
+// Draw a shape: its fill, its outline in its dash style, then any arrow heads,
+// each at the shape's opacity
+function drawShape(ctx, path) {
+    const { outline, marks } = window.Shapes.getShapeGeometry(path);
+    
+    ctx.save();
+    ctx.globalAlpha *= path.opacity === undefined ? 1 : path.opacity;
+    ctx.strokeStyle = path.color;
+    ctx.lineWidth = path.strokeWidth;
+    
+    traceCommands(ctx, outline);
+    if (path.fill) {
+        ctx.fillStyle = path.fill;
+        ctx.fill();
+    }
+    ctx.setLineDash(window.Shapes.getDashPattern(path));
+    ctx.stroke();
+    
+    ctx.setLineDash([]);
+    ctx.fillStyle = path.color;
+    marks.forEach(mark => {
+        traceCommands(ctx, mark.commands);
+        if (mark.filled) {
+            ctx.fill();
+        }
+        ctx.stroke();
+    });
+    ctx.restore();
+}
+
+// Stroke width of a point, thinned by pen pressure when it has any
+function getPointWidth(point) {
+    if (point.pressure === undefined) {
+        return point.strokeWidth;
+    }
+    return point.strokeWidth * (MIN_PRESSURE_WIDTH + (1 - MIN_PRESSURE_WIDTH) * point.pressure);
+}
+
 export class CanvasManager {
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
         this.isDrawing = false;
         this.currentPath = [];
+        this.currentStrokeId = null; // ID of the brush or eraser stroke being drawn
+        this.liveStrokes = new Map(); // strokeId -> stroke another user is still drawing
+        this.smoothing = 'one-euro'; // Input smoothing for brush and eraser strokes (see smoothing.js)
+        this.simplifyTolerance = 1; // In screen pixels; finished strokes drop points closer than this
+        this.inputFilter = null; // Smoothing filter of the stroke being drawn
+        this.lastRawPoint = null; // Unsmoothed position of the pointer, where the stroke ends
+        this.eraserMode = 'precise'; // 'pixel' paints over, 'object' removes touched paths, 'precise' cuts strokes
+        this.eraseSession = null; // Paths changed by the vector eraser drag in progress
+        this.fontFamily = 'sans-serif'; // Font of new text
+        this.fontSize = 24; // In world units
+        this.textEdit = null; // Text being typed in the inline editor
+        this.shapeStyle = { fill: null, dash: 'solid', opacity: 1 }; // Style of new shapes; fill is a colour or null
+        this.arrowHeads = { start: 'none', end: 'triangle' }; // Heads of new arrows (see shapes.js)
+        this.starSpikes = 5; // Spikes of new stars
+        this.polygonDraft = null; // Polyline or polygon being drawn, corner by corner
         this.paths = []; // Store all paths for undo/redo
+        this.layers = [createLayer(DEFAULT_LAYER_ID, 'Layer 1')]; // Bottom to top
+        this.activeLayerId = DEFAULT_LAYER_ID; // Layer new paths are drawn on
+        this.layerBuffers = new Map(); // layerId -> offscreen canvas the layer was last drawn into
+        this.snapshotImages = new Map(); // layerId -> image of the layer's snapshot
+        this.assetImages = new Map(); // assetId -> uploaded image, loaded when first drawn
         this.undoStack = [];
         this.redoStack = [];
         this.currentTool = 'brush';
         this.currentColor = '#000000';
         this.currentStrokeWidth = 5;
         this.userId = null;
+        this.readOnly = false; // Viewers can't draw
+        this.selectedPathId = null; // Path picked with the select tool
+        this.selectionDrag = null; // Move, resize or rotate in progress
+        this.onPathCreated = null; // Called with every finished shape, new text or image, and pieces cut off by the eraser
+        this.onStrokeBegin = null; // Called with the ID and first point of a brush or eraser stroke
+        this.onStrokeAppend = null; // Called with the ID and each further point of the stroke
+        this.onStrokeEnd = null; // Called with the finished stroke
+        this.onStrokeCancel = null; // Called with the ID of an abandoned stroke
+        this.onPathUpdated = null; // Called with every moved, resized, rotated, erased or retyped path
+        this.onPathDeleted = null; // Called with the ID of every path the eraser removes, and text typed away
+        this.view = { x: 0, y: 0, scale: 1 }; // World position of the top-left corner, and zoom
+        this.onViewChange = null; // Called whenever the view is panned or zoomed
+        this.onRedraw = null; // Called after every full redraw, so overlays can follow paths that moved
+        this.spaceDown = false; // Space is held for panning
+        this.panStart = null; // Screen position of a pan drag in progress
+        this.pinch = null; // Two-finger pinch in progress
+        this.pointers = new Map(); // pointerId -> latest event of each pointer on the canvas
+        this.activePointerId = null; // Pointer that is drawing or panning
+        this.penSeen = false; // Once a pen is used, single fingers pan instead of drawing
         this.startX = 0;
         this.startY = 0;
         this.endX = 0;
@@ -50,43 +218,153 @@ export class CanvasManager {
     
     // Setup event listeners for drawing
     setupEventListeners() {
-        // Mouse events
-        this.canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
-        this.canvas.addEventListener('mousemove', (e) => this.draw(e));
-        this.canvas.addEventListener('mouseup', () => this.stopDrawing());
-        this.canvas.addEventListener('mouseout', () => this.stopDrawing());
-        
-        // Touch events for mobile support
-        this.canvas.addEventListener('touchstart', (e) => {
+        // Pointer events cover mouse, touch and pen
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e, true));
+        
+        // Wheel zooms around the pointer; trackpad pinches arrive as ctrl+wheel
+        this.canvas.addEventListener('wheel', (e) => {
             e.preventDefault();
-            const touch = e.touches[0];
-            const mouseEvent = new MouseEvent('mousedown', {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
-            this.canvas.dispatchEvent(mouseEvent);
-        });
+            const rect = this.canvas.getBoundingClientRect();
+            this.zoomAt(e.clientX - rect.left, e.clientY - rect.top, Math.pow(WHEEL_ZOOM_BASE, -e.deltaY));
+        }, { passive: false });
         
-        this.canvas.addEventListener('touchmove', (e) => {
+        // Holding space turns dragging into panning
+        window.addEventListener('keydown', (e) => {
+            if (e.code !== 'Space' || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
             e.preventDefault();
-            const touch = e.touches[0];
-            const mouseEvent = new MouseEvent('mousemove', {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
-            this.canvas.dispatchEvent(mouseEvent);
+            if (!this.spaceDown) {
+                this.spaceDown = true;
+                this.canvas.style.cursor = 'grab';
+            }
         });
         
-        this.canvas.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            const mouseEvent = new MouseEvent('mouseup', {});
-            this.canvas.dispatchEvent(mouseEvent);
+        window.addEventListener('keyup', (e) => {
+            if (e.code !== 'Space') return;
+            this.spaceDown = false;
+            this.canvas.style.cursor = this.readOnly ? 'not-allowed' : '';
+        });
+        
+        // Enter finishes the polyline or polygon being drawn, Escape drops it
+        window.addEventListener('keydown', (e) => {
+            if (!this.polygonDraft) return;
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.finishPolygonDraft();
+            } else if (e.key === 'Escape') {
+                this.cancelPolygonDraft();
+            }
         });
+    
+    }
+    
+    // Palm rejection: ignore touches while a pen is drawing, and touches too big to be a fingertip
+    isPalm(e) {
+        if (e.pointerType !== 'touch') return false;
+        
+        const activePointer = this.pointers.get(this.activePointerId);
+        if (activePointer && activePointer.pointerType === 'pen') return true;
+        
+        return Math.max(e.width || 0, e.height || 0) > PALM_CONTACT_SIZE;
+    }
+    
+    // Get the fingers currently on the canvas
+    getTouchPointers() {
+        return [...this.pointers.values()].filter(p => p.pointerType === 'touch');
+    }
+    
+    // A pointer touched the canvas: start drawing, panning or a pinch
+    handlePointerDown(e) {
+        if (this.isPalm(e)) return;
+        
+        e.preventDefault();
+        if (this.canvas.setPointerCapture) {
+            this.canvas.setPointerCapture(e.pointerId);
+        }
+        this.pointers.set(e.pointerId, e);
+        if (e.pointerType === 'pen') {
+            this.penSeen = true;
+        }
+        
+        // A second finger turns the gesture into a pinch zoom
+        const touches = this.getTouchPointers();
+        if (e.pointerType === 'touch' && touches.length >= 2) {
+            if (touches.length === 2) {
+                this.cancelDrawing();
+                this.panStart = null;
+                this.activePointerId = null;
+                this.startPinch(touches);
+            }
+            return;
+        }
+        
+        // Only one pointer draws at a time
+        if (this.activePointerId !== null) return;
+        this.activePointerId = e.pointerId;
+        
+        // With a pen around, a single finger pans instead of drawing
+        if (e.pointerType === 'touch' && this.penSeen) {
+            this.panStart = { x: e.clientX, y: e.clientY };
+            return;
+        }
+        
+        this.startDrawing(e);
+    }
+    
+    // A pointer moved: continue a pinch, a pan or the stroke in progress
+    handlePointerMove(e) {
+        if (this.pointers.has(e.pointerId)) {
+            this.pointers.set(e.pointerId, e);
+        }
+        
+        if (this.pinch) {
+            const touches = this.getTouchPointers();
+            if (touches.length === 2) {
+                this.updatePinch(touches);
+            }
+            return;
+        }
+        
+        if (this.activePointerId !== null && e.pointerId !== this.activePointerId) return;
+        
+        // Coalesced events hold every sample since the last frame, which keeps fast pen strokes smooth
+        const samples = this.isDrawing && e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        (samples.length > 0 ? samples : [e]).forEach(sample => this.draw(sample));
+    }
+    
+    // A pointer left the canvas: finish (or, when cancelled, drop) what it was doing
+    handlePointerUp(e, cancelled = false) {
+        this.pointers.delete(e.pointerId);
+        
+        if (this.pinch) {
+            if (this.getTouchPointers().length < 2) {
+                this.pinch = null;
+            }
+            return;
+        }
+        
+        if (e.pointerId !== this.activePointerId) return;
+        this.activePointerId = null;
+        
+        if (cancelled) {
+            this.panStart = null;
+            this.cancelDrawing();
+        } else {
+            this.stopDrawing();
+        }
     }
     
     // Set current tool
     setTool(tool) {
+        if (tool !== this.currentTool) {
+            this.finishPolygonDraft();
+        }
         this.currentTool = tool;
+        if (tool !== 'select') {
+            this.clearSelection();
+        }
         this.setupCanvasContext();
     }
     
@@ -102,36 +380,163 @@ export class CanvasManager {
         this.setupCanvasContext();
     }
     
+    // Set the input smoothing: 'none', 'moving-average' or 'one-euro'
+    setSmoothing(mode) {
+        this.smoothing = mode;
+    }
+    
+    // Set the eraser mode: 'pixel', 'object' or 'precise'
+    setEraserMode(mode) {
+        this.eraserMode = mode;
+    }
+    
+    // Set the fill colour of new closed shapes, or null for none
+    setShapeFill(color) {
+        this.shapeStyle.fill = color;
+    }
+    
+    // Set the outline of new shapes: 'solid', 'dashed' or 'dotted'
+    setShapeDash(dash) {
+        this.shapeStyle.dash = dash;
+    }
+    
+    // Set the opacity of new shapes, from 0 to 1
+    setShapeOpacity(opacity) {
+        this.shapeStyle.opacity = opacity;
+    }
+    
+    // Set the heads of new arrows: 'none', 'triangle', 'open' or 'circle' for each end
+    setArrowHeads(start, end) {
+        this.arrowHeads = { start, end };
+    }
+    
+    // Set the number of spikes of new stars
+    setStarSpikes(spikes) {
+        this.starSpikes = spikes;
+    }
+    
+    // Set the font family of new text
+    setFontFamily(fontFamily) {
+        this.fontFamily = fontFamily;
+    }
+    
+    // Set the font size of new text
+    setFontSize(size) {
+        this.fontSize = size;
+    }
+    
     // Set user ID
     setUserId(id) {
         this.userId = id;
     }
     
+    // Enable or disable drawing
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        if (readOnly) {
+            this.cancelTextEdit();
+            this.cancelPolygonDraft();
+        }
+        this.canvas.style.cursor = readOnly ? 'not-allowed' : '';
+    }
+    
     // Start drawing
     startDrawing(e) {
+        // Space-drag and middle-button drag pan the view, even for viewers
+        if (this.spaceDown || e.button === 1) {
+            e.preventDefault();
+            this.panStart = { x: e.clientX, y: e.clientY };
+            return;
+        }
+        
+        if (this.readOnly) return;
+        
+        // A click away from the text being typed only finishes it
+        if (this.textEdit) {
+            this.finishTextEdit();
+            return;
+        }
+        
+        // New paths go on the active layer, which must be shown and unlocked;
+        // existing paths can be selected, erased or retyped on any editable layer
+        const vectorErasing = this.currentTool === 'eraser' && this.eraserMode !== 'pixel';
+        const editingTool = this.currentTool === 'select' || this.currentTool === 'text' || vectorErasing;
+        if (!editingTool && !this.canDrawOnActiveLayer()) return;
+        
         this.isDrawing = true;
-        const rect = this.canvas.getBoundingClientRect();
-        this.startX = e.clientX - rect.left;
-        this.startY = e.clientY - rect.top;
+        const point = this.screenToWorld(e.clientX, e.clientY);
+        this.startX = point.x;
+        this.startY = point.y;
+        
+        if (this.currentTool === 'select') {
+            this.startSelectionDrag(this.startX, this.startY);
+            return;
+        }
+        
+        if (vectorErasing) {
+            this.eraseSession = { last: point, origins: new Map(), originals: new Map() };
+            this.eraseAlong(point.x, point.y);
+            return;
+        }
+        
+        if (this.isVertexShapeTool()) {
+            this.addPolygonVertex(point);
+            return;
+        }
+        
+        // Shapes that are clicked without dragging start and end at the same point
+        this.endX = point.x;
+        this.endY = point.y;
         
         if (this.currentTool === 'brush' || this.currentTool === 'eraser') {
-            this.currentPath = [{
-                x: this.startX,
-                y: this.startY,
-                tool: this.currentTool,
-                color: this.currentTool === 'eraser' ? '#FFFFFF' : this.currentColor,
-                strokeWidth: this.currentStrokeWidth
-            }];
+            this.inputFilter = createSmoothingFilter(this.smoothing);
+            this.smoothPoint(this.startX, this.startY, e);
+            
+            const firstPoint = this.createPoint(this.startX, this.startY, e);
+            this.lastRawPoint = firstPoint;
+            this.beginStroke(firstPoint);
             
             // Draw the starting point
-            this.drawPoint(this.startX, this.startY);
+            this.drawPoint(this.startX, this.startY, getPointWidth(firstPoint));
+        }
+    }
+    
+    // Start a new brush or eraser stroke at a point
+    beginStroke(firstPoint) {
+        this.currentPath = [firstPoint];
+        this.currentStrokeId = Date.now() + '-' + Math.random();
+        
+        if (this.onStrokeBegin) {
+            this.onStrokeBegin(this.currentStrokeId, firstPoint, this.activeLayerId);
         }
     }
     
+    // Run a pointer position through the stroke's smoothing filter
+    smoothPoint(x, y, e) {
+        return this.inputFilter ? this.inputFilter.filter(x, y, e.timeStamp) : { x, y };
+    }
+    
+    // Create a brush or eraser point, with the pen pressure if there is any
+    createPoint(x, y, e) {
+        const point = {
+            x,
+            y,
+            tool: this.currentTool,
+            color: this.currentTool === 'eraser' ? '#FFFFFF' : this.currentColor,
+            strokeWidth: this.currentStrokeWidth
+        };
+        
+        // Mice report a fixed 0.5 and fingers 0 or 1, so only pens have real pressure
+        if (e.pointerType === 'pen' && e.pressure > 0) {
+            point.pressure = Math.round(e.pressure * 1000) / 1000;
+        }
+        return point;
+    }
+    
     // Draw a point
-    drawPoint(x, y) {
+    drawPoint(x, y, width = this.currentStrokeWidth) {
         this.ctx.beginPath();
-        this.ctx.arc(x, y, this.currentStrokeWidth / 2, 0, Math.PI * 2);
+        this.ctx.arc(x, y, width / 2, 0, Math.PI * 2);
         
         if (this.currentTool === 'eraser') {
             // For eraser, use destination-out composite operation
@@ -147,68 +552,215 @@ export class CanvasManager {
     
     // Draw line
     draw(e) {
+        if (this.panStart) {
+            this.panBy(e.clientX - this.panStart.x, e.clientY - this.panStart.y);
+            this.panStart = { x: e.clientX, y: e.clientY };
+            return;
+        }
+        
+        // The next side of a polyline or polygon follows the pointer, pressed or not
+        if (this.polygonDraft) {
+            this.polygonDraft.pointer = this.screenToWorld(e.clientX, e.clientY);
+            this.redraw();
+            return;
+        }
+        
         if (!this.isDrawing) return;
         
-        const rect = this.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+        const { x, y } = this.screenToWorld(e.clientX, e.clientY);
+        
+        if (this.currentTool === 'select') {
+            this.updateSelectionDrag(x, y);
+            return;
+        }
+        
+        if (this.eraseSession) {
+            this.eraseAlong(x, y);
+            return;
+        }
         
         if (this.currentTool === 'brush' || this.currentTool === 'eraser') {
-            this.currentPath.push({
-                x,
-                y,
-                tool: this.currentTool,
-                color: this.currentTool === 'eraser' ? '#FFFFFF' : this.currentColor,
-                strokeWidth: this.currentStrokeWidth
-            });
+            const smoothed = this.smoothPoint(x, y, e);
+            this.lastRawPoint = this.createPoint(x, y, e);
+            this.currentPath.push(this.createPoint(smoothed.x, smoothed.y, e));
+            const current = this.currentPath[this.currentPath.length - 1];
             
-            // Draw the line segment
-            this.ctx.beginPath();
-            this.ctx.moveTo(this.currentPath[this.currentPath.length - 2].x, this.currentPath[this.currentPath.length - 2].y);
-            this.ctx.lineTo(x, y);
+            // Draw the curve piece the new point completes, bent towards the previous point;
+            // the rest of the curve up to the new point is drawn with the next one
+            if (this.currentPath.length >= 3) {
+                const [before, previous] = this.currentPath.slice(-3);
+                const from = this.currentPath.length === 3 ? before : { x: (before.x + previous.x) / 2, y: (before.y + previous.y) / 2 };
+                
+                this.ctx.beginPath();
+                this.ctx.moveTo(from.x, from.y);
+                this.ctx.quadraticCurveTo(previous.x, previous.y, (previous.x + current.x) / 2, (previous.y + current.y) / 2);
+                
+                if (this.currentTool === 'eraser') {
+                    // For eraser, use destination-out composite operation
+                    this.ctx.globalCompositeOperation = 'destination-out';
+                    this.ctx.strokeStyle = 'rgba(0,0,0,1)';
+                } else {
+                    this.ctx.globalCompositeOperation = 'source-over';
+                    this.ctx.strokeStyle = this.currentColor;
+                }
+                
+                this.ctx.lineWidth = getPointWidth(previous);
+                this.ctx.stroke();
+            }
             
-            if (this.currentTool === 'eraser') {
-                // For eraser, use destination-out composite operation
-                this.ctx.globalCompositeOperation = 'destination-out';
-                this.ctx.strokeStyle = 'rgba(0,0,0,1)';
-            } else {
-                this.ctx.globalCompositeOperation = 'source-over';
-                this.ctx.strokeStyle = this.currentColor;
+            if (this.onStrokeAppend) {
+                this.onStrokeAppend(this.currentStrokeId, current);
             }
             
-            this.ctx.lineWidth = this.currentStrokeWidth;
-            this.ctx.stroke();
-        } else if (this.currentTool === 'rectangle' || this.currentTool === 'circle' || this.currentTool === 'line') {
+            // Carry on with a new stroke from the same point once this one is full
+            if (this.currentPath.length >= MAX_STROKE_POINTS) {
+                const inputFilter = this.inputFilter;
+                this.lastRawPoint = current;
+                this.stopDrawing();
+                this.isDrawing = true;
+                this.inputFilter = inputFilter;
+                this.beginStroke(current);
+            }
+        } else if (this.isDragShapeTool()) {
             // For shape tools, we redraw the entire canvas and draw a preview
             this.redraw();
             
-            this.ctx.beginPath();
-            this.ctx.strokeStyle = this.currentColor;
-            this.ctx.lineWidth = this.currentStrokeWidth;
-            this.ctx.globalCompositeOperation = 'source-over';
-            
-            if (this.currentTool === 'rectangle') {
-                const width = x - this.startX;
-                const height = y - this.startY;
-                this.ctx.strokeRect(this.startX, this.startY, width, height);
-            } else if (this.currentTool === 'circle') {
-                const radius = Math.sqrt(Math.pow(x - this.startX, 2) + Math.pow(y - this.startY, 2));
-                this.ctx.arc(this.startX, this.startY, radius, 0, Math.PI * 2);
-                this.ctx.stroke();
-            } else if (this.currentTool === 'line') {
-                this.ctx.moveTo(this.startX, this.startY);
-                this.ctx.lineTo(x, y);
-                this.ctx.stroke();
-            }
-            
             // Store current coordinates for shape completion
             this.endX = x;
             this.endY = y;
+            
+            this.drawPath(this.createShapePath(this.currentTool, {
+                startX: this.startX,
+                startY: this.startY,
+                endX: this.endX,
+                endY: this.endY
+            }));
+        }
+    }
+    
+    // Shapes drawn by dragging from one corner (or end) to the other
+    isDragShapeTool() {
+        return window.Shapes.SHAPE_TOOLS.includes(this.currentTool) && !this.isVertexShapeTool();
+    }
+    
+    // Shapes drawn corner by corner
+    isVertexShapeTool() {
+        return window.Shapes.VERTEX_TOOLS.includes(this.currentTool);
+    }
+    
+    // A new shape in the current style, with its geometry:
+    // { startX, startY, endX, endY }, or { vertices } for polylines and polygons
+    createShapePath(tool, geometry) {
+        const shapePath = {
+            id: Date.now() + '-' + Math.random(),
+            userId: this.userId,
+            layerId: this.activeLayerId,
+            tool,
+            color: this.currentColor,
+            strokeWidth: this.currentStrokeWidth,
+            ...geometry,
+            timestamp: Date.now()
+        };
+        
+        // Only styles other than a plain outline are stored
+        if (this.shapeStyle.fill && window.Shapes.isClosedShape(shapePath)) {
+            shapePath.fill = this.shapeStyle.fill;
+        }
+        if (this.shapeStyle.dash !== 'solid') {
+            shapePath.dash = this.shapeStyle.dash;
+        }
+        if (this.shapeStyle.opacity < 1) {
+            shapePath.opacity = this.shapeStyle.opacity;
+        }
+        
+        if (tool === 'rounded-rectangle') {
+            shapePath.cornerRadius = Math.min(Math.abs(shapePath.endX - shapePath.startX), Math.abs(shapePath.endY - shapePath.startY)) * CORNER_RADIUS_SHARE;
+        } else if (tool === 'star') {
+            shapePath.spikes = this.starSpikes;
+        } else if (tool === 'arrow') {
+            shapePath.startHead = this.arrowHeads.start;
+            shapePath.endHead = this.arrowHeads.end;
+        }
+        return shapePath;
+    }
+    
+    // Add a finished shape to the drawing
+    addShapePath(shapePath) {
+        this.paths.push(shapePath);
+        this.undoStack.push(shapePath);
+        this.redoStack = []; // Clear redo stack when new action is performed
+        
+        // Redraw to finalize the shape
+        this.redraw();
+        
+        if (this.onPathCreated) {
+            this.onPathCreated(shapePath);
+        }
+        
+        return shapePath;
+    }
+    
+    // Add a corner to the polyline or polygon being drawn, starting one if there is none
+    // Clicking the first corner closes a polygon, and clicking the last one again finishes either
+    addPolygonVertex(point) {
+        const draft = this.polygonDraft;
+        if (!draft) {
+            this.polygonDraft = { tool: this.currentTool, vertices: [point], pointer: point };
+            this.redraw();
+            return;
+        }
+        
+        const reach = VERTEX_SNAP_DISTANCE / this.view.scale;
+        const first = draft.vertices[0];
+        const last = draft.vertices[draft.vertices.length - 1];
+        const closes = draft.tool === 'polygon' && draft.vertices.length >= window.Shapes.MIN_POLYGON_VERTICES &&
+            Math.hypot(point.x - first.x, point.y - first.y) <= reach;
+        
+        if (closes || Math.hypot(point.x - last.x, point.y - last.y) <= reach) {
+            this.isDrawing = false;
+            this.finishPolygonDraft();
+            return;
+        }
+        
+        draft.vertices.push(point);
+        draft.pointer = point;
+        if (draft.vertices.length >= window.Shapes.MAX_VERTICES) {
+            this.isDrawing = false;
+            this.finishPolygonDraft();
+            return;
+        }
+        this.redraw();
+    }
+    
+    // Finish the polyline or polygon being drawn; returns it, or null if it has too few corners
+    finishPolygonDraft() {
+        const draft = this.polygonDraft;
+        if (!draft) return null;
+        
+        this.polygonDraft = null;
+        const minVertices = draft.tool === 'polygon' ? window.Shapes.MIN_POLYGON_VERTICES : window.Shapes.MIN_POLYLINE_VERTICES;
+        if (draft.vertices.length < minVertices || !this.canDrawOnActiveLayer()) {
+            this.redraw();
+            return null;
         }
+        return this.addShapePath(this.createShapePath(draft.tool, { vertices: draft.vertices.slice(0, window.Shapes.MAX_VERTICES) }));
+    }
+    
+    // Drop the polyline or polygon being drawn
+    cancelPolygonDraft() {
+        if (!this.polygonDraft) return;
+        
+        this.polygonDraft = null;
+        this.redraw();
     }
     
     // Stop drawing
     stopDrawing() {
+        if (this.panStart) {
+            this.panStart = null;
+            return null;
+        }
+        
         if (!this.isDrawing) return;
         
         this.isDrawing = false;
@@ -216,45 +768,71 @@ export class CanvasManager {
         // Reset composite operation to default
         this.ctx.globalCompositeOperation = 'source-over';
         
+        if (this.currentTool === 'select') {
+            return this.finishSelectionDrag();
+        }
+        
+        if (this.eraseSession) {
+            return this.finishErasing();
+        }
+        
+        // Dragging from a corner of a polyline or polygon draws the side to where the pointer is let go
+        if (this.polygonDraft) {
+            const draft = this.polygonDraft;
+            const last = draft.vertices[draft.vertices.length - 1];
+            if (Math.hypot(draft.pointer.x - last.x, draft.pointer.y - last.y) > VERTEX_SNAP_DISTANCE / this.view.scale) {
+                draft.vertices.push(draft.pointer);
+            }
+            return null;
+        }
+        
+        // The editor opens once the pointer is up, so the click doesn't take its focus away
+        if (this.currentTool === 'text') {
+            this.startTextEdit(this.startX, this.startY);
+            return null;
+        }
+        
         if (this.currentTool === 'brush' || this.currentTool === 'eraser') {
             // Save the path if it has more than one point
             if (this.currentPath.length > 0) {
+                // End where the pointer was lifted, not where the smoothed stroke lags behind
+                const last = this.currentPath[this.currentPath.length - 1];
+                if (this.lastRawPoint && (this.lastRawPoint.x !== last.x || this.lastRawPoint.y !== last.y)) {
+                    this.currentPath.push(this.lastRawPoint);
+                }
+                
                 const pathData = {
-                    id: Date.now() + '-' + Math.random(),
+                    id: this.currentStrokeId,
                     userId: this.userId,
-                    points: [...this.currentPath],
+                    layerId: this.activeLayerId,
+                    points: simplifyPoints(this.currentPath, this.simplifyTolerance / this.view.scale),
                     timestamp: Date.now()
                 };
                 
+                this.currentPath = [];
+                this.inputFilter = null;
                 this.paths.push(pathData);
                 this.undoStack.push(pathData);
                 this.redoStack = []; // Clear redo stack when new action is performed
+                this.currentStrokeId = null;
+                
+                // Replace the raw stroke with its simplified curve
+                this.redraw();
+                
+                if (this.onStrokeEnd) {
+                    this.onStrokeEnd(pathData);
+                }
                 
                 return pathData;
             }
-        } else if (this.currentTool === 'rectangle' || this.currentTool === 'circle' || this.currentTool === 'line') {
+        } else if (this.isDragShapeTool()) {
             // For shape tools, create a path representation
-            const shapePath = {
-                id: Date.now() + '-' + Math.random(),
-                userId: this.userId,
-                tool: this.currentTool,
-                color: this.currentColor,
-                strokeWidth: this.currentStrokeWidth,
+            return this.addShapePath(this.createShapePath(this.currentTool, {
                 startX: this.startX,
                 startY: this.startY,
                 endX: this.endX,
-                endY: this.endY,
-                timestamp: Date.now()
-            };
-            
-            this.paths.push(shapePath);
-            this.undoStack.push(shapePath);
-            this.redoStack = []; // Clear redo stack when new action is performed
-            
-            // Redraw to finalize the shape
-            this.redraw();
-            
-            return shapePath;
+                endY: this.endY
+            }));
         }
         
         return null;
@@ -263,20 +841,169 @@ export class CanvasManager {
     // Redraw all paths
     redraw() {
         // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.clearScreen();
         
-        // Redraw all paths
-        this.paths.forEach(path => {
-            this.drawPath(path);
+        // Each visible layer is drawn into its own buffer, then laid over the ones below
+        this.layers.forEach(layer => {
+            if (!layer.visible) return;
+            
+            const buffer = this.renderLayer(layer);
+            this.ctx.save();
+            this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            this.ctx.globalAlpha = layer.opacity;
+            this.ctx.drawImage(buffer.canvas, 0, 0);
+            this.ctx.restore();
+        });
+        
+        this.applyViewTransform();
+        
+        // Strokes other users are still drawing
+        this.liveStrokes.forEach(stroke => {
+            if (this.isPathVisible(stroke)) {
+                this.drawPath(stroke);
+            }
         });
+        
+        // Keep a stroke in progress visible when the view changes under it
+        if (this.isDrawing && this.currentPath.length > 0) {
+            this.drawPath({ points: this.currentPath });
+        }
+        
+        // The polyline or polygon being drawn, with its next side to the pointer
+        if (this.polygonDraft) {
+            const draft = this.polygonDraft;
+            const vertices = [...draft.vertices, draft.pointer];
+            this.drawPath(this.createShapePath(vertices.length >= window.Shapes.MIN_POLYGON_VERTICES ? draft.tool : 'polyline', { vertices }));
+        }
+        
+        this.drawSelection();
+        
+        if (this.onRedraw) {
+            this.onRedraw();
+        }
     }
     
-    // Draw a specific path
-    drawPath(pathData) {
-        this.ctx.beginPath();
-        this.ctx.lineWidth = pathData.strokeWidth || this.currentStrokeWidth;
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
+    // Draw a layer's snapshot and paths into its offscreen buffer, unless
+    // nothing in it has changed since the last time
+    renderLayer(layer) {
+        let buffer = this.layerBuffers.get(layer.id);
+        if (!buffer) {
+            const canvas = document.createElement('canvas');
+            buffer = { canvas, ctx: canvas.getContext('2d'), key: null, paths: [], image: null };
+            this.layerBuffers.set(layer.id, buffer);
+        }
+        
+        // Text being typed is shown by the editor instead
+        const editingId = this.textEdit && this.textEdit.path.id;
+        const paths = this.getLayerPaths(layer).filter(p => p.id !== editingId);
+        const image = this.getSnapshotImage(layer);
+        const { x, y, scale } = this.view;
+        const key = [this.canvas.width, this.canvas.height, x, y, scale].join();
+        
+        // Paths are replaced rather than changed in place, so comparing them is enough
+        if (buffer.key === key && buffer.image === image &&
+            buffer.paths.length === paths.length && buffer.paths.every((p, i) => p === paths[i])) {
+            return buffer;
+        }
+        
+        const ctx = buffer.ctx;
+        if (buffer.canvas.width !== this.canvas.width || buffer.canvas.height !== this.canvas.height) {
+            buffer.canvas.width = this.canvas.width;
+            buffer.canvas.height = this.canvas.height;
+        }
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, buffer.canvas.width, buffer.canvas.height);
+        ctx.setTransform(scale, 0, 0, scale, -x * scale, -y * scale);
+        this.drawLayer(ctx, layer, paths, image);
+        
+        buffer.key = key;
+        buffer.image = image;
+        buffer.paths = paths;
+        return buffer;
+    }
+    
+    // Draw a layer's snapshot image (if loaded) and paths in world coordinates
+    drawLayer(ctx, layer, paths, image) {
+        // The snapshot of flattened paths goes underneath the layer's other paths
+        if (image) {
+            ctx.drawImage(image, layer.snapshot.x, layer.snapshot.y, layer.snapshot.width, layer.snapshot.height);
+        }
+        paths.forEach(path => {
+            this.drawPath(path, ctx);
+        });
+    }
+    
+    // Get the paths drawn on a layer, bottom to top
+    getLayerPaths(layer) {
+        return this.paths.filter(p => (p.layerId || DEFAULT_LAYER_ID) === layer.id);
+    }
+    
+    // Get the image of a layer's snapshot, or null until it has loaded
+    getSnapshotImage(layer) {
+        const image = this.snapshotImages.get(layer.id);
+        return image && image.complete ? image : null;
+    }
+    
+    // Draw the visible layers within a region of the world ({ x, y, width, height })
+    // onto a new canvas at the given pixels per world unit, for exports
+    renderRegion(region, scale, background = null) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(region.width * scale));
+        canvas.height = Math.max(1, Math.round(region.height * scale));
+        const ctx = canvas.getContext('2d');
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        
+        // Layers are drawn on their own first, so erasers only erase their layer
+        const layerCanvas = document.createElement('canvas');
+        layerCanvas.width = canvas.width;
+        layerCanvas.height = canvas.height;
+        const layerCtx = layerCanvas.getContext('2d');
+        
+        this.layers.forEach(layer => {
+            if (!layer.visible) return;
+            
+            layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+            layerCtx.clearRect(0, 0, layerCanvas.width, layerCanvas.height);
+            layerCtx.setTransform(scale, 0, 0, scale, -region.x * scale, -region.y * scale);
+            this.drawLayer(layerCtx, layer, this.getLayerPaths(layer), this.getSnapshotImage(layer));
+            
+            ctx.globalAlpha = layer.opacity;
+            ctx.drawImage(layerCanvas, 0, 0);
+        });
+        ctx.globalAlpha = 1;
+        return canvas;
+    }
+    
+    // Wait until the uploaded images and layer snapshots in the drawing have loaded or failed
+    loadImages() {
+        const images = [
+            ...this.paths.filter(p => p.tool === 'image').map(p => this.getAssetImage(p.assetId)),
+            ...this.snapshotImages.values()
+        ];
+        return Promise.all(images.filter(image => !image.complete).map(image => new Promise(resolve => {
+            image.addEventListener('load', resolve, { once: true });
+            image.addEventListener('error', resolve, { once: true });
+        })));
+    }
+    
+    // Width of one line of a text object at its font size, as drawText measures it
+    measureTextLine(line, path) {
+        this.ctx.save();
+        this.ctx.font = getTextFont(path);
+        const width = this.ctx.measureText(line).width;
+        this.ctx.restore();
+        return width;
+    }
+    
+    // Draw a specific path, on the screen or into a layer buffer
+    drawPath(pathData, ctx = this.ctx) {
+        ctx.beginPath();
+        ctx.lineWidth = pathData.strokeWidth || this.currentStrokeWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
         
         if (pathData.points) {
             // Regular path (brush/eraser)
@@ -285,75 +1012,814 @@ export class CanvasManager {
             if (pathData.points.length === 1) {
                 // Draw a point
                 const point = pathData.points[0];
-                this.ctx.beginPath();
-                this.ctx.arc(point.x, point.y, point.strokeWidth / 2, 0, Math.PI * 2);
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, getPointWidth(point) / 2, 0, Math.PI * 2);
                 
                 if (point.tool === 'eraser') {
-                    this.ctx.globalCompositeOperation = 'destination-out';
-                    this.ctx.fillStyle = 'rgba(0,0,0,1)';
+                    ctx.globalCompositeOperation = 'destination-out';
+                    ctx.fillStyle = 'rgba(0,0,0,1)';
                 } else {
-                    this.ctx.globalCompositeOperation = 'source-over';
-                    this.ctx.fillStyle = point.color;
+                    ctx.globalCompositeOperation = 'source-over';
+                    ctx.fillStyle = point.color;
                 }
                 
-                this.ctx.fill();
+                ctx.fill();
             } else {
-                // Draw a path
-                this.ctx.beginPath();
-                this.ctx.moveTo(pathData.points[0].x, pathData.points[0].y);
-                
-                for (let i = 1; i < pathData.points.length; i++) {
-                    this.ctx.lineTo(pathData.points[i].x, pathData.points[i].y);
-                }
-                
                 if (pathData.points[0].tool === 'eraser') {
-                    this.ctx.globalCompositeOperation = 'destination-out';
-                    this.ctx.strokeStyle = 'rgba(0,0,0,1)';
+                    ctx.globalCompositeOperation = 'destination-out';
+                    ctx.strokeStyle = 'rgba(0,0,0,1)';
                 } else {
-                    this.ctx.globalCompositeOperation = 'source-over';
-                    this.ctx.strokeStyle = pathData.points[0].color;
+                    ctx.globalCompositeOperation = 'source-over';
+                    ctx.strokeStyle = pathData.points[0].color;
                 }
                 
-                this.ctx.lineWidth = pathData.points[0].strokeWidth;
-                this.ctx.stroke();
+                const segments = getCurveSegments(pathData.points);
+                
+                if (pathData.points.some(point => point.pressure !== undefined)) {
+                    // Pen strokes change width with pressure, so each curve piece is stroked on its own
+                    segments.forEach(segment => {
+                        ctx.beginPath();
+                        ctx.moveTo(segment.from.x, segment.from.y);
+                        ctx.quadraticCurveTo(segment.control.x, segment.control.y, segment.to.x, segment.to.y);
+                        ctx.lineWidth = getPointWidth(segment.point);
+                        ctx.stroke();
+                    });
+                } else {
+                    // Draw a smooth curve through the points
+                    ctx.beginPath();
+                    ctx.moveTo(pathData.points[0].x, pathData.points[0].y);
+                    
+                    segments.forEach(segment => {
+                        ctx.quadraticCurveTo(segment.control.x, segment.control.y, segment.to.x, segment.to.y);
+                    });
+                    
+                    ctx.lineWidth = pathData.points[0].strokeWidth;
+                    ctx.stroke();
+                }
             }
+        } else if (pathData.tool === 'text') {
+            drawText(ctx, pathData);
+        } else if (pathData.tool === 'image') {
+            this.drawImagePath(pathData, ctx);
         } else if (pathData.tool) {
-            // Shape path (rectangle, circle, line)
-            this.ctx.beginPath();
-            this.ctx.strokeStyle = pathData.color;
-            this.ctx.lineWidth = pathData.strokeWidth;
-            this.ctx.globalCompositeOperation = 'source-over';
-            
-            if (pathData.tool === 'rectangle') {
-                const width = pathData.endX - pathData.startX;
-                const height = pathData.endY - pathData.startY;
-                this.ctx.strokeRect(pathData.startX, pathData.startY, width, height);
-            } else if (pathData.tool === 'circle') {
-                const radius = Math.sqrt(Math.pow(pathData.endX - pathData.startX, 2) + Math.pow(pathData.endY - pathData.startY, 2));
-                this.ctx.arc(pathData.startX, pathData.startY, radius, 0, Math.PI * 2);
-                this.ctx.stroke();
-            } else if (pathData.tool === 'line') {
-                this.ctx.moveTo(pathData.startX, pathData.startY);
-                this.ctx.lineTo(pathData.endX, pathData.endY);
-                this.ctx.stroke();
-            }
+            // Shape path (see shapes.js)
+            ctx.globalCompositeOperation = 'source-over';
+            drawShape(ctx, pathData);
         }
         
         // Reset composite operation to default
-        this.ctx.globalCompositeOperation = 'source-over';
+        ctx.globalCompositeOperation = 'source-over';
+    }
+    
+    // Draw an uploaded image stretched to fill its box, or a placeholder until it has loaded
+    drawImagePath(pathData, ctx) {
+        const image = this.getAssetImage(pathData.assetId);
+        const width = Math.abs(pathData.endX - pathData.startX);
+        const height = Math.abs(pathData.endY - pathData.startY);
+        
+        ctx.save();
+        ctx.translate((pathData.startX + pathData.endX) / 2, (pathData.startY + pathData.endY) / 2);
+        ctx.rotate(pathData.rotation || 0);
+        if (image.complete && image.naturalWidth > 0) {
+            ctx.drawImage(image, -width / 2, -height / 2, width, height);
+        } else {
+            ctx.fillStyle = '#ecf0f1';
+            ctx.fillRect(-width / 2, -height / 2, width, height);
+            ctx.strokeStyle = '#bdc3c7';
+            ctx.lineWidth = 1 / this.view.scale;
+            ctx.strokeRect(-width / 2, -height / 2, width, height);
+        }
+        ctx.restore();
+    }
+    
+    // Get the image of an uploaded asset, starting to load it the first time
+    getAssetImage(assetId) {
+        let image = this.assetImages.get(assetId);
+        if (!image) {
+            image = new Image();
+            image.onload = () => {
+                // Layers drawn with the placeholder are drawn again with the image
+                this.layerBuffers.forEach(buffer => {
+                    buffer.key = null;
+                });
+                this.redraw();
+            };
+            image.src = getAssetUrl(assetId);
+            this.assetImages.set(assetId, image);
+        }
+        return image;
+    }
+    
+    // Add an uploaded image centred on (x, y), scaled down to fit in the view;
+    // returns the new path, or null if the active layer can't be drawn on
+    addImage(assetId, width, height, x, y) {
+        if (this.readOnly || !this.canDrawOnActiveLayer()) return null;
+        
+        const viewWidth = this.canvas.width / this.view.scale;
+        const viewHeight = this.canvas.height / this.view.scale;
+        const fit = Math.min(1, MAX_IMAGE_VIEW_SHARE * viewWidth / width, MAX_IMAGE_VIEW_SHARE * viewHeight / height);
+        const imagePath = {
+            id: Date.now() + '-' + Math.random(),
+            userId: this.userId,
+            layerId: this.activeLayerId,
+            tool: 'image',
+            assetId,
+            startX: x - width * fit / 2,
+            startY: y - height * fit / 2,
+            endX: x + width * fit / 2,
+            endY: y + height * fit / 2,
+            timestamp: Date.now()
+        };
+        
+        this.paths.push(imagePath);
+        this.undoStack.push(imagePath);
+        this.redoStack = []; // Clear redo stack when new action is performed
+        this.redraw();
+        
+        if (this.onPathCreated) {
+            this.onPathCreated(imagePath);
+        }
+        return imagePath;
     }
     
     // Draw path from another user (real-time)
     drawRemotePath(pathData) {
-        this.drawPath(pathData);
         this.paths.push(pathData);
+        this.redraw();
+    }
+    
+    // Set the strokes other users are drawing, e.g. after joining a room mid-stroke
+    setLiveStrokes(strokes) {
+        this.liveStrokes = new Map(strokes.map(stroke => [stroke.id, stroke]));
+        this.redraw();
+    }
+    
+    // Start showing a stroke another user began
+    beginRemoteStroke(data) {
+        const stroke = { id: data.id, userId: data.userId, layerId: data.layerId, points: [data.point] };
+        this.liveStrokes.set(stroke.id, stroke);
+        if (this.isPathVisible(stroke)) {
+            this.drawPath(stroke);
+        }
+    }
+    
+    // Extend a stroke another user is drawing, drawing only the new segments
+    appendRemoteStroke(data) {
+        const stroke = this.liveStrokes.get(data.id);
+        if (!stroke) return;
+        
+        // Start a point early so the curve joins up with what is already drawn
+        const joined = stroke.points.slice(-2);
+        stroke.points.push(...data.points);
+        if (this.isPathVisible(stroke)) {
+            this.drawPath({ points: [...joined, ...data.points] });
+        }
+    }
+    
+    // Keep a finished remote stroke as a path on its layer
+    endRemoteStroke(data) {
+        const stroke = this.liveStrokes.get(data.id);
+        if (!stroke) return;
+        
+        this.liveStrokes.delete(data.id);
+        if (this.paths.some(p => p.id === stroke.id)) return;
+        
+        const path = { id: stroke.id, userId: stroke.userId, points: data.points || stroke.points, timestamp: data.timestamp };
+        if (stroke.layerId) {
+            path.layerId = stroke.layerId;
+        }
+        this.paths.push(path);
+        this.redraw();
+    }
+    
+    // Remove a stroke another user abandoned
+    cancelRemoteStroke(data) {
+        if (this.liveStrokes.delete(data.id)) {
+            this.redraw();
+        }
+    }
+    
+    // Draw a path broadcast by the server (new or redone), ignoring paths we already have
+    drawPathFromServer(pathData) {
+        if (this.paths.some(p => p.id === pathData.id)) return;
+        this.drawRemotePath(pathData);
+    }
+    
+    // Put back a path of ours the server doesn't have yet, e.g. one drawn offline,
+    // after the room's drawing was replaced by the server's
+    restorePath(pathData) {
+        if (this.paths.some(p => p.id === pathData.id)) return;
+        this.undoStack.push(pathData);
+        this.drawRemotePath(pathData);
+    }
+    
+    // Remove a path undone on the server
+    removePath(pathId) {
+        const index = this.paths.findIndex(p => p.id === pathId);
+        if (index === -1) return;
+        
+        this.paths.splice(index, 1);
+        this.redraw();
+    }
+    
+    // Convert a pointer position to world coordinates
+    screenToWorld(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left) / this.view.scale + this.view.x,
+            y: (clientY - rect.top) / this.view.scale + this.view.y
+        };
+    }
+    
+    // World position of the middle of the view
+    getViewCenter() {
+        return {
+            x: this.view.x + this.canvas.width / 2 / this.view.scale,
+            y: this.view.y + this.canvas.height / 2 / this.view.scale
+        };
+    }
+    
+    // Convert world coordinates to a position on the canvas element
+    worldToScreen(x, y) {
+        return {
+            x: (x - this.view.x) * this.view.scale,
+            y: (y - this.view.y) * this.view.scale
+        };
+    }
+    
+    // Draw in world coordinates from here on
+    applyViewTransform() {
+        const { x, y, scale } = this.view;
+        this.ctx.setTransform(scale, 0, 0, scale, -x * scale, -y * scale);
+    }
+    
+    // Clear the whole canvas element, whatever the view
+    clearScreen() {
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.restore();
+    }
+    
+    // Show the world from (x, y) at the given zoom
+    setView(x, y, scale) {
+        this.view = { x, y, scale: Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale)) };
+        this.redraw();
+        this.placeTextEditor();
+        
+        if (this.onViewChange) {
+            this.onViewChange(this.view);
+        }
+    }
+    
+    // Pan by a distance in screen pixels
+    panBy(dx, dy) {
+        this.setView(this.view.x - dx / this.view.scale, this.view.y - dy / this.view.scale, this.view.scale);
+    }
+    
+    // Zoom by a factor, keeping the world point under (screenX, screenY) in place
+    zoomAt(screenX, screenY, factor) {
+        const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, this.view.scale * factor));
+        const worldX = screenX / this.view.scale + this.view.x;
+        const worldY = screenY / this.view.scale + this.view.y;
+        this.setView(worldX - screenX / scale, worldY - screenY / scale, scale);
+    }
+    
+    // Reset to 100% zoom around the centre of the screen
+    resetZoom() {
+        this.zoomAt(this.canvas.width / 2, this.canvas.height / 2, 1 / this.view.scale);
     }
     
-    // Undo last action
-    undo() {
-        if (this.undoStack.length === 0) return null;
+    // Bounding box of everything on the visible layers, or null if they are empty
+    getContentBounds() {
+        const bounds = this.paths.filter(p => this.isPathVisible(p)).map(getPathBounds).filter(Boolean);
+        this.layers.forEach(({ visible, snapshot }) => {
+            if (visible && snapshot) {
+                bounds.push({
+                    minX: snapshot.x,
+                    minY: snapshot.y,
+                    maxX: snapshot.x + snapshot.width,
+                    maxY: snapshot.y + snapshot.height
+                });
+            }
+        });
+        
+        if (bounds.length === 0) return null;
+        
+        return {
+            minX: Math.min(...bounds.map(b => b.minX)),
+            minY: Math.min(...bounds.map(b => b.minY)),
+            maxX: Math.max(...bounds.map(b => b.maxX)),
+            maxY: Math.max(...bounds.map(b => b.maxY))
+        };
+    }
+    
+    // Region of the world in view: { x, y, width, height }
+    getViewRegion() {
+        return {
+            x: this.view.x,
+            y: this.view.y,
+            width: this.canvas.width / this.view.scale,
+            height: this.canvas.height / this.view.scale
+        };
+    }
+    
+    // Zoom and pan so the whole drawing is on screen
+    fitToContent() {
+        const bounds = this.getContentBounds();
+        if (!bounds) {
+            this.setView(0, 0, 1);
+            return;
+        }
+        
+        const { minX, minY, maxX, maxY } = bounds;
+        const availableWidth = Math.max(1, this.canvas.width - FIT_PADDING * 2);
+        const availableHeight = Math.max(1, this.canvas.height - FIT_PADDING * 2);
+        const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, Math.min(
+            availableWidth / Math.max(1, maxX - minX),
+            availableHeight / Math.max(1, maxY - minY)
+        )));
+        
+        // Centre the drawing
+        this.setView(
+            (minX + maxX) / 2 - this.canvas.width / 2 / scale,
+            (minY + maxY) / 2 - this.canvas.height / 2 / scale,
+            scale
+        );
+    }
+    
+    // Track the distance and midpoint of a two-finger pinch
+    startPinch(touches) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.pinch = {
+            distance: Math.hypot(touches[1].clientX - touches[0].clientX, touches[1].clientY - touches[0].clientY),
+            x: (touches[0].clientX + touches[1].clientX) / 2 - rect.left,
+            y: (touches[0].clientY + touches[1].clientY) / 2 - rect.top
+        };
+    }
+    
+    // Zoom with the change in finger distance and pan with the midpoint
+    updatePinch(touches) {
+        const previous = this.pinch;
+        this.startPinch(touches);
+        
+        if (previous.distance > 0) {
+            this.zoomAt(this.pinch.x, this.pinch.y, this.pinch.distance / previous.distance);
+        }
+        this.panBy(this.pinch.x - previous.x, this.pinch.y - previous.y);
+    }
+    
+    // Abandon the stroke, shape or drag in progress without saving it
+    cancelDrawing() {
+        if (this.selectionDrag) {
+            this.replacePath(this.selectionDrag.original);
+            this.selectionDrag = null;
+        }
+        
+        if (this.currentStrokeId && this.onStrokeCancel) {
+            this.onStrokeCancel(this.currentStrokeId);
+        }
+        
+        // The erased paths are already gone, so what was erased is kept
+        if (this.eraseSession) {
+            this.finishErasing();
+        }
+        
+        this.isDrawing = false;
+        this.currentPath = [];
+        this.currentStrokeId = null;
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.redraw();
+    }
+    
+    // Erase along the pointer's movement since the last position
+    eraseAlong(x, y) {
+        const session = this.eraseSession;
+        const from = session.last;
+        const to = { x, y };
+        const radius = this.currentStrokeWidth / 2;
+        session.last = to;
+        
+        let changed = false;
+        const paths = [];
+        this.paths.forEach(path => {
+            if (!isSelectable(path) || !this.isPathEditable(path) || !pathTouchesSegment(path, from, to, radius)) {
+                paths.push(path);
+                return;
+            }
+            
+            // Pieces cut from a path in this drag are tracked back to the path they came from
+            const originId = session.origins.get(path.id) || path.id;
+            if (!session.originals.has(originId)) {
+                session.originals.set(originId, path);
+            }
+            
+            // Object mode removes the whole path, and so does precise mode for shapes
+            const pieces = this.eraserMode === 'precise' && path.points
+                ? cutStroke(path.points, from, to, radius) || [path.points]
+                : [];
+            pieces.forEach(points => {
+                const piece = { ...path, id: Date.now() + '-' + Math.random(), points };
+                session.origins.set(piece.id, originId);
+                paths.push(piece);
+            });
+            changed = true;
+        });
+        
+        if (changed) {
+            this.paths = paths;
+            this.redraw();
+        }
+    }
+    
+    // Finish an eraser drag: each erased path is deleted, or updated to its first
+    // remaining piece with any other pieces added as new paths
+    finishErasing() {
+        const session = this.eraseSession;
+        this.eraseSession = null;
         
-        const pathToUndo = this.undoStack.pop();
+        session.originals.forEach((original, originId) => {
+            const [first, ...rest] = this.paths.filter(p => session.origins.get(p.id) === originId);
+            
+            if (!first) {
+                this.deletePath(originId);
+                if (this.onPathDeleted) {
+                    this.onPathDeleted(originId);
+                }
+                return;
+            }
+            
+            const updated = { ...first, id: originId };
+            this.paths = this.paths.map(p => p === first ? updated : p);
+            this.replacePath(updated);
+            
+            // New pieces go on top and into history, as they do on the server
+            const created = rest.map(piece => ({ ...piece, userId: this.userId, timestamp: Date.now() }));
+            this.paths = this.paths.filter(p => !rest.includes(p)).concat(created);
+            this.undoStack.push(...created);
+            if (created.length > 0) {
+                this.redoStack = [];
+            }
+            
+            if (this.onPathUpdated) {
+                this.onPathUpdated(updated);
+            }
+            created.forEach(path => {
+                if (this.onPathCreated) {
+                    this.onPathCreated(path);
+                }
+            });
+        });
+        
+        this.redraw();
+        return null;
+    }
+    
+    // Get the selected path, if it still exists
+    getSelectedPath() {
+        if (!this.selectedPathId) return null;
+        return this.paths.find(p => p.id === this.selectedPathId) || null;
+    }
+    
+    // Deselect the selected path
+    clearSelection() {
+        if (!this.selectedPathId) return;
+        
+        this.selectedPathId = null;
+        this.selectionDrag = null;
+        this.redraw();
+    }
+    
+    // Get the frame and handles of a selected path
+    getSelectionHandles(path) {
+        const frame = getPathFrame(path);
+        return {
+            frame,
+            corners: getFrameCorners(frame),
+            rotate: rotatePoint(frame.cx, frame.cy - frame.height / 2 - ROTATE_HANDLE_OFFSET / this.view.scale, frame.cx, frame.cy, frame.rotation)
+        };
+    }
+    
+    // Pick a path, or a handle of the selected path, under the pointer
+    startSelectionDrag(x, y) {
+        const selected = this.getSelectedPath();
+        
+        // Handles and hit tolerance stay the same size on screen at any zoom
+        const handleReach = HANDLE_SIZE / this.view.scale;
+        const tolerance = HIT_TOLERANCE / this.view.scale;
+        
+        if (selected) {
+            const { frame, corners, rotate } = this.getSelectionHandles(selected);
+            
+            if (Math.hypot(x - rotate.x, y - rotate.y) <= handleReach) {
+                this.selectionDrag = { mode: 'rotate', original: selected, frame, startAngle: Math.atan2(y - frame.cy, x - frame.cx) };
+                return;
+            }
+            
+            // Resize from a corner, keeping the opposite corner in place
+            const corner = corners.findIndex(c => Math.hypot(x - c.x, y - c.y) <= handleReach);
+            if (corner !== -1) {
+                this.selectionDrag = { mode: 'resize', original: selected, frame, handle: corners[corner], anchor: corners[(corner + 2) % 4] };
+                return;
+            }
+            
+            if (isInsideFrame(frame, x, y, tolerance)) {
+                this.selectionDrag = { mode: 'move', original: selected, startX: x, startY: y };
+                return;
+            }
+        }
+        
+        const path = findPathAt(this.paths.filter(p => this.isPathEditable(p)), x, y, tolerance);
+        this.selectedPathId = path ? path.id : null;
+        this.selectionDrag = path ? { mode: 'move', original: path, startX: x, startY: y } : null;
+        this.redraw();
+    }
+    
+    // Preview the selected path following the pointer
+    updateSelectionDrag(x, y) {
+        const drag = this.selectionDrag;
+        if (!drag) return;
+        
+        let path;
+        if (drag.mode === 'move') {
+            path = translatePath(drag.original, x - drag.startX, y - drag.startY);
+        } else if (drag.mode === 'rotate') {
+            path = rotatePath(drag.original, Math.atan2(y - drag.frame.cy, x - drag.frame.cx) - drag.startAngle);
+        } else {
+            // Measure the pointer along the frame's own axes, relative to the fixed corner
+            const { anchor, frame } = drag;
+            const handle = rotatePoint(drag.handle.x, drag.handle.y, anchor.x, anchor.y, -frame.rotation);
+            const pointer = rotatePoint(x, y, anchor.x, anchor.y, -frame.rotation);
+            const scale = (from, to, origin) => Math.abs(from - origin) < 1 ? 1 : (to - origin) / (from - origin);
+            path = scalePath(drag.original, anchor.x, anchor.y, scale(handle.x, pointer.x, anchor.x), scale(handle.y, pointer.y, anchor.y));
+        }
+        
+        drag.current = path;
+        this.replacePath(path);
+        this.redraw();
+    }
+    
+    // Finish a move, resize or rotate and return the changed path
+    finishSelectionDrag() {
+        const drag = this.selectionDrag;
+        this.selectionDrag = null;
+        if (!drag || !drag.current) return null;
+        
+        if (this.onPathUpdated) {
+            this.onPathUpdated(drag.current);
+        }
+        
+        return drag.current;
+    }
+    
+    // Delete the selected path and return it
+    deleteSelected() {
+        const path = this.getSelectedPath();
+        if (!path) return null;
+        
+        this.deletePath(path.id);
+        return path;
+    }
+    
+    // Replace a path (and its history entries) with a changed version
+    replacePath(path) {
+        const replace = list => list.map(p => p.id === path.id ? path : p);
+        this.paths = replace(this.paths);
+        this.undoStack = replace(this.undoStack);
+        this.redoStack = replace(this.redoStack);
+    }
+    
+    // Apply a path moved, resized, rotated or retyped by another user
+    updatePathFromServer(path) {
+        // A local drag or edit of the same path wins; its result is sent when it ends
+        if (this.selectionDrag && this.selectionDrag.original.id === path.id) return;
+        if (this.textEdit && this.textEdit.path.id === path.id) return;
+        
+        this.replacePath(path);
+        this.redraw();
+    }
+    
+    // Delete a path, which also takes it out of undo/redo history
+    deletePath(pathId) {
+        const keep = p => p.id !== pathId;
+        this.paths = this.paths.filter(keep);
+        this.undoStack = this.undoStack.filter(keep);
+        this.redoStack = this.redoStack.filter(keep);
+        
+        if (this.selectedPathId === pathId) {
+            this.selectedPathId = null;
+            this.selectionDrag = null;
+        }
+        if (this.textEdit && this.textEdit.path.id === pathId) {
+            this.cancelTextEdit();
+        }
+        this.redraw();
+    }
+    
+    // Type new text at (x, y), or retype the editable text there
+    startTextEdit(x, y) {
+        const tolerance = HIT_TOLERANCE / this.view.scale;
+        const existing = findPathAt(this.paths.filter(p => p.tool === 'text' && this.isPathEditable(p)), x, y, tolerance);
+        if (existing) {
+            this.openTextEditor(existing, true);
+            return;
+        }
+        
+        if (!this.canDrawOnActiveLayer()) return;
+        
+        this.openTextEditor({
+            id: Date.now() + '-' + Math.random(),
+            userId: this.userId,
+            layerId: this.activeLayerId,
+            tool: 'text',
+            text: '',
+            fontFamily: this.fontFamily,
+            fontSize: this.fontSize,
+            color: this.currentColor,
+            startX: x,
+            startY: y,
+            endX: x,
+            endY: y,
+            timestamp: Date.now()
+        }, false);
+    }
+    
+    // Show the inline editor over a text object; saved is false until new text has been sent
+    openTextEditor(path, saved) {
+        const editor = document.createElement('textarea');
+        editor.className = 'text-editor';
+        editor.value = path.text;
+        editor.spellcheck = false;
+        editor.addEventListener('input', () => this.updateTextEdit(editor.value));
+        editor.addEventListener('blur', () => {
+            if (this.textEdit && this.textEdit.editor === editor) {
+                this.finishTextEdit();
+            }
+        });
+        editor.addEventListener('keydown', (e) => {
+            // Escape, or Ctrl+Enter, finishes the text
+            if (e.key === 'Escape' || (e.key === 'Enter' && (e.ctrlKey || e.metaKey))) {
+                e.preventDefault();
+                this.finishTextEdit();
+            }
+        });
+        this.canvas.parentElement.appendChild(editor);
+        
+        this.textEdit = { path, saved, editor, pending: false, syncTimer: null };
+        this.placeTextEditor();
+        this.redraw();
+        editor.focus();
+    }
+    
+    // Keep the inline editor over its text at the current view
+    placeTextEditor() {
+        const edit = this.textEdit;
+        if (!edit) return;
+        
+        const { path, editor } = edit;
+        const { scale } = this.view;
+        const left = Math.min(path.startX, path.endX);
+        const top = Math.min(path.startY, path.endY);
+        const topLeft = this.worldToScreen(left, top);
+        editor.style.left = `${topLeft.x}px`;
+        editor.style.top = `${topLeft.y}px`;
+        editor.style.width = `${Math.abs(path.endX - path.startX) * scale + path.fontSize * scale}px`;
+        editor.style.height = `${Math.max(Math.abs(path.endY - path.startY), path.fontSize * TEXT_LINE_HEIGHT) * scale}px`;
+        editor.style.font = getTextFont(path, scale);
+        editor.style.lineHeight = TEXT_LINE_HEIGHT;
+        editor.style.color = path.color;
+        editor.style.transform = path.rotation ? `rotate(${path.rotation}rad)` : '';
+    }
+    
+    // Retype the text being edited; its box grows and shrinks to fit
+    updateTextEdit(text) {
+        const edit = this.textEdit;
+        const left = Math.min(edit.path.startX, edit.path.endX);
+        const top = Math.min(edit.path.startY, edit.path.endY);
+        const size = measureText(this.ctx, { ...edit.path, text });
+        edit.path = { ...edit.path, text, startX: left, startY: top, endX: left + size.width, endY: top + size.height };
+        this.placeTextEditor();
+        
+        // Blank text isn't sent; it is deleted if it is still blank when the editor closes
+        if (!text.trim()) {
+            edit.pending = false;
+            return;
+        }
+        
+        if (!edit.saved) {
+            edit.saved = true;
+            this.paths.push(edit.path);
+            this.undoStack.push(edit.path);
+            this.redoStack = []; // Clear redo stack when new action is performed
+            
+            if (this.onPathCreated) {
+                this.onPathCreated(edit.path);
+            }
+            return;
+        }
+        
+        // Other users see the text change as it is typed, a few times a second
+        this.replacePath(edit.path);
+        edit.pending = true;
+        if (!edit.syncTimer) {
+            edit.syncTimer = setTimeout(() => this.syncTextEdit(), TEXT_SYNC_INTERVAL);
+        }
+    }
+    
+    // Send the latest text being typed, if it changed since it was last sent
+    syncTextEdit() {
+        const edit = this.textEdit;
+        if (!edit) return;
+        
+        clearTimeout(edit.syncTimer);
+        edit.syncTimer = null;
+        if (edit.pending && this.onPathUpdated) {
+            this.onPathUpdated(edit.path);
+        }
+        edit.pending = false;
+    }
+    
+    // Close the inline editor, keeping the text, or deleting it if it was typed away
+    finishTextEdit() {
+        const edit = this.textEdit;
+        if (!edit) return null;
+        
+        this.syncTextEdit();
+        this.cancelTextEdit();
+        
+        if (edit.saved && !edit.path.text.trim()) {
+            this.deletePath(edit.path.id);
+            if (this.onPathDeleted) {
+                this.onPathDeleted(edit.path.id);
+            }
+            return null;
+        }
+        return edit.saved ? edit.path : null;
+    }
+    
+    // Close the inline editor without sending anything more
+    cancelTextEdit() {
+        const edit = this.textEdit;
+        if (!edit) return;
+        
+        clearTimeout(edit.syncTimer);
+        this.textEdit = null;
+        edit.editor.remove();
+        this.redraw();
+    }
+    
+    // Draw the selection frame and handles of the selected path
+    drawSelection() {
+        const path = this.getSelectedPath();
+        if (!path) return;
+        
+        const { corners, rotate } = this.getSelectionHandles(path);
+        const topMiddle = { x: (corners[0].x + corners[1].x) / 2, y: (corners[0].y + corners[1].y) / 2 };
+        const pixel = 1 / this.view.scale; // One screen pixel in world units
+        const size = HANDLE_SIZE * pixel;
+        
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.strokeStyle = '#3498db';
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.lineWidth = pixel;
+        
+        // Frame
+        this.ctx.setLineDash([4 * pixel, 4 * pixel]);
+        this.ctx.beginPath();
+        corners.forEach((corner, i) => i === 0 ? this.ctx.moveTo(corner.x, corner.y) : this.ctx.lineTo(corner.x, corner.y));
+        this.ctx.closePath();
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        
+        // Rotate handle
+        this.ctx.beginPath();
+        this.ctx.moveTo(topMiddle.x, topMiddle.y);
+        this.ctx.lineTo(rotate.x, rotate.y);
+        this.ctx.stroke();
+        this.ctx.beginPath();
+        this.ctx.arc(rotate.x, rotate.y, size / 2, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        // Resize handles
+        corners.forEach(corner => {
+            this.ctx.fillRect(corner.x - size / 2, corner.y - size / 2, size, size);
+            this.ctx.strokeRect(corner.x - size / 2, corner.y - size / 2, size, size);
+        });
+        
+        this.ctx.restore();
+    }
+    
+    // Undo last action (or the path with the given ID)
+    undo(pathId = null) {
+        const stackIndex = pathId ? this.undoStack.findIndex(p => p.id === pathId) : this.undoStack.length - 1;
+        if (stackIndex === -1) return null;
+        
+        // Paths on locked layers stay until the layer is unlocked
+        if (this.isPathLocked(this.undoStack[stackIndex])) return null;
+        
+        const [pathToUndo] = this.undoStack.splice(stackIndex, 1);
         this.redoStack.push(pathToUndo);
         
         // Remove the path from paths array
@@ -368,28 +1834,47 @@ export class CanvasManager {
         return pathToUndo;
     }
     
-    // Redo last undone action
-    redo() {
-        if (this.redoStack.length === 0) return null;
+    // Redo last undone action (or the path with the given ID)
+    redo(pathId = null) {
+        const stackIndex = pathId ? this.redoStack.findIndex(p => p.id === pathId) : this.redoStack.length - 1;
+        if (stackIndex === -1) return null;
+        if (this.isPathLocked(this.redoStack[stackIndex])) return null;
         
-        const pathToRedo = this.redoStack.pop();
+        const [pathToRedo] = this.redoStack.splice(stackIndex, 1);
         this.undoStack.push(pathToRedo);
         
         // Add the path back to paths array
         this.paths.push(pathToRedo);
         
-        // Redraw the path
-        this.drawPath(pathToRedo);
+        this.redraw();
         
         return pathToRedo;
     }
     
-    // Clear canvas
+    // Clear canvas, except for locked layers
     clear() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.paths = [];
-        this.undoStack = [];
-        this.redoStack = [];
+        this.cancelTextEdit();
+        const keep = path => this.isPathLocked(path);
+        this.paths = this.paths.filter(keep);
+        this.undoStack = this.undoStack.filter(keep);
+        this.redoStack = this.redoStack.filter(keep);
+        this.layers.forEach(layer => {
+            if (!layer.locked) {
+                layer.snapshot = null;
+                this.snapshotImages.delete(layer.id);
+            }
+        });
+        this.selectedPathId = null;
+        this.selectionDrag = null;
+        this.redraw();
+    }
+    
+    // Forget the room's drawing and layers, e.g. after leaving it
+    reset() {
+        this.setLayers([]);
+        this.setPaths([]);
+        this.selectedPathId = null;
+        this.selectionDrag = null;
     }
     
     // Get current paths for synchronization
@@ -397,11 +1882,131 @@ export class CanvasManager {
         return [...this.paths];
     }
     
-    // Set paths from server
-    setPaths(paths) {
+    // Topmost path on a visible layer at a point in world coordinates, or null
+    getPathAt(x, y) {
+        return findPathAt(this.paths.filter(p => this.isPathVisible(p)), x, y, HIT_TOLERANCE / this.view.scale);
+    }
+    
+    // Set the layers from the server, with the snapshot of each layer's flattened paths
+    setLayers(layers) {
+        this.layers = layers.length > 0 ? layers.map(layer => ({ ...layer })) : [createLayer(DEFAULT_LAYER_ID, 'Layer 1')];
+        this.layerBuffers = new Map();
+        this.snapshotImages = new Map();
+        
+        this.layers.forEach(layer => {
+            if (!layer.snapshot) return;
+            
+            const image = new Image();
+            image.onload = () => {
+                // Ignore images that were replaced while loading
+                if (this.snapshotImages.get(layer.id) === image) {
+                    this.redraw();
+                }
+            };
+            image.src = layer.snapshot.image;
+            this.snapshotImages.set(layer.id, image);
+        });
+        
+        if (!this.getLayer(this.activeLayerId)) {
+            this.activeLayerId = this.layers[this.layers.length - 1].id;
+        }
+        this.redraw();
+    }
+    
+    // Get a layer by ID
+    getLayer(layerId) {
+        return this.layers.find(layer => layer.id === layerId) || null;
+    }
+    
+    // Get the layer a path is drawn on
+    getPathLayer(path) {
+        return this.getLayer(path.layerId || DEFAULT_LAYER_ID);
+    }
+    
+    // Check whether a path's layer is shown
+    isPathVisible(path) {
+        const layer = this.getPathLayer(path);
+        return Boolean(layer && layer.visible);
+    }
+    
+    // Check whether a path is on a locked layer (or one we don't know), so it can't change
+    isPathLocked(path) {
+        const layer = this.getPathLayer(path);
+        return !layer || layer.locked;
+    }
+    
+    // Check whether a path can be picked, moved or erased: its layer is shown and unlocked
+    isPathEditable(path) {
+        return this.isPathVisible(path) && !this.isPathLocked(path);
+    }
+    
+    // Check whether new paths can be drawn on the active layer
+    canDrawOnActiveLayer() {
+        const layer = this.getLayer(this.activeLayerId);
+        return Boolean(layer && layer.visible && !layer.locked);
+    }
+    
+    // Pick the layer new paths are drawn on
+    setActiveLayer(layerId) {
+        if (this.getLayer(layerId)) {
+            this.activeLayerId = layerId;
+        }
+    }
+    
+    // Add a layer on top of the others; returns it, or null if the ID is taken
+    addLayer({ id, name, visible = true, locked = false, opacity = 1 }) {
+        if (this.getLayer(id)) return null;
+        
+        const layer = { ...createLayer(id, name), visible, locked, opacity };
+        this.layers.push(layer);
+        return layer;
+    }
+    
+    // Rename, hide, lock or fade a layer; returns it, or null if there is no such layer
+    updateLayer(layerId, changes) {
+        const layer = this.getLayer(layerId);
+        if (!layer) return null;
+        
+        ['name', 'visible', 'locked', 'opacity'].forEach(key => {
+            if (changes[key] !== undefined) {
+                layer[key] = changes[key];
+            }
+        });
+        
+        // A path on a hidden or locked layer can't stay selected, or keep being dragged or typed
+        if (this.textEdit && !this.isPathEditable(this.textEdit.path)) {
+            this.cancelTextEdit();
+        }
+        const selected = this.getSelectedPath();
+        if (selected && !this.isPathEditable(selected)) {
+            if (this.selectionDrag) {
+                this.replacePath(this.selectionDrag.original);
+            }
+            this.selectedPathId = null;
+            this.selectionDrag = null;
+        }
+        
+        this.redraw();
+        return layer;
+    }
+    
+    // Move a layer to a position in the stack (0 is the bottom); returns it, or null if there is no such layer
+    moveLayer(layerId, index) {
+        const from = this.layers.findIndex(layer => layer.id === layerId);
+        if (from === -1) return null;
+        
+        const [layer] = this.layers.splice(from, 1);
+        this.layers.splice(Math.min(index, this.layers.length), 0, layer);
+        this.redraw();
+        return layer;
+    }
+    
+    // Set paths from server, along with this user's undo/redo history
+    setPaths(paths, history = null) {
+        this.cancelTextEdit();
         this.paths = [...paths];
-        this.undoStack = [...paths];
-        this.redoStack = [];
+        this.undoStack = history ? [...history.undoStack] : [];
+        this.redoStack = history ? [...history.redoStack] : [];
         this.redraw();
     }
 }
\ No newline at end of file
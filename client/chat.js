@@ -0,0 +1,260 @@
+// The room's chat panel, and @mentions for chat messages and comments
+//
+// Messages are sent with chat-message and come back from the server, the
+// sender's own included, with their ID, time and the author's name and colour
+// at the time; joining a room loads its recent history. Typing @ suggests the
+// people in the room, and the users whose @name is in a message are sent
+// along as its mentions, so they can be told even while the panel is closed.
+
+export const MAX_MESSAGE_LENGTH = 1000; // The server refuses longer messages
+const MAX_SUGGESTIONS = 5;
+const SCROLL_SLACK = 40; // Pixels from the bottom that still count as reading the newest messages
+
+// IDs of the users whose @name is in a text; users is userId -> { name }
+export function findMentions(text, users) {
+    const lowerText = text.toLowerCase();
+    return Object.entries(users)
+        .filter(([, user]) => user.name && lowerText.includes(`@${user.name.toLowerCase()}`))
+        .map(([userId]) => userId);
+}
+
+// Add a message's text to an element, with the @names of the users it
+// mentions highlighted, the current user's more so
+export function appendMessageText(element, message, users, currentUserId) {
+    const names = new Map(); // Lower-case @name -> mentioned user ID
+    message.mentions.forEach(userId => {
+        if (users[userId] && users[userId].name) {
+            names.set(`@${users[userId].name.toLowerCase()}`, userId);
+        }
+    });
+    if (names.size === 0) {
+        element.append(message.text);
+        return;
+    }
+    
+    // Longest names first, so @Ann Lee isn't taken for @Ann
+    const pattern = [...names.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|');
+    message.text.split(new RegExp(`(${pattern})`, 'i')).forEach((part, i) => {
+        // Odd parts are the names the text was split at
+        if (i % 2 === 0) {
+            element.append(part);
+            return;
+        }
+        const mention = document.createElement('span');
+        mention.className = names.get(part.toLowerCase()) === currentUserId ? 'mention mention-me' : 'mention';
+        mention.textContent = part;
+        element.appendChild(mention);
+    });
+}
+
+// Hours and minutes of a message, in the user's locale
+export function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// A chat or comment message: its author in their colour, its time and its text
+export function createMessageElement(message, users, currentUserId) {
+    const li = document.createElement('li');
+    li.className = 'message';
+    li.classList.toggle('own', message.userId === currentUserId);
+    li.classList.toggle('mentions-me', message.mentions.includes(currentUserId));
+    
+    const author = document.createElement('span');
+    author.className = 'message-author';
+    author.style.color = message.color;
+    author.textContent = message.name;
+    const time = document.createElement('time');
+    time.dateTime = new Date(message.timestamp).toISOString();
+    time.textContent = formatTime(message.timestamp);
+    const text = document.createElement('p');
+    text.className = 'message-text';
+    appendMessageText(text, message, users, currentUserId);
+    
+    li.append(author, time, text);
+    return li;
+}
+
+// Suggests people to @mention while typing in an input or textarea; getUsers
+// returns userId -> { name, color } of the people in the room
+export class MentionSuggestions {
+    constructor(input, getUsers) {
+        this.input = input;
+        this.getUsers = getUsers;
+        this.list = document.createElement('ul');
+        this.list.className = 'mention-suggestions';
+        this.list.hidden = true;
+        input.insertAdjacentElement('afterend', this.list);
+        this.matches = []; // Names that match what is typed after the @
+        this.selected = 0;
+        
+        input.addEventListener('input', () => this.update());
+        input.addEventListener('blur', () => this.hide());
+        input.addEventListener('keydown', (e) => this.handleKey(e));
+    }
+    
+    // Whether suggestions are showing, so Enter picks one instead of sending
+    get open() {
+        return !this.list.hidden;
+    }
+    
+    // Show the names that start with what is typed after the last @ before the caret
+    update() {
+        const before = this.input.value.substring(0, this.input.selectionStart);
+        const typed = before.match(/@([^@\n]*)$/);
+        if (!typed) {
+            this.hide();
+            return;
+        }
+        
+        const query = typed[1].toLowerCase();
+        this.matches = Object.values(this.getUsers())
+            .filter(user => user.name && user.name.toLowerCase().startsWith(query) && user.name.length > query.length)
+            .slice(0, MAX_SUGGESTIONS);
+        this.selected = 0;
+        this.render();
+    }
+    
+    render() {
+        this.list.innerHTML = '';
+        this.list.hidden = this.matches.length === 0;
+        this.matches.forEach((user, i) => {
+            const li = document.createElement('li');
+            li.textContent = `@${user.name}`;
+            li.style.color = user.color;
+            li.classList.toggle('selected', i === this.selected);
+            // Pick on mousedown, before the input loses focus and hides the list
+            li.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.pick(user);
+            });
+            this.list.appendChild(li);
+        });
+    }
+    
+    handleKey(e) {
+        if (!this.open) return;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.selected = (this.selected + step + this.matches.length) % this.matches.length;
+            this.render();
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            this.pick(this.matches[this.selected]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.hide();
+        }
+    }
+    
+    // Replace the @ and what was typed after it with the whole name
+    pick(user) {
+        const caret = this.input.selectionStart;
+        const start = this.input.value.lastIndexOf('@', caret - 1);
+        const mention = `@${user.name} `;
+        this.input.value = this.input.value.substring(0, start) + mention + this.input.value.substring(caret);
+        this.input.selectionStart = this.input.selectionEnd = start + mention.length;
+        this.input.focus();
+        this.hide();
+    }
+    
+    hide() {
+        this.list.hidden = true;
+        this.matches = [];
+    }
+}
+
+export class ChatPanel {
+    constructor(panel, getUsers) {
+        this.panel = panel;
+        this.getUsers = getUsers; // userId -> { name, color } of the people in the room
+        this.list = panel.querySelector('.chat-messages');
+        this.form = panel.querySelector('.chat-form');
+        this.input = panel.querySelector('.chat-input');
+        this.unreadBadge = panel.querySelector('.chat-unread');
+        this.userId = null;
+        this.unread = 0; // Messages from others that arrived while the panel was closed
+        this.onSend = null; // Called with { text, mentions } for every message typed
+        this.onMention = null; // Called with every message from someone else that mentions this user
+        
+        this.input.maxLength = MAX_MESSAGE_LENGTH;
+        this.suggestions = new MentionSuggestions(this.input, getUsers);
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.send();
+        });
+        panel.querySelector('.chat-toggle').addEventListener('click', () => {
+            this.setOpen(panel.classList.contains('collapsed'));
+        });
+    }
+    
+    setUserId(userId) {
+        this.userId = userId;
+    }
+    
+    // Show or hide the messages; opening the panel marks them as read
+    setOpen(open) {
+        this.panel.classList.toggle('collapsed', !open);
+        if (open) {
+            this.unread = 0;
+            this.panel.classList.remove('mentioned');
+            this.updateUnread();
+            this.list.scrollTop = this.list.scrollHeight;
+            this.input.focus();
+        }
+    }
+    
+    // Show a room's history, e.g. after joining it
+    setMessages(messages) {
+        this.list.innerHTML = '';
+        messages.forEach(message => this.list.appendChild(createMessageElement(message, this.getUsers(), this.userId)));
+        this.list.scrollTop = this.list.scrollHeight;
+        this.unread = 0;
+        this.updateUnread();
+    }
+    
+    // Show a new message, scrolling to it unless older ones are being read
+    addMessage(message) {
+        const atBottom = this.list.scrollHeight - this.list.scrollTop - this.list.clientHeight < SCROLL_SLACK;
+        this.list.appendChild(createMessageElement(message, this.getUsers(), this.userId));
+        if (atBottom || message.userId === this.userId) {
+            this.list.scrollTop = this.list.scrollHeight;
+        }
+        if (message.userId === this.userId) return;
+        
+        const mentioned = message.mentions.includes(this.userId);
+        if (this.panel.classList.contains('collapsed')) {
+            this.unread++;
+            if (mentioned) {
+                this.panel.classList.add('mentioned');
+            }
+            this.updateUnread();
+        }
+        if (mentioned && this.onMention) {
+            this.onMention(message);
+        }
+    }
+    
+    // Forget the messages, e.g. after being removed from the room
+    clear() {
+        this.setMessages([]);
+    }
+    
+    send() {
+        const text = this.input.value.trim();
+        if (!text || !this.onSend) return;
+        
+        this.onSend({ text, mentions: findMentions(text, this.getUsers()) });
+        this.input.value = '';
+        this.suggestions.hide();
+    }
+    
+    updateUnread() {
+        this.unreadBadge.textContent = this.unread > 99 ? '99+' : String(this.unread);
+        this.unreadBadge.hidden = this.unread === 0;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,276 @@
+// Comment threads pinned to the drawing
+//
+// A thread is pinned to a point, or to a path, whose top right corner it then
+// follows when the path is moved; if the path goes away it stays where it was
+// placed. Clicking a pin opens the thread to read it, reply or resolve it.
+// Resolved threads are hidden unless asked for. Threads are started with
+// comment-create and answered with comment-reply and comment-resolve; the
+// server sends every change back to everyone in the room, this user included.
+
+import { MAX_MESSAGE_LENGTH, MentionSuggestions, createMessageElement, findMentions } from './chat.js';
+import { getPathBounds } from './geometry.js';
+
+export class CommentPins {
+    constructor(container, canvasManager, getUsers) {
+        this.container = container;
+        this.canvasManager = canvasManager; // Converts world positions to the current view
+        this.getUsers = getUsers; // userId -> { name, color } of the people in the room
+        this.comments = new Map(); // commentId -> { comment, pin }
+        this.userId = null;
+        this.showResolved = false;
+        this.thread = null; // Open thread, or new one being written (commentId null): { commentId, anchor, element, list, input, resolveBtn }
+        this.onCreate = null; // Called with { x, y, pathId, text, mentions } for every new thread
+        this.onReply = null; // Called with { commentId, text, mentions } for every reply
+        this.onResolve = null; // Called with { commentId, resolved }
+        this.onMention = null; // Called with every message from someone else that mentions this user
+        this.canResolve = () => true; // Whether this user may resolve or reopen a thread
+        
+        // While placing, a click on the drawing starts a thread there, on the path under it if any
+        container.addEventListener('click', (e) => {
+            if (e.target !== container || !this.isPlacing()) return;
+            
+            this.stopPlacing();
+            const { x, y } = this.canvasManager.screenToWorld(e.clientX, e.clientY);
+            const path = this.canvasManager.getPathAt(x, y);
+            this.openDraft(path ? { x, y, pathId: path.id } : { x, y });
+        });
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isPlacing()) {
+                this.stopPlacing();
+            }
+        });
+    }
+    
+    setUserId(userId) {
+        this.userId = userId;
+    }
+    
+    // Show a room's threads, e.g. after joining it
+    setComments(comments) {
+        this.clear();
+        comments.forEach(comment => this.addComment(comment, false));
+    }
+    
+    // Pin a new thread; notify is false for threads that were there before joining
+    addComment(comment, notify = true) {
+        const pin = document.createElement('button');
+        pin.className = 'comment-pin';
+        pin.addEventListener('click', () => {
+            if (this.thread && this.thread.commentId === comment.id) {
+                this.close();
+            } else {
+                this.open(comment.id);
+            }
+        });
+        this.container.appendChild(pin);
+        
+        const entry = { comment, pin };
+        this.comments.set(comment.id, entry);
+        this.updatePin(entry);
+        this.place(pin, this.getAnchor(comment));
+        if (notify) {
+            this.notifyMention(entry, comment.messages[0]);
+        }
+    }
+    
+    // Add a reply to a thread, and show it if the thread is open
+    addReply(commentId, message) {
+        const entry = this.comments.get(commentId);
+        if (!entry) return;
+        
+        entry.comment.messages.push(message);
+        this.updatePin(entry);
+        if (this.thread && this.thread.commentId === commentId) {
+            this.thread.list.appendChild(createMessageElement(message, this.getUsers(), this.userId));
+            this.thread.list.scrollTop = this.thread.list.scrollHeight;
+        }
+        this.notifyMention(entry, message);
+    }
+    
+    // Mark a thread as resolved or reopened
+    setResolved(commentId, resolved) {
+        const entry = this.comments.get(commentId);
+        if (!entry) return;
+        
+        entry.comment.resolved = resolved;
+        this.updatePin(entry);
+        if (this.thread && this.thread.commentId === commentId) {
+            this.thread.resolveBtn.textContent = resolved ? 'Reopen' : 'Resolve';
+        }
+    }
+    
+    // Show or hide the pins of resolved threads
+    setShowResolved(show) {
+        this.showResolved = show;
+        this.comments.forEach(entry => this.updatePin(entry));
+    }
+    
+    // The next click on the drawing starts a thread
+    startPlacing() {
+        this.close();
+        this.container.classList.add('placing');
+    }
+    
+    stopPlacing() {
+        this.container.classList.remove('placing');
+    }
+    
+    isPlacing() {
+        return this.container.classList.contains('placing');
+    }
+    
+    // Remove every thread, e.g. when joining another room
+    clear() {
+        this.close();
+        this.stopPlacing();
+        this.comments.forEach(({ pin }) => pin.remove());
+        this.comments.clear();
+    }
+    
+    // Move the pins, and the open thread, to their anchors after the view or the drawing changed
+    refresh() {
+        this.comments.forEach(({ comment, pin }) => this.place(pin, this.getAnchor(comment)));
+        if (this.thread) {
+            this.place(this.thread.element, this.getAnchor(this.thread.anchor));
+        }
+    }
+    
+    // Where a thread is pinned: the top right corner of its path, or where it was placed
+    getAnchor({ x, y, pathId }) {
+        const path = pathId && this.canvasManager.paths.find(p => p.id === pathId);
+        const bounds = path && getPathBounds(path);
+        return bounds ? { x: bounds.maxX, y: bounds.minY } : { x, y };
+    }
+    
+    place(element, anchor) {
+        const { x, y } = this.canvasManager.worldToScreen(anchor.x, anchor.y);
+        element.style.transform = `translate(${x}px, ${y}px)`;
+    }
+    
+    // The pin shows the number of messages, in the colour of whoever started the thread
+    updatePin({ comment, pin }) {
+        const [first] = comment.messages;
+        const isOpen = Boolean(this.thread && this.thread.commentId === comment.id);
+        pin.textContent = comment.messages.length > 1 ? `💬 ${comment.messages.length}` : '💬';
+        pin.title = `${first.name}: ${first.text}`;
+        pin.style.borderColor = first.color;
+        pin.classList.toggle('resolved', comment.resolved);
+        pin.hidden = comment.resolved && !this.showResolved && !isOpen;
+    }
+    
+    // Tell about messages from someone else that mention this user, and mark their pin
+    notifyMention({ pin }, message) {
+        if (message.userId === this.userId || !message.mentions.includes(this.userId)) return;
+        
+        pin.classList.add('mentioned');
+        if (this.onMention) {
+            this.onMention(message);
+        }
+    }
+    
+    // Open a thread next to its pin
+    open(commentId) {
+        const entry = this.comments.get(commentId);
+        if (!entry) return;
+        
+        this.close();
+        const { comment, pin } = entry;
+        pin.classList.remove('mentioned');
+        this.thread = this.createThread(comment.id, comment, 'Reply');
+        comment.messages.forEach(message => {
+            this.thread.list.appendChild(createMessageElement(message, this.getUsers(), this.userId));
+        });
+        
+        const resolveBtn = document.createElement('button');
+        resolveBtn.textContent = comment.resolved ? 'Reopen' : 'Resolve';
+        resolveBtn.disabled = !this.canResolve(comment);
+        resolveBtn.addEventListener('click', () => {
+            if (this.onResolve) {
+                this.onResolve({ commentId: comment.id, resolved: !comment.resolved });
+            }
+        });
+        this.thread.element.querySelector('.comment-actions').prepend(resolveBtn);
+        this.thread.resolveBtn = resolveBtn;
+        
+        this.place(this.thread.element, this.getAnchor(comment));
+        this.thread.list.scrollTop = this.thread.list.scrollHeight;
+        this.thread.input.focus();
+    }
+    
+    // Start writing a new thread at { x, y, pathId }
+    openDraft(anchor) {
+        this.close();
+        this.thread = this.createThread(null, anchor, 'Comment');
+        this.place(this.thread.element, this.getAnchor(anchor));
+        this.thread.input.focus();
+    }
+    
+    close() {
+        if (!this.thread) return;
+        
+        const { commentId, element } = this.thread;
+        element.remove();
+        this.thread = null;
+        if (this.comments.has(commentId)) {
+            this.updatePin(this.comments.get(commentId));
+        }
+    }
+    
+    // The box a thread is read and answered in; Enter sends, Shift+Enter starts a new line
+    createThread(commentId, anchor, sendLabel) {
+        const element = document.createElement('div');
+        element.className = 'comment-thread';
+        const list = document.createElement('ul');
+        list.className = 'comment-messages';
+        const input = document.createElement('textarea');
+        input.className = 'comment-input';
+        input.rows = 2;
+        input.maxLength = MAX_MESSAGE_LENGTH;
+        input.placeholder = `${sendLabel} (@ to mention someone)`;
+        const actions = document.createElement('div');
+        actions.className = 'comment-actions';
+        const sendBtn = document.createElement('button');
+        sendBtn.textContent = sendLabel;
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '✖';
+        closeBtn.title = 'Close';
+        actions.append(sendBtn, closeBtn);
+        element.append(list, input, actions);
+        this.container.appendChild(element);
+        
+        // Suggestions get the keys first, so Enter picks a name instead of sending
+        new MentionSuggestions(input, this.getUsers);
+        input.addEventListener('keydown', (e) => {
+            if (e.defaultPrevented) return;
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.submit();
+            } else if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+        sendBtn.addEventListener('click', () => this.submit());
+        closeBtn.addEventListener('click', () => this.close());
+        
+        return { commentId, anchor, element, list, input, resolveBtn: null };
+    }
+    
+    // Send what was typed as a reply, or as the first message of a new thread
+    submit() {
+        const text = this.thread.input.value.trim();
+        if (!text) return;
+        
+        const message = { text, mentions: findMentions(text, this.getUsers()) };
+        if (this.thread.commentId) {
+            if (this.onReply) {
+                this.onReply({ commentId: this.thread.commentId, ...message });
+            }
+            this.thread.input.value = '';
+        } else {
+            if (this.onCreate) {
+                this.onCreate({ ...this.thread.anchor, ...message });
+            }
+            this.close();
+        }
+    }
+}
\ No newline at end of file
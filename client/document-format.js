@@ -0,0 +1,308 @@
+// Saved drawing documents, shared by the client's Save/Load and the server's import
+//
+// A document is a JSON object with a format name and version, the room it was
+// saved from, its layers (with their snapshots), the users who were in the
+// room, the uploaded images it uses (embedded as base64) and its paths:
+//
+//   { format: 'frontstack-drawing', version: 1, savedAt, room: { id },
+//     layers: [...], users: [...], assets: [...], paths: [...] }
+//
+// Documents from older versions are migrated step by step to the current one.
+// Version 0 is a bare JSON array of paths, or an object with just `paths`.
+//
+// Loaded with a <script> tag in the browser (window.DocumentFormat) and with
+// require() on the server.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DocumentFormat = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const FORMAT_NAME = 'frontstack-drawing';
+    const FORMAT_VERSION = 1;
+    
+    const DEFAULT_LAYER_ID = 'default'; // Layer of paths that don't name one
+    const MAX_LAYERS = 50; // The server refuses more layers per room
+    const MAX_LAYER_NAME_LENGTH = 50;
+    const MAX_PATHS = 100000;
+    const MAX_ERRORS = 50; // Validation stops collecting errors after this many
+    
+    // Same rules as server/validation.js and server/assets.js
+    const ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+    const LAYER_NAME_PATTERN = /^[^\x00-\x1f\x7f]+$/;
+    const ASSET_ID_PATTERN = /^[0-9a-f]{64}$/;
+    const ASSET_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml'];
+    const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+    const SNAPSHOT_IMAGE_PREFIX = 'data:image/png;base64,';
+    
+    // Thrown for documents that can't be read; errors lists every problem found
+    // as { path, message }, where path points into the document (e.g. 'layers[2].opacity')
+    class DocumentError extends Error {
+        constructor(message, errors = []) {
+            super(message);
+            this.name = 'DocumentError';
+            this.errors = errors;
+        }
+    }
+    
+    // A shown, unlocked and opaque layer without a snapshot
+    function createLayer(id, name) {
+        return { id, name, visible: true, locked: false, opacity: 1, snapshot: null };
+    }
+    
+    // Upgrade functions, by the version they upgrade from
+    const MIGRATIONS = {
+        // Unversioned saves only held paths; every layer they name is created
+        0: data => {
+            const paths = Array.isArray(data) ? data : data.paths;
+            const layerIds = new Set([DEFAULT_LAYER_ID]);
+            paths.forEach(path => {
+                if (path && typeof path.layerId === 'string') {
+                    layerIds.add(path.layerId);
+                }
+            });
+            
+            return {
+                format: FORMAT_NAME,
+                version: 1,
+                savedAt: null,
+                room: { id: null },
+                layers: [...layerIds].map((id, i) => createLayer(id, `Layer ${i + 1}`)),
+                users: [],
+                assets: [],
+                paths
+            };
+        }
+    };
+    
+    // Build a document from a room's drawing
+    function createDocument({ roomId = null, layers, users = [], assets = [], paths }) {
+        return {
+            format: FORMAT_NAME,
+            version: FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            room: { id: roomId },
+            layers: layers.map(({ id, name, visible, locked, opacity, snapshot }) => ({
+                id, name, visible, locked, opacity, snapshot: snapshot || null
+            })),
+            users: users.map(({ id, name, color }) => ({ id, name, color })),
+            assets: assets.map(({ id, type, data }) => ({ id, type, data })),
+            paths
+        };
+    }
+    
+    // Version of parsed JSON data, 0 for unversioned saves, or null if it isn't a document
+    function getVersion(data) {
+        if (Array.isArray(data)) return 0;
+        if (!data || typeof data !== 'object') return null;
+        if (data.format === undefined && data.version === undefined && Array.isArray(data.paths)) return 0;
+        if (data.format !== FORMAT_NAME) return null;
+        return data.version;
+    }
+    
+    // Bring parsed JSON data up to the current version
+    // Returns { document, migratedFrom }, where migratedFrom is the version it had
+    function migrateDocument(data) {
+        const version = getVersion(data);
+        if (version === null) {
+            throw new DocumentError('This file is not a saved drawing', [
+                { path: 'format', message: `format must be "${FORMAT_NAME}"` }
+            ]);
+        }
+        if (!Number.isInteger(version) || version < 0) {
+            throw new DocumentError('This drawing has an invalid version', [
+                { path: 'version', message: 'version must be a whole number' }
+            ]);
+        }
+        if (version > FORMAT_VERSION) {
+            throw new DocumentError(`This drawing was saved by a newer version (format version ${version})`, [
+                { path: 'version', message: `version must be at most ${FORMAT_VERSION}` }
+            ]);
+        }
+        
+        let document = data;
+        for (let from = version; from < FORMAT_VERSION; from++) {
+            document = MIGRATIONS[from](document);
+        }
+        return { document, migratedFrom: version };
+    }
+    
+    // Check a document of the current version
+    // Returns the problems found as [{ path, message }], empty if there are none.
+    // Paths are only checked for an ID and a known layer here; the server checks
+    // the rest of each path like any drawn path.
+    function validateDocument(document) {
+        const errors = [];
+        const report = (path, message) => {
+            if (errors.length < MAX_ERRORS) {
+                errors.push({ path, message });
+            }
+        };
+        
+        const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const checkString = (value, path, pattern, maxLength = 0) => {
+            if (typeof value !== 'string') {
+                report(path, `${path} must be a string`);
+            } else if (maxLength && value.length > maxLength) {
+                report(path, `${path} must be at most ${maxLength} characters`);
+            } else if (pattern && !pattern.test(value)) {
+                report(path, `${path} has an invalid format`);
+            }
+        };
+        const checkArray = (value, path, maxLength) => {
+            if (!Array.isArray(value)) {
+                report(path, `${path} must be an array`);
+                return false;
+            }
+            if (value.length > maxLength) {
+                report(path, `${path} must have at most ${maxLength} entries`);
+                return false;
+            }
+            return true;
+        };
+        
+        if (!isObject(document)) {
+            return [{ path: '', message: 'The document must be an object' }];
+        }
+        if (document.format !== FORMAT_NAME) {
+            report('format', `format must be "${FORMAT_NAME}"`);
+        }
+        if (document.version !== FORMAT_VERSION) {
+            report('version', `version must be ${FORMAT_VERSION}`);
+        }
+        if (!isObject(document.room)) {
+            report('room', 'room must be an object');
+        } else if (document.room.id !== null && typeof document.room.id !== 'string') {
+            report('room.id', 'room.id must be a string or null');
+        }
+        
+        const layerIds = new Set();
+        if (checkArray(document.layers, 'layers', MAX_LAYERS)) {
+            if (document.layers.length === 0) {
+                report('layers', 'layers must have at least one entry');
+            }
+            document.layers.forEach((layer, i) => {
+                const path = `layers[${i}]`;
+                if (!isObject(layer)) {
+                    report(path, `${path} must be an object`);
+                    return;
+                }
+                checkString(layer.id, `${path}.id`, ID_PATTERN);
+                if (layerIds.has(layer.id)) {
+                    report(`${path}.id`, `${path}.id is used by another layer`);
+                }
+                layerIds.add(layer.id);
+                checkString(layer.name, `${path}.name`, LAYER_NAME_PATTERN, MAX_LAYER_NAME_LENGTH);
+                ['visible', 'locked'].forEach(key => {
+                    if (typeof layer[key] !== 'boolean') {
+                        report(`${path}.${key}`, `${path}.${key} must be true or false`);
+                    }
+                });
+                if (!isNumber(layer.opacity) || layer.opacity < 0 || layer.opacity > 1) {
+                    report(`${path}.opacity`, `${path}.opacity must be between 0 and 1`);
+                }
+                
+                const snapshot = layer.snapshot;
+                if (snapshot === null || snapshot === undefined) return;
+                if (!isObject(snapshot)) {
+                    report(`${path}.snapshot`, `${path}.snapshot must be an object or null`);
+                    return;
+                }
+                ['x', 'y'].forEach(key => {
+                    if (!isNumber(snapshot[key])) {
+                        report(`${path}.snapshot.${key}`, `${path}.snapshot.${key} must be a finite number`);
+                    }
+                });
+                ['width', 'height'].forEach(key => {
+                    if (!isNumber(snapshot[key]) || snapshot[key] <= 0) {
+                        report(`${path}.snapshot.${key}`, `${path}.snapshot.${key} must be a positive number`);
+                    }
+                });
+                if (typeof snapshot.image !== 'string' || !snapshot.image.startsWith(SNAPSHOT_IMAGE_PREFIX) ||
+                    !BASE64_PATTERN.test(snapshot.image.slice(SNAPSHOT_IMAGE_PREFIX.length))) {
+                    report(`${path}.snapshot.image`, `${path}.snapshot.image must be a PNG data URL`);
+                }
+            });
+        }
+        
+        if (checkArray(document.users, 'users', Infinity)) {
+            document.users.forEach((user, i) => {
+                if (!isObject(user)) {
+                    report(`users[${i}]`, `users[${i}] must be an object`);
+                    return;
+                }
+                checkString(user.id, `users[${i}].id`);
+                ['name', 'color'].forEach(key => {
+                    if (user[key] !== undefined && user[key] !== null && typeof user[key] !== 'string') {
+                        report(`users[${i}].${key}`, `users[${i}].${key} must be a string`);
+                    }
+                });
+            });
+        }
+        
+        if (checkArray(document.assets, 'assets', Infinity)) {
+            document.assets.forEach((asset, i) => {
+                const path = `assets[${i}]`;
+                if (!isObject(asset)) {
+                    report(path, `${path} must be an object`);
+                    return;
+                }
+                checkString(asset.id, `${path}.id`, ASSET_ID_PATTERN);
+                if (!ASSET_TYPES.includes(asset.type)) {
+                    report(`${path}.type`, `${path}.type must be one of: ${ASSET_TYPES.join(', ')}`);
+                }
+                // Without data the image must already be on the server
+                if (asset.data !== undefined) {
+                    checkString(asset.data, `${path}.data`, BASE64_PATTERN);
+                }
+            });
+        }
+        
+        const pathIds = new Set();
+        if (checkArray(document.paths, 'paths', MAX_PATHS)) {
+            document.paths.forEach((pathData, i) => {
+                const path = `paths[${i}]`;
+                if (!isObject(pathData)) {
+                    report(path, `${path} must be an object`);
+                    return;
+                }
+                checkString(pathData.id, `${path}.id`, ID_PATTERN);
+                if (pathIds.has(pathData.id)) {
+                    report(`${path}.id`, `${path}.id is used by another path`);
+                }
+                pathIds.add(pathData.id);
+                
+                const layerId = pathData.layerId === undefined ? DEFAULT_LAYER_ID : pathData.layerId;
+                if (Array.isArray(document.layers) && !layerIds.has(layerId)) {
+                    report(`${path}.layerId`, `${path}.layerId must name one of the document's layers`);
+                }
+            });
+        }
+        
+        return errors;
+    }
+    
+    // Migrate and check parsed JSON data; returns { document, migratedFrom } or
+    // throws a DocumentError that lists what is wrong
+    function readDocument(data) {
+        const result = migrateDocument(data);
+        const errors = validateDocument(result.document);
+        if (errors.length > 0) {
+            const more = errors.length === MAX_ERRORS ? ' (and maybe more)' : '';
+            throw new DocumentError(`The drawing has ${errors.length} problem${errors.length === 1 ? '' : 's'}${more}: ${errors[0].message}`, errors);
+        }
+        return result;
+    }
+    
+    return {
+        FORMAT_NAME,
+        FORMAT_VERSION,
+        DocumentError,
+        createDocument,
+        migrateDocument,
+        validateDocument,
+        readDocument
+    };
+});
\ No newline at end of file
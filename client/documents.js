@@ -0,0 +1,72 @@
+// Saving the drawing to a file, and loading saved drawings into the room
+//
+// Files use the document format of document-format.js (window.DocumentFormat).
+// A file being loaded is checked here first, so problems show up straight
+// away, then sent to the server's POST /rooms/:roomId/import, which checks it
+// again, changes the room and sends the result to everyone in it.
+
+import { fetchAssetDataUrl } from './assets.js';
+
+const MAX_DOCUMENT_SIZE = 50 * 1024 * 1024; // The server refuses bigger files
+
+// Build a document of the drawing, with its uploaded images embedded
+// users is a list of { id, name, color }
+export async function createRoomDocument(canvasManager, roomId, users) {
+    const paths = canvasManager.getPaths();
+    const assetIds = [...new Set(paths.filter(p => p.tool === 'image').map(p => p.assetId))];
+    
+    // Images that can't be fetched are saved by ID only, and show as placeholders elsewhere
+    const assets = await Promise.all(assetIds.map(async assetId => {
+        try {
+            const [, type, data] = /^data:([^;,]+);base64,(.*)$/.exec(await fetchAssetDataUrl(assetId));
+            return { id: assetId, type, data };
+        } catch (error) {
+            console.warn(`[Documents] Could not embed image ${assetId}:`, error);
+            return null;
+        }
+    }));
+    
+    return window.DocumentFormat.createDocument({
+        roomId,
+        layers: canvasManager.layers,
+        users,
+        assets: assets.filter(Boolean),
+        paths
+    });
+}
+
+// Read a saved drawing; resolves to its text once it is known to be a document
+// that can be loaded, or throws an error whose errors list what is wrong
+export async function readDocumentFile(file) {
+    if (file.size > MAX_DOCUMENT_SIZE) {
+        throw new Error('Saved drawings must be at most 50 MB');
+    }
+    
+    const text = await file.text();
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+    window.DocumentFormat.readDocument(data);
+    return text;
+}
+
+// Load a saved drawing into a room for the user whose socket got the upload token,
+// replacing its drawing or merging into it ('replace' or 'merge');
+// resolves to { mode, layers, paths, migratedFrom }
+export async function importDocument(text, roomId, mode, uploadToken) {
+    const response = await fetch(`/rooms/${encodeURIComponent(roomId)}/import?mode=${mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Upload-Token': uploadToken },
+        body: text
+    });
+    const result = await response.json().catch(() => null);
+    if (!response.ok) {
+        const error = new Error(result && result.message ? result.message : `The server answered ${response.status}`);
+        error.errors = (result && result.errors) || [];
+        throw error;
+    }
+    return result;
+}
\ No newline at end of file
@@ -0,0 +1,209 @@
+// Exporting the drawing as SVG, PNG or PDF
+//
+// SVG files are rendered by svg-export.js (window.SvgExport), the same code
+// the server uses for GET /rooms/:roomId/export.svg, with uploaded images
+// inlined so the file stands on its own. PNG images and PDF pages are drawn by
+// the canvas manager itself, so they look just like the board.
+
+import { fetchAssetDataUrl } from './assets.js';
+
+const EXPORT_PADDING = 10; // World units left around the drawing
+const BACKGROUND_COLOR = '#ffffff'; // Board colour behind PNG images and PDF pages
+const MAX_IMAGE_SIZE = 16384; // Largest image side browsers reliably draw, in pixels
+const PDF_PAGE_SIZE = { width: 595.28, height: 841.89 }; // A4 portrait, in points
+const PDF_POINTS_PER_PIXEL = 0.75; // 72 points per inch, 96 CSS pixels per inch
+const PDF_IMAGE_DENSITY = 2; // Image pixels per CSS pixel on PDF pages, for sharper prints
+const PDF_JPEG_QUALITY = 0.92;
+const MAX_PDF_PAGES = 100;
+
+// Region of the world to export: the whole drawing ('drawing') or what is in view ('view')
+export function getExportRegion(canvasManager, crop) {
+    if (crop === 'view') {
+        return canvasManager.getViewRegion();
+    }
+    
+    const bounds = canvasManager.getContentBounds();
+    if (!bounds) {
+        throw new Error('There is nothing to export');
+    }
+    return {
+        x: bounds.minX - EXPORT_PADDING,
+        y: bounds.minY - EXPORT_PADDING,
+        width: bounds.maxX - bounds.minX + EXPORT_PADDING * 2,
+        height: bounds.maxY - bounds.minY + EXPORT_PADDING * 2
+    };
+}
+
+// SVG of the visible layers; scale sets its size in pixels per world unit
+export async function exportSvg(canvasManager, { scale = 1, crop = 'drawing' } = {}) {
+    const region = getExportRegion(canvasManager, crop);
+    const paths = canvasManager.getPaths();
+    const assetUrls = await loadAssetDataUrls(paths);
+    
+    const svg = window.SvgExport.renderSvg({ layers: canvasManager.layers, paths }, {
+        region,
+        scale,
+        assetUrl: assetId => assetUrls.get(assetId) || null,
+        measureLine: (line, path) => canvasManager.measureTextLine(line, path)
+    });
+    return new Blob([svg], { type: 'image/svg+xml' });
+}
+
+// PNG of the visible layers at scale pixels per world unit
+export async function exportPng(canvasManager, { scale = 1, crop = 'drawing' } = {}) {
+    const region = getExportRegion(canvasManager, crop);
+    if (Math.max(region.width, region.height) * scale > MAX_IMAGE_SIZE) {
+        throw new Error('The image would be too large, choose a smaller scale');
+    }
+    
+    await canvasManager.loadImages();
+    return canvasToBlob(canvasManager.renderRegion(region, scale, BACKGROUND_COLOR), 'image/png');
+}
+
+// PDF of the visible layers, printed across as many A4 pages as it takes at
+// scale CSS pixels per world unit; wide drawings get landscape pages
+export async function exportPdf(canvasManager, { scale = 1, crop = 'drawing' } = {}) {
+    const region = getExportRegion(canvasManager, crop);
+    const page = region.width > region.height
+        ? { width: PDF_PAGE_SIZE.height, height: PDF_PAGE_SIZE.width }
+        : PDF_PAGE_SIZE;
+    
+    // World units covered by one page
+    const tileWidth = page.width / PDF_POINTS_PER_PIXEL / scale;
+    const tileHeight = page.height / PDF_POINTS_PER_PIXEL / scale;
+    const columns = Math.max(1, Math.ceil(region.width / tileWidth));
+    const rows = Math.max(1, Math.ceil(region.height / tileHeight));
+    if (columns * rows > MAX_PDF_PAGES) {
+        throw new Error(`The PDF would have more than ${MAX_PDF_PAGES} pages, choose a smaller scale`);
+    }
+    
+    await canvasManager.loadImages();
+    
+    // Pages go left to right, then top to bottom
+    const pages = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const tile = {
+                x: region.x + column * tileWidth,
+                y: region.y + row * tileHeight,
+                width: tileWidth,
+                height: tileHeight
+            };
+            const canvas = canvasManager.renderRegion(tile, scale * PDF_IMAGE_DENSITY, BACKGROUND_COLOR);
+            const jpeg = await canvasToBlob(canvas, 'image/jpeg', PDF_JPEG_QUALITY);
+            pages.push({
+                ...page,
+                image: new Uint8Array(await jpeg.arrayBuffer()),
+                imageWidth: canvas.width,
+                imageHeight: canvas.height
+            });
+        }
+    }
+    return createPdf(pages);
+}
+
+const EXPORTERS = { svg: exportSvg, png: exportPng, pdf: exportPdf };
+
+// Export the drawing in a format ('svg', 'png' or 'pdf'); resolves to a Blob
+export function exportDrawing(canvasManager, format, options) {
+    const exporter = EXPORTERS[format];
+    if (!exporter) {
+        return Promise.reject(new Error(`Unknown export format: ${format}`));
+    }
+    return exporter(canvasManager, options);
+}
+
+// Save a Blob through the browser's downloads
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Fetch the uploaded images used by paths as data URLs; images that can't be
+// fetched are left out, and exported as placeholders
+async function loadAssetDataUrls(paths) {
+    const assetIds = new Set(paths.filter(p => p.tool === 'image').map(p => p.assetId));
+    const assetUrls = new Map();
+    
+    await Promise.all([...assetIds].map(async assetId => {
+        try {
+            assetUrls.set(assetId, await fetchAssetDataUrl(assetId));
+        } catch (error) {
+            console.warn(`[Export] Could not load image ${assetId}:`, error);
+        }
+    }));
+    return assetUrls;
+}
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('The image could not be created'));
+            }
+        }, type, quality);
+    });
+}
+
+// Write a PDF with a JPEG image filling each page
+// pages: [{ width, height (in points), image (JPEG bytes), imageWidth, imageHeight }]
+function createPdf(pages) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const offsets = []; // Object number -> byte offset, for the cross-reference table
+    let length = 0;
+    
+    const write = data => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        parts.push(bytes);
+        length += bytes.length;
+    };
+    const writeObject = (id, content) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${content}\nendobj\n`);
+    };
+    
+    // Objects 1 and 2 are the catalog and the page tree; each page then has a
+    // page object, a content stream and an image
+    const pageIds = pages.map((page, i) => 3 + i * 3);
+    const objectCount = 3 + pages.length * 3;
+    
+    write('%PDF-1.4\n');
+    writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    writeObject(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    
+    pages.forEach((page, i) => {
+        const id = pageIds[i];
+        const width = page.width.toFixed(2);
+        const height = page.height.toFixed(2);
+        const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+        
+        writeObject(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+            `/Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`);
+        writeObject(id + 1, `<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+        
+        offsets[id + 2] = length;
+        write(`${id + 2} 0 obj\n<< /Type /XObject /Subtype /Image /Width ${page.imageWidth} /Height ${page.imageHeight} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.image.length} >>\nstream\n`);
+        write(page.image);
+        write('\nendstream\nendobj\n');
+    });
+    
+    // Cross-reference table entries are exactly 20 bytes each
+    const xrefOffset = length;
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let id = 1; id < objectCount; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+    
+    return new Blob(parts, { type: 'application/pdf' });
+}
\ No newline at end of file
@@ -0,0 +1,417 @@
+// Geometry helpers for selecting and transforming paths
+//
+// Brush strokes, polylines, polygons, lines, arrows and circles are transformed
+// by moving their points. Box shapes (see client/shapes.js, window.Shapes), text
+// and images keep unrotated corners plus a rotation (radians) about their centre.
+
+export const HIT_TOLERANCE = 6; // In screen pixels; divide by the zoom for world units
+const MIN_FONT_SIZE = 4; // Font sizes the server accepts for text
+const MAX_FONT_SIZE = 1000;
+
+// Distance from (px, py) to the segment (x1, y1)-(x2, y2)
+export function distanceToSegment(px, py, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    
+    let t = lengthSquared === 0 ? 0 : ((px - x1) * dx + (py - y1) * dy) / lengthSquared;
+    t = Math.max(0, Math.min(1, t));
+    
+    return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+// Rotate (x, y) by angle about (cx, cy)
+export function rotatePoint(x, y, cx, cy, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return {
+        x: cx + (x - cx) * cos - (y - cy) * sin,
+        y: cy + (x - cx) * sin + (y - cy) * cos
+    };
+}
+
+// Box shapes, text and images are boxes that rotate about their centre
+function isBoxShape(path) {
+    return path.tool === 'text' || path.tool === 'image' || window.Shapes.isBoxShape(path);
+}
+
+// Keep angles in (-PI, PI]
+function normalizeAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+// Eraser strokes are invisible on their own, so they can't be selected
+export function isSelectable(path) {
+    return !(path.points && path.points.length > 0 && path.points[0].tool === 'eraser');
+}
+
+// The selection frame of a path: its centre, size and rotation
+export function getPathFrame(path) {
+    if (path.points || path.vertices) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        (path.points || path.vertices).forEach(point => {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        });
+        return { cx: (minX + maxX) / 2, cy: (minY + maxY) / 2, width: maxX - minX, height: maxY - minY, rotation: 0 };
+    }
+    
+    if (path.tool === 'circle') {
+        const radius = Math.hypot(path.endX - path.startX, path.endY - path.startY);
+        return { cx: path.startX, cy: path.startY, width: radius * 2, height: radius * 2, rotation: 0 };
+    }
+    
+    return {
+        cx: (path.startX + path.endX) / 2,
+        cy: (path.startY + path.endY) / 2,
+        width: Math.abs(path.endX - path.startX),
+        height: Math.abs(path.endY - path.startY),
+        rotation: isBoxShape(path) ? (path.rotation || 0) : 0
+    };
+}
+
+// Corners of a frame in world coordinates: top-left, top-right, bottom-right, bottom-left
+export function getFrameCorners(frame, padding = 0) {
+    const halfWidth = frame.width / 2 + padding;
+    const halfHeight = frame.height / 2 + padding;
+    return [
+        [-halfWidth, -halfHeight],
+        [halfWidth, -halfHeight],
+        [halfWidth, halfHeight],
+        [-halfWidth, halfHeight]
+    ].map(([x, y]) => rotatePoint(frame.cx + x, frame.cy + y, frame.cx, frame.cy, frame.rotation));
+}
+
+// Check whether (x, y) is on the stroke of a path
+export function hitTestPath(path, x, y, tolerance = HIT_TOLERANCE) {
+    if (path.points) {
+        if (path.points.length === 0) return false;
+        
+        const reach = (path.points[0].strokeWidth || 1) / 2 + tolerance;
+        if (path.points.length === 1) {
+            return Math.hypot(x - path.points[0].x, y - path.points[0].y) <= reach;
+        }
+        for (let i = 1; i < path.points.length; i++) {
+            const a = path.points[i - 1];
+            const b = path.points[i];
+            if (distanceToSegment(x, y, a.x, a.y, b.x, b.y) <= reach) return true;
+        }
+        return false;
+    }
+    
+    if (path.tool === 'text' || path.tool === 'image') {
+        // Text and images are picked anywhere in their box, not just on the outline
+        return isInsideFrame(getPathFrame(path), x, y, tolerance);
+    }
+    if (window.Shapes.isShape(path)) {
+        // Filled shapes are picked anywhere inside, others on their outline or arrow heads
+        const figures = window.Shapes.getShapeFigures(path);
+        if (path.fill && isInsidePolygon(figures[0].points, x, y)) return true;
+        
+        const reach = (path.strokeWidth || 1) / 2 + tolerance;
+        return figures.some(figure => {
+            const points = figure.closed ? [...figure.points, figure.points[0]] : figure.points;
+            for (let i = 1; i < points.length; i++) {
+                if (distanceToSegment(x, y, points[i - 1].x, points[i - 1].y, points[i].x, points[i].y) <= reach) return true;
+            }
+            return false;
+        });
+    }
+    return false;
+}
+
+// Check whether (x, y) is inside a polygon, by the even-odd rule
+function isInsidePolygon(points, x, y) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > y) !== (b.y > y) && x < a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Check whether (x, y) is inside a frame
+export function isInsideFrame(frame, x, y, tolerance = HIT_TOLERANCE) {
+    const local = rotatePoint(x, y, frame.cx, frame.cy, -frame.rotation);
+    return Math.abs(local.x - frame.cx) <= frame.width / 2 + tolerance &&
+        Math.abs(local.y - frame.cy) <= frame.height / 2 + tolerance;
+}
+
+// Bounding box of a path, including its stroke
+export function getPathBounds(path) {
+    if (path.points && path.points.length === 0) return null;
+    if (window.Shapes.isShape(path)) return window.Shapes.getShapeBounds(path);
+    
+    const corners = getFrameCorners(getPathFrame(path));
+    const half = ((path.points ? path.points[0].strokeWidth : path.strokeWidth) || 1) / 2;
+    return {
+        minX: Math.min(...corners.map(c => c.x)) - half,
+        minY: Math.min(...corners.map(c => c.y)) - half,
+        maxX: Math.max(...corners.map(c => c.x)) + half,
+        maxY: Math.max(...corners.map(c => c.y)) + half
+    };
+}
+
+// Pieces of the smooth curve drawn through a stroke's points
+// Each piece is a quadratic curve from one midpoint between points to the next,
+// bent towards the point between them; the first and last pieces reach the ends.
+// Returns [{ from, control, to, point }], where point is the stroke point the piece belongs to
+export function getCurveSegments(points) {
+    const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    const segments = [];
+    
+    if (points.length < 2) return segments;
+    
+    let from = points[0];
+    for (let i = 1; i < points.length - 1; i++) {
+        const to = mid(points[i], points[i + 1]);
+        segments.push({ from, control: points[i], to, point: points[i] });
+        from = to;
+    }
+    
+    // A straight piece to the last point
+    const last = points[points.length - 1];
+    segments.push({ from, control: mid(from, last), to: last, point: last });
+    return segments;
+}
+
+// Check whether the segments a-b and c-d cross
+function segmentsIntersect(a, b, c, d) {
+    const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+// Shortest distance between the segments a-b and c-d
+export function segmentDistance(a, b, c, d) {
+    if (segmentsIntersect(a, b, c, d)) return 0;
+    
+    return Math.min(
+        distanceToSegment(a.x, a.y, c.x, c.y, d.x, d.y),
+        distanceToSegment(b.x, b.y, c.x, c.y, d.x, d.y),
+        distanceToSegment(c.x, c.y, a.x, a.y, b.x, b.y),
+        distanceToSegment(d.x, d.y, a.x, a.y, b.x, b.y)
+    );
+}
+
+// Check whether a path comes within radius of the eraser moving from `from` to `to`
+export function pathTouchesSegment(path, from, to, radius) {
+    if (path.points) {
+        if (path.points.length === 0) return false;
+        
+        const reach = radius + (path.points[0].strokeWidth || 1) / 2;
+        if (path.points.length === 1) {
+            return distanceToSegment(path.points[0].x, path.points[0].y, from.x, from.y, to.x, to.y) <= reach;
+        }
+        for (let i = 1; i < path.points.length; i++) {
+            if (segmentDistance(path.points[i - 1], path.points[i], from, to) <= reach) return true;
+        }
+        return false;
+    }
+    
+    // Shapes are tested at points along the movement, no further apart than the radius
+    const steps = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / Math.max(radius, 1)));
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        if (hitTestPath(path, from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t, radius)) return true;
+    }
+    return false;
+}
+
+// A point part way (t) from a to b, keeping a's style
+function interpolatePoint(a, b, t) {
+    const point = { ...a, x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+    if (a.pressure !== undefined && b.pressure !== undefined) {
+        point.pressure = a.pressure + (b.pressure - a.pressure) * t;
+    }
+    return point;
+}
+
+// The part [t0, t1] of the segment a-b within reach of the segment from-to, or null
+function getErasedInterval(a, b, from, to, reach) {
+    if (segmentDistance(a, b, from, to) > reach) return null;
+    
+    // The distance along a-b is convex, so the erased part is one interval
+    // around the closest approach
+    const distance = t => distanceToSegment(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t, from.x, from.y, to.x, to.y);
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 40; i++) {
+        const third = (high - low) / 3;
+        if (distance(low + third) <= distance(high - third)) {
+            high -= third;
+        } else {
+            low += third;
+        }
+    }
+    const closest = (low + high) / 2;
+    
+    // Bisect for where the segment leaves the eraser's reach
+    const edge = (inside, outside) => {
+        if (distance(outside) <= reach) return outside;
+        for (let i = 0; i < 30; i++) {
+            const middle = (inside + outside) / 2;
+            if (distance(middle) <= reach) {
+                inside = middle;
+            } else {
+                outside = middle;
+            }
+        }
+        return inside;
+    };
+    
+    return [edge(closest, 0), edge(closest, 1)];
+}
+
+// Cut away the parts of a stroke within radius of the eraser moving from `from` to `to`
+// Returns the point lists of the pieces left (possibly none), or null if the stroke wasn't touched
+export function cutStroke(points, from, to, radius) {
+    const reach = radius + (points[0].strokeWidth || 1) / 2;
+    
+    if (points.length === 1) {
+        return distanceToSegment(points[0].x, points[0].y, from.x, from.y, to.x, to.y) <= reach ? [] : null;
+    }
+    
+    const pieces = [];
+    let piece = [points[0]];
+    let touched = false;
+    
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const interval = getErasedInterval(a, b, from, to, reach);
+        
+        if (!interval) {
+            if (piece) piece.push(b);
+            continue;
+        }
+        
+        touched = true;
+        const [start, end] = interval;
+        if (piece) {
+            if (start > 0) piece.push(interpolatePoint(a, b, start));
+            if (piece.length >= 2) pieces.push(piece);
+        }
+        piece = end < 1 ? [interpolatePoint(a, b, end), b] : null;
+    }
+    
+    if (piece && piece.length >= 2) pieces.push(piece);
+    return touched ? pieces : null;
+}
+
+// Find the topmost selectable path at (x, y)
+export function findPathAt(paths, x, y, tolerance = HIT_TOLERANCE) {
+    for (let i = paths.length - 1; i >= 0; i--) {
+        if (isSelectable(paths[i]) && hitTestPath(paths[i], x, y, tolerance)) {
+            return paths[i];
+        }
+    }
+    return null;
+}
+
+// Move a path by (dx, dy)
+export function translatePath(path, dx, dy) {
+    if (path.points) {
+        return { ...path, points: path.points.map(point => ({ ...point, x: point.x + dx, y: point.y + dy })) };
+    }
+    if (path.vertices) {
+        return { ...path, vertices: path.vertices.map(vertex => ({ x: vertex.x + dx, y: vertex.y + dy })) };
+    }
+    return {
+        ...path,
+        startX: path.startX + dx,
+        startY: path.startY + dy,
+        endX: path.endX + dx,
+        endY: path.endY + dy
+    };
+}
+
+// Rotate a path by angle about the centre of its frame
+export function rotatePath(path, angle) {
+    const frame = getPathFrame(path);
+    
+    if (path.points) {
+        return {
+            ...path,
+            points: path.points.map(point => ({ ...point, ...rotatePoint(point.x, point.y, frame.cx, frame.cy, angle) }))
+        };
+    }
+    if (path.vertices) {
+        return { ...path, vertices: path.vertices.map(vertex => rotatePoint(vertex.x, vertex.y, frame.cx, frame.cy, angle)) };
+    }
+    
+    if (isBoxShape(path)) {
+        return { ...path, rotation: normalizeAngle((path.rotation || 0) + angle) };
+    }
+    
+    const start = rotatePoint(path.startX, path.startY, frame.cx, frame.cy, angle);
+    const end = rotatePoint(path.endX, path.endY, frame.cx, frame.cy, angle);
+    return { ...path, startX: start.x, startY: start.y, endX: end.x, endY: end.y };
+}
+
+// Scale a path along its frame's own axes, keeping (anchorX, anchorY) fixed
+export function scalePath(path, anchorX, anchorY, scaleX, scaleY) {
+    const frame = getPathFrame(path);
+    
+    // Map a point into the frame's unrotated axes, scale it about the anchor and map it back
+    const scale = (x, y) => {
+        const local = rotatePoint(x, y, anchorX, anchorY, -frame.rotation);
+        return rotatePoint(
+            anchorX + (local.x - anchorX) * scaleX,
+            anchorY + (local.y - anchorY) * scaleY,
+            anchorX,
+            anchorY,
+            frame.rotation
+        );
+    };
+    
+    if (path.points) {
+        return { ...path, points: path.points.map(point => ({ ...point, ...scale(point.x, point.y) })) };
+    }
+    if (path.vertices) {
+        return { ...path, vertices: path.vertices.map(vertex => scale(vertex.x, vertex.y)) };
+    }
+    
+    if (path.tool === 'circle') {
+        // Circles stay circles, following the larger of the two scales
+        const centre = scale(path.startX, path.startY);
+        const radius = frame.width / 2 * Math.max(Math.abs(scaleX), Math.abs(scaleY));
+        return { ...path, startX: centre.x, startY: centre.y, endX: centre.x + radius, endY: centre.y };
+    }
+    
+    if (isBoxShape(path)) {
+        // Corners stay unrotated about the new centre
+        const centre = scale(frame.cx, frame.cy);
+        const halfWidth = frame.width * Math.abs(scaleX) / 2;
+        const halfHeight = frame.height * Math.abs(scaleY) / 2;
+        const scaled = {
+            ...path,
+            startX: centre.x - halfWidth,
+            startY: centre.y - halfHeight,
+            endX: centre.x + halfWidth,
+            endY: centre.y + halfHeight
+        };
+        
+        // Text grows with its box's height, so it keeps its size when it is retyped
+        if (path.tool === 'text') {
+            scaled.fontSize = Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, path.fontSize * Math.abs(scaleY)));
+        }
+        // Rounded corners follow the smaller of the two scales, so they stay round
+        if (path.tool === 'rounded-rectangle') {
+            scaled.cornerRadius = path.cornerRadius * Math.min(Math.abs(scaleX), Math.abs(scaleY));
+        }
+        return scaled;
+    }
+    
+    const start = scale(path.startX, path.startY);
+    const end = scale(path.endX, path.endY);
+    return { ...path, startX: start.x, startY: start.y, endX: end.x, endY: end.y };
+}
\ No newline at end of file
@@ -10,44 +10,105 @@ if (typeof require !== 'undefined') {
 
 import { CanvasManager } from './canvas.js';
 import { WebSocketClient } from './websocket.js';
+import { StrokeStream } from './stroke-stream.js';
+import { Outbox } from './outbox.js';
+import { IMAGE_TYPES, getImageSize, uploadImage } from './assets.js';
+import { downloadBlob, exportDrawing } from './export.js';
+import { createRoomDocument, importDocument, readDocumentFile } from './documents.js';
+import { createAvatar, createAvatarElement, loadProfile, normalizeName, saveProfile } from './profile.js';
+import { RemoteCursors } from './remote-cursors.js';
+import { ChatPanel } from './chat.js';
+import { CommentPins } from './comments.js';
 
 console.log('[Main] Application starting');
 
 // DOM Elements
 console.log('[Main] Getting DOM elements');
+const selectToolBtn = document.getElementById('select-tool');
 const brushToolBtn = document.getElementById('brush-tool');
 const eraserToolBtn = document.getElementById('eraser-tool');
 const rectangleToolBtn = document.getElementById('rectangle-tool');
 const circleToolBtn = document.getElementById('circle-tool');
 const lineToolBtn = document.getElementById('line-tool');
+const textToolBtn = document.getElementById('text-tool');
 const colorPicker = document.getElementById('color-picker');
 const strokeWidthSlider = document.getElementById('stroke-width');
 const strokeWidthValue = document.getElementById('stroke-width-value');
+const smoothingSelect = document.getElementById('smoothing-select');
+const eraserModeSelect = document.getElementById('eraser-mode-select');
+const fontFamilySelect = document.getElementById('font-family-select');
+const fontSizeSelect = document.getElementById('font-size-select');
+const fillToggle = document.getElementById('fill-toggle');
+const fillColorPicker = document.getElementById('fill-color-picker');
+const dashSelect = document.getElementById('dash-select');
+const shapeOpacitySlider = document.getElementById('shape-opacity');
+const shapeOpacityValue = document.getElementById('shape-opacity-value');
+const arrowStartSelect = document.getElementById('arrow-start-select');
+const arrowEndSelect = document.getElementById('arrow-end-select');
+const starSpikesSelect = document.getElementById('star-spikes-select');
 const undoBtn = document.getElementById('undo-btn');
 const redoBtn = document.getElementById('redo-btn');
 const clearBtn = document.getElementById('clear-btn');
 const usersList = document.getElementById('users-list');
+const profileAvatar = document.getElementById('profile-avatar');
+const profileNameInput = document.getElementById('profile-name');
+const profileColorPicker = document.getElementById('profile-color');
+const avatarBtn = document.getElementById('avatar-btn');
+const avatarInput = document.getElementById('avatar-input');
+const removeAvatarBtn = document.getElementById('remove-avatar-btn');
 const statusElement = document.getElementById('status');
 const performanceMetrics = document.getElementById('performance-metrics');
 const roomInput = document.getElementById('room-input');
 const joinRoomBtn = document.getElementById('join-room-btn');
 const createRoomBtn = document.getElementById('create-room-btn');
+const inviteBtn = document.getElementById('invite-btn');
 const saveBtn = document.getElementById('save-btn');
 const loadBtn = document.getElementById('load-btn');
 const fileInput = document.getElementById('file-input');
+const importModeSelect = document.getElementById('import-mode-select');
+const imageBtn = document.getElementById('image-btn');
+const imageInput = document.getElementById('image-input');
+const exportFormatSelect = document.getElementById('export-format-select');
+const exportScaleSelect = document.getElementById('export-scale-select');
+const exportCropSelect = document.getElementById('export-crop-select');
+const exportBtn = document.getElementById('export-btn');
+const fitBtn = document.getElementById('fit-btn');
+const zoomResetBtn = document.getElementById('zoom-reset-btn');
+const layersList = document.getElementById('layers-list');
+const addLayerBtn = document.getElementById('add-layer-btn');
+const layerUpBtn = document.getElementById('layer-up-btn');
+const layerDownBtn = document.getElementById('layer-down-btn');
+const commentBtn = document.getElementById('comment-btn');
+const showResolvedToggle = document.getElementById('show-resolved-toggle');
+
+const MAX_LAYERS = 50; // The server refuses more layers per room
 
 console.log('[Main] DOM elements retrieved');
 
 // Initialize application
 let canvasManager;
 let wsClient;
+let outbox; // Changes to the drawing not yet acknowledged by the server
+let strokeStream;
 let currentUser = null;
 let onlineUsers = {};
+let formerUsers = {}; // userId -> { name, color } of people who drew in the room, for authorship tooltips
+let profile = loadProfile(); // Name, colour and avatar this user chose (see profile.js)
 let currentRoom = 'default';
+let roomCredentials = {}; // Password or invite token used to join the current room
 let fpsCounter = 0;
 let lastFpsUpdate = Date.now();
 let latencyTests = [];
-let cursorPosition = { x: 0, y: 0 };
+let remoteCursors; // Other users' pointers over the canvas
+let chatPanel; // The room's chat (see chat.js)
+let commentPins; // Comment threads pinned to the drawing (see comments.js)
+let pendingCursor = null; // Pointer position waiting for the send interval to pass
+let cursorTimer = null;
+let authorTooltipTimer = null;
+const AUTHOR_TOOLTIP_DELAY = 300; // How long the pointer rests on a path before its author is looked up
+let lastCursorSent = 0;
+const CURSOR_SEND_INTERVAL = 33; // At most ~30 updates per second, within the server's cursor budget
+const COMMENT_ACK_TIMEOUT = 10000; // How long to wait for the server to take a comment or reply
 let connectionAttempts = 0;
 let maxConnectionAttempts = 5;
 
@@ -59,11 +120,29 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Initialize canvas manager
         console.log('[Main] Creating CanvasManager');
         canvasManager = new CanvasManager('drawing-canvas');
+        remoteCursors = new RemoteCursors(document.getElementById('cursors-container'), canvasManager);
+        chatPanel = new ChatPanel(document.getElementById('chat-panel'), () => onlineUsers);
+        commentPins = new CommentPins(document.getElementById('comments-container'), canvasManager, () => onlineUsers);
         
         // Initialize WebSocket client with no parameters (will use default based on environment)
         console.log('[Main] Creating WebSocket client');
         wsClient = new WebSocketClient();
         
+        // Changes a previous visit couldn't send are sent once their room is joined
+        outbox = new Outbox(wsClient);
+        await outbox.open();
+        outbox.onPendingChange = (count) => {
+            if (!wsClient.connected) {
+                statusElement.textContent = `Offline: ${count} change${count === 1 ? '' : 's'} will be sent when the connection is back`;
+            }
+        };
+        // A refused change, e.g. from a user who was made a viewer or on a layer
+        // that was locked meanwhile, is taken back by loading the room's drawing again
+        outbox.onRejected = (entry, error) => {
+            statusElement.textContent = `Your change was undone: ${error.message}`;
+            joinRoom(currentRoom, roomCredentials);
+        };
+        
         // Connect to server
         statusElement.textContent = 'Connecting to server...';
         console.log('[Main] Attempting to connect to server');
@@ -71,10 +150,89 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.log('[Main] Connected with user ID:', userId);
         canvasManager.setUserId(userId);
         currentUser = { id: userId, color: getRandomColor() };
+        chatPanel.setUserId(userId);
+        commentPins.setUserId(userId);
+        updateProfileControls();
         
-        // Join default room
-        console.log('[Main] Joining default room');
-        wsClient.joinRoom(currentRoom);
+        // Send finished and edited paths to the server
+        canvasManager.onPathCreated = (pathData) => {
+            sendChange('draw-path', pathData);
+            updateUndoRedoButtons();
+        };
+        
+        // Stream brush and eraser strokes while they are drawn; while offline, or
+        // while earlier changes are still queued, strokes are only sent once finished
+        strokeStream = new StrokeStream(wsClient);
+        canvasManager.onStrokeBegin = (strokeId, point, layerId) => {
+            strokeStream.begin(strokeId, point, layerId, outbox.isIdle(currentRoom));
+        };
+        canvasManager.onStrokeAppend = (strokeId, point) => strokeStream.append(point);
+        canvasManager.onStrokeEnd = (pathData) => {
+            // The finished stroke is smoothed and simplified, so it replaces the streamed points
+            const interrupted = strokeStream.interrupted;
+            if (!strokeStream.end(pathData.points)) {
+                sendChange('draw-path', pathData);
+                // The server kept the part streamed before the connection dropped
+                if (interrupted) {
+                    sendChange('path-updated', { pathId: pathData.id, path: pathData });
+                }
+            }
+            updateUndoRedoButtons();
+        };
+        canvasManager.onStrokeCancel = () => strokeStream.cancel();
+        canvasManager.onPathUpdated = (pathData) => {
+            sendChange('path-updated', { pathId: pathData.id, path: pathData });
+        };
+        
+        canvasManager.onPathDeleted = (pathId) => {
+            sendChange('path-updated', { pathId, deleted: true });
+            updateUndoRedoButtons();
+        };
+        
+        // Remote cursors follow the drawing when the view moves
+        canvasManager.onViewChange = (view) => {
+            zoomResetBtn.textContent = `${Math.round(view.scale * 100)}%`;
+            remoteCursors.refresh();
+        };
+        
+        // Others see this pointer, with the tool and stroke width in use, whenever it moves
+        canvasManager.canvas.addEventListener('pointermove', (e) => {
+            pendingCursor = {
+                ...canvasManager.screenToWorld(e.clientX, e.clientY),
+                tool: canvasManager.currentTool,
+                strokeWidth: canvasManager.currentStrokeWidth
+            };
+            sendCursor();
+        });
+        
+        // Comment pins on paths follow them when they are moved, and all pins follow the view
+        canvasManager.onRedraw = () => commentPins.refresh();
+        
+        // Chat and comments can be used by viewers too; only the author of a
+        // thread and editors can resolve it
+        chatPanel.onSend = (message) => wsClient.emit('chat-message', message);
+        commentPins.onCreate = (comment) => sendComment('comment-create', comment);
+        commentPins.onReply = (reply) => sendComment('comment-reply', reply);
+        commentPins.onResolve = (change) => wsClient.emit('comment-resolve', change);
+        commentPins.canResolve = (comment) => comment.userId === currentUser.id || !canvasManager.readOnly;
+        chatPanel.onMention = (message) => {
+            statusElement.textContent = `${message.name} mentioned you in the chat`;
+        };
+        commentPins.onMention = (message) => {
+            statusElement.textContent = `${message.name} mentioned you in a comment`;
+        };
+        
+        // Resting the pointer on a path shows who drew it
+        canvasManager.canvas.addEventListener('pointermove', (e) => {
+            clearTimeout(authorTooltipTimer);
+            if (e.buttons !== 0) return;
+            authorTooltipTimer = setTimeout(() => showPathAuthor(e.clientX, e.clientY), AUTHOR_TOOLTIP_DELAY);
+        });
+        
+        // Join the room from an invite link, or the default room
+        readInviteLink();
+        console.log('[Main] Joining room:', currentRoom);
+        joinRoom(currentRoom, roomCredentials);
         
         // Setup event listeners
         console.log('[Main] Setting up event listeners');
@@ -121,6 +279,12 @@ function setupEventListeners() {
     console.log('[Main] Setting up UI event listeners');
     
     // Tool selection
+    selectToolBtn.addEventListener('click', () => {
+        console.log('[Main] Select tool selected');
+        setActiveTool('select');
+        canvasManager.setTool('select');
+    });
+    
     brushToolBtn.addEventListener('click', () => {
         console.log('[Main] Brush tool selected');
         setActiveTool('brush');
@@ -151,6 +315,21 @@ function setupEventListeners() {
         canvasManager.setTool('line');
     });
     
+    textToolBtn.addEventListener('click', () => {
+        console.log('[Main] Text tool selected');
+        setActiveTool('text');
+        canvasManager.setTool('text');
+    });
+    
+    // The rest of the shapes, whose buttons are named after their tool
+    ['rounded-rectangle', 'ellipse', 'triangle', 'star', 'arrow', 'polyline', 'polygon'].forEach(tool => {
+        document.getElementById(`${tool}-tool`).addEventListener('click', () => {
+            console.log(`[Main] ${tool} tool selected`);
+            setActiveTool(tool);
+            canvasManager.setTool(tool);
+        });
+    });
+    
     // Color picker
     colorPicker.addEventListener('input', (e) => {
         canvasManager.setColor(e.target.value);
@@ -163,11 +342,60 @@ function setupEventListeners() {
         canvasManager.setStrokeWidth(parseInt(width));
     });
     
+    // Stroke smoothing
+    smoothingSelect.addEventListener('change', (e) => {
+        canvasManager.setSmoothing(e.target.value);
+    });
+    
+    // Eraser mode
+    eraserModeSelect.addEventListener('change', (e) => {
+        canvasManager.setEraserMode(e.target.value);
+    });
+    
+    // Font of new text
+    fontFamilySelect.addEventListener('change', (e) => {
+        canvasManager.setFontFamily(e.target.value);
+    });
+    
+    fontSizeSelect.addEventListener('change', (e) => {
+        canvasManager.setFontSize(parseInt(e.target.value));
+    });
+    
+    // Style of new shapes; picking a fill colour turns the fill on
+    fillToggle.addEventListener('change', () => {
+        canvasManager.setShapeFill(fillToggle.checked ? fillColorPicker.value : null);
+    });
+    
+    fillColorPicker.addEventListener('input', (e) => {
+        fillToggle.checked = true;
+        canvasManager.setShapeFill(e.target.value);
+    });
+    
+    dashSelect.addEventListener('change', (e) => {
+        canvasManager.setShapeDash(e.target.value);
+    });
+    
+    shapeOpacitySlider.addEventListener('input', (e) => {
+        const opacity = e.target.value;
+        shapeOpacityValue.textContent = `${opacity}%`;
+        canvasManager.setShapeOpacity(parseInt(opacity) / 100);
+    });
+    
+    [arrowStartSelect, arrowEndSelect].forEach(select => select.addEventListener('change', () => {
+        canvasManager.setArrowHeads(arrowStartSelect.value, arrowEndSelect.value);
+    }));
+    
+    starSpikesSelect.addEventListener('change', (e) => {
+        canvasManager.setStarSpikes(parseInt(e.target.value));
+    });
+    
     // Undo/Redo
     undoBtn.addEventListener('click', () => {
         const undonePath = canvasManager.undo();
         if (undonePath) {
-            wsClient.emit('undo-path', { pathId: undonePath.id });
+            sendChange('undo-path', { pathId: undonePath.id });
+        } else if (canvasManager.undoStack.length > 0) {
+            statusElement.textContent = 'Unlock the layer to undo this';
         }
         updateUndoRedoButtons();
     });
@@ -175,15 +403,106 @@ function setupEventListeners() {
     redoBtn.addEventListener('click', () => {
         const redonePath = canvasManager.redo();
         if (redonePath) {
-            wsClient.emit('redo-path', { pathId: redonePath.id });
+            sendChange('redo-path', { pathId: redonePath.id });
+        } else if (canvasManager.redoStack.length > 0) {
+            statusElement.textContent = 'Unlock the layer to redo this';
         }
         updateUndoRedoButtons();
     });
     
+    // Delete the selected path, or drop the selection
+    document.addEventListener('keydown', (e) => {
+        if (canvasManager.currentTool !== 'select' || canvasManager.readOnly || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+        
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            const deletedPath = canvasManager.deleteSelected();
+            if (deletedPath) {
+                e.preventDefault();
+                sendChange('path-updated', { pathId: deletedPath.id, deleted: true });
+                updateUndoRedoButtons();
+            }
+        } else if (e.key === 'Escape') {
+            canvasManager.clearSelection();
+        }
+    });
+    
+    // View controls
+    fitBtn.addEventListener('click', () => {
+        canvasManager.fitToContent();
+    });
+    
+    zoomResetBtn.addEventListener('click', () => {
+        canvasManager.resetZoom();
+    });
+    
+    // Layers
+    addLayerBtn.addEventListener('click', () => {
+        const layer = canvasManager.addLayer({
+            id: 'layer-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6),
+            name: `Layer ${canvasManager.layers.length + 1}`
+        });
+        canvasManager.setActiveLayer(layer.id);
+        sendChange('layer-created', { id: layer.id, name: layer.name });
+        updateLayersList();
+    });
+    
+    layerUpBtn.addEventListener('click', () => {
+        moveActiveLayer(1);
+    });
+    
+    layerDownBtn.addEventListener('click', () => {
+        moveActiveLayer(-1);
+    });
+    
     // Clear canvas
     clearBtn.addEventListener('click', () => {
         canvasManager.clear();
-        wsClient.emit('clear-canvas');
+        sendChange('clear-canvas');
+    });
+    
+    // Comments: the next click on the drawing starts a thread there
+    commentBtn.addEventListener('click', () => {
+        commentPins.startPlacing();
+        statusElement.textContent = 'Click where the comment goes, or on a path to comment on it (Escape to cancel)';
+    });
+    
+    showResolvedToggle.addEventListener('change', (e) => {
+        commentPins.setShowResolved(e.target.checked);
+    });
+    
+    // Profile controls: the name, colour and avatar everyone else sees
+    profileNameInput.addEventListener('change', () => {
+        const name = normalizeName(profileNameInput.value);
+        if (name) {
+            changeProfile({ name });
+        } else {
+            updateProfileControls();
+        }
+    });
+    
+    profileColorPicker.addEventListener('change', () => {
+        changeProfile({ color: profileColorPicker.value });
+    });
+    
+    avatarBtn.addEventListener('click', () => {
+        avatarInput.click();
+    });
+    
+    avatarInput.addEventListener('change', async () => {
+        const file = avatarInput.files[0];
+        avatarInput.value = '';
+        if (!file) return;
+        
+        try {
+            changeProfile({ avatar: await createAvatar(file) });
+        } catch (error) {
+            console.error('[Main] Failed to create an avatar:', error);
+            statusElement.textContent = `Avatar failed: ${error.message}`;
+        }
+    });
+    
+    removeAvatarBtn.addEventListener('click', () => {
+        changeProfile({ avatar: null });
     });
     
     // Room controls
@@ -195,7 +514,8 @@ function setupEventListeners() {
             
             // Join new room
             currentRoom = roomName;
-            wsClient.joinRoom(currentRoom);
+            roomCredentials = {};
+            joinRoom(currentRoom);
             
             statusElement.textContent = `Joined room: ${roomName}`;
         }
@@ -204,30 +524,32 @@ function setupEventListeners() {
     // Create room button
     createRoomBtn.addEventListener('click', () => {
         const roomName = 'room-' + Math.random().toString(36).substr(2, 9);
-        roomInput.value = roomName;
-        
-        // Leave current room
-        wsClient.leaveRoom(currentRoom);
         
-        // Join new room
-        currentRoom = roomName;
-        wsClient.joinRoom(currentRoom);
+        // Without a password the room can only be joined with an invite link
+        const password = prompt('Room password (leave empty for an invite-only room):');
+        if (password === null) return;
         
-        statusElement.textContent = `Created and joined room: ${roomName}`;
+        wsClient.emit('create-room', { roomId: roomName, password });
+        statusElement.textContent = `Creating room: ${roomName}`;
+    });
+    
+    // Invite link button
+    inviteBtn.addEventListener('click', () => {
+        wsClient.emit('create-invite');
     });
     
     // Save button
-    saveBtn.addEventListener('click', () => {
-        const data = canvasManager.export();
-        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'drawing.json';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    saveBtn.addEventListener('click', async () => {
+        try {
+            statusElement.textContent = 'Saving drawing...';
+            const users = Object.entries(onlineUsers).map(([id, user]) => ({ id, name: user.name, color: user.color }));
+            const savedDrawing = await createRoomDocument(canvasManager, currentRoom, users);
+            downloadBlob(new Blob([JSON.stringify(savedDrawing)], { type: 'application/json' }), 'drawing.json');
+            statusElement.textContent = 'Drawing saved';
+        } catch (error) {
+            console.error('[Main] Failed to save drawing:', error);
+            statusElement.textContent = `Could not save the drawing: ${error.message}`;
+        }
     });
     
     // Load button
@@ -239,19 +561,105 @@ function setupEventListeners() {
     fileInput.addEventListener('change', (e) => {
         const file = e.target.files[0];
         if (file) {
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                try {
-                    const data = JSON.parse(event.target.result);
-                    canvasManager.import(data);
-                } catch (error) {
-                    console.error('Failed to load drawing:', error);
-                    statusElement.textContent = 'Failed to load drawing: Invalid file format';
-                }
-            };
-            reader.readAsText(file);
+            loadDrawing(file, importModeSelect.value);
+        }
+        fileInput.value = '';
+    });
+    
+    // Export button
+    exportBtn.addEventListener('click', async () => {
+        const format = exportFormatSelect.value;
+        try {
+            statusElement.textContent = `Exporting ${format.toUpperCase()}...`;
+            const blob = await exportDrawing(canvasManager, format, {
+                scale: parseFloat(exportScaleSelect.value),
+                crop: exportCropSelect.value
+            });
+            downloadBlob(blob, `drawing.${format}`);
+            statusElement.textContent = `Exported drawing.${format}`;
+        } catch (error) {
+            console.error('[Main] Failed to export drawing:', error);
+            statusElement.textContent = `Could not export the drawing: ${error.message}`;
+        }
+    });
+    
+    // Images: upload one, or paste or drop it onto the canvas
+    imageBtn.addEventListener('click', () => {
+        imageInput.click();
+    });
+    
+    imageInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            placeImage(file, canvasManager.getViewCenter());
+        }
+        imageInput.value = '';
+    });
+    
+    document.addEventListener('paste', (e) => {
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+        
+        const file = [...e.clipboardData.files].find(f => IMAGE_TYPES.includes(f.type));
+        if (file) {
+            e.preventDefault();
+            placeImage(file, canvasManager.getViewCenter());
         }
     });
+    
+    const canvasElement = document.getElementById('drawing-canvas');
+    canvasElement.addEventListener('dragover', (e) => {
+        e.preventDefault();
+    });
+    
+    canvasElement.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const point = canvasManager.screenToWorld(e.clientX, e.clientY);
+        [...e.dataTransfer.files].filter(f => IMAGE_TYPES.includes(f.type)).forEach(file => placeImage(file, point));
+    });
+}
+
+// Load a saved drawing into the room, replacing the drawing or merging into it
+async function loadDrawing(file, mode) {
+    if (canvasManager.readOnly) {
+        statusElement.textContent = 'Viewers cannot load drawings';
+        return;
+    }
+    
+    try {
+        const text = await readDocumentFile(file);
+        if (mode === 'replace' && !confirm('Replace the drawing for everyone in this room? This cannot be undone.')) {
+            return;
+        }
+        
+        statusElement.textContent = 'Loading drawing...';
+        const result = await importDocument(text, currentRoom, mode, await wsClient.requestUploadToken());
+        statusElement.textContent = `Loaded ${file.name}: ${result.paths} paths on ${result.layers} layers`;
+    } catch (error) {
+        console.error('[Main] Failed to load drawing:', error);
+        if (error.errors && error.errors.length > 0) {
+            console.warn('[Main] Problems in the drawing:', error.errors);
+        }
+        statusElement.textContent = `Could not load the drawing: ${error.message}`;
+    }
+}
+
+// Upload an image and place it on the drawing, centred on a point
+async function placeImage(file, point) {
+    if (canvasManager.readOnly || !canvasManager.canDrawOnActiveLayer()) {
+        statusElement.textContent = canvasManager.readOnly ? 'Viewers cannot add images' : 'Show and unlock the active layer to add images';
+        return;
+    }
+    
+    try {
+        statusElement.textContent = 'Uploading image...';
+        const upload = wsClient.requestUploadToken().then(token => uploadImage(file, token));
+        const [asset, size] = await Promise.all([upload, getImageSize(file)]);
+        canvasManager.addImage(asset.assetId, size.width, size.height, point.x, point.y);
+        statusElement.textContent = 'Image added';
+    } catch (error) {
+        console.error('[Main] Failed to add image:', error);
+        statusElement.textContent = `Could not add the image: ${error.message}`;
+    }
 }
 
 // Set active tool
@@ -266,24 +674,195 @@ function setActiveTool(tool) {
     }
 }
 
+// Read the room and invite token from an invite link (#room=...&invite=...)
+function readInviteLink() {
+    const params = new URLSearchParams(window.location.hash.substring(1));
+    const roomId = params.get('room');
+    if (!roomId) return;
+    
+    currentRoom = roomId;
+    roomInput.value = roomId;
+    roomCredentials = params.get('invite') ? { inviteToken: params.get('invite') } : {};
+}
+
 // Update undo/redo buttons
 function updateUndoRedoButtons() {
-    undoBtn.disabled = canvasManager.undoStack.length === 0;
-    redoBtn.disabled = canvasManager.redoStack.length === 0;
+    undoBtn.disabled = canvasManager.readOnly || canvasManager.undoStack.length === 0;
+    redoBtn.disabled = canvasManager.readOnly || canvasManager.redoStack.length === 0;
+    clearBtn.disabled = canvasManager.readOnly;
+}
+
+// Apply the current user's role in the room
+function applyOwnRole(role) {
+    canvasManager.setReadOnly(role === 'viewer' || !role);
+    updateUndoRedoButtons();
+    updateLayersList();
+}
+
+// Send a change to the drawing; the outbox keeps it until the server has it
+function sendChange(event, data) {
+    outbox.send(currentRoom, event, data);
+}
+
+// Send a new comment thread or a reply; the server says why if it can't take it,
+// e.g. because the room or the thread is full
+async function sendComment(event, data) {
+    try {
+        const response = await wsClient.emitWithAck(event, data, COMMENT_ACK_TIMEOUT);
+        if (response && response.error) {
+            statusElement.textContent = `Could not comment: ${response.error.message}`;
+        }
+    } catch (error) {
+        console.warn(`[Main] No answer to ${event}:`, error.message);
+        statusElement.textContent = 'Could not comment: the server did not answer';
+    }
+}
+
+// Join a room; queued changes wait until the room they were made in is joined
+function joinRoom(roomId, credentials = {}) {
+    outbox.pause();
+    wsClient.joinRoom(roomId, credentials, profile);
 }
 
+// Change the name, colour or avatar everyone else sees, and keep it for the next visit
+function changeProfile(changes) {
+    profile = { ...profile, ...changes };
+    if (profile.avatar === null) {
+        delete profile.avatar;
+    }
+    saveProfile(profile);
+    wsClient.emit('update-profile', changes);
+}
+
+// Show this user's name, colour and avatar in the profile controls, as the
+// server has them, or as chosen while not in a room
+function updateProfileControls() {
+    const me = onlineUsers[currentUser.id] || { ...profile };
+    profileNameInput.value = me.name || '';
+    profileColorPicker.value = me.color || currentUser.color;
+    profileAvatar.replaceChildren(createAvatarElement({ ...me, color: profileColorPicker.value }));
+    removeAvatarBtn.disabled = !me.avatar;
+}
+
+// How to make each queued change again, once the server's drawing has replaced ours
+const REAPPLY_CHANGE = {
+    'draw-path': (data) => canvasManager.restorePath(data),
+    'path-updated': (data) => data.deleted ? canvasManager.deletePath(data.pathId) : canvasManager.updatePathFromServer(data.path),
+    'undo-path': (data) => canvasManager.undo(data.pathId),
+    'redo-path': (data) => canvasManager.redo(data.pathId),
+    'clear-canvas': () => canvasManager.clear(),
+    'layer-created': (data) => canvasManager.getLayer(data.id) || canvasManager.addLayer(data),
+    'layer-updated': (data) => canvasManager.updateLayer(data.layerId, data),
+    'layer-moved': (data) => canvasManager.moveLayer(data.layerId, data.index)
+};
+
 // Setup WebSocket event handlers
 function setupWebSocketHandlers() {
+    // Socket.IO reconnects with a new socket, which has to join the room again;
+    // the server knows it is the same user by the identity token
+    wsClient.on('connect', () => {
+        console.log('[Main] Reconnected with socket ID:', wsClient.id);
+        joinRoom(currentRoom, roomCredentials);
+    });
+    
+    // Keep drawing while offline; changes wait in the outbox
+    wsClient.on('disconnect', () => {
+        outbox.pause();
+        strokeStream.interrupt();
+        statusElement.textContent = 'Offline: changes will be sent when the connection is back';
+    });
+    
     wsClient.on('connection-confirmed', (data) => {
         statusElement.textContent = `Connected with ID: ${data.userId.substring(0, 8)}...`;
     });
     
+    wsClient.on('validation-error', (data) => {
+        console.warn('[Main] Server rejected event:', data);
+        statusElement.textContent = `Server rejected ${data.event}: ${data.message}`;
+    });
+    
+    wsClient.on('rate-limited', (data) => {
+        console.warn('[Main] Rate limited by server:', data);
+        statusElement.textContent = data.disconnect
+            ? 'Disconnected by the server for sending too many events'
+            : `Slow down: too many ${data.category} events`;
+    });
+    
+    wsClient.on('room-error', (data) => {
+        // Ask for the password of protected rooms and try again
+        if (data.code === 'password-required' || data.code === 'invalid-password') {
+            const password = prompt(`${data.message}. Password for room ${data.roomId}:`);
+            if (password) {
+                roomCredentials = { password };
+                joinRoom(data.roomId, roomCredentials);
+                return;
+            }
+        }
+        statusElement.textContent = `Room error: ${data.message}`;
+    });
+    
+    wsClient.on('room-created', (data) => {
+        roomInput.value = data.roomId;
+        
+        // Leave current room
+        wsClient.leaveRoom(currentRoom);
+        
+        // Join the new room with its invite token, and keep the link in the address
+        // bar so reloading the page comes back to the room
+        currentRoom = data.roomId;
+        roomCredentials = { inviteToken: data.inviteToken };
+        window.location.hash = `room=${encodeURIComponent(data.roomId)}&invite=${data.inviteToken}`;
+        joinRoom(currentRoom, roomCredentials);
+        
+        statusElement.textContent = `Created and joined ${data.mode === 'password' ? 'password-protected' : 'invite-only'} room: ${data.roomId}`;
+    });
+    
+    wsClient.on('invite-created', (data) => {
+        const link = `${window.location.origin}${window.location.pathname}#room=${encodeURIComponent(data.roomId)}&invite=${data.inviteToken}`;
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(link)
+                .then(() => { statusElement.textContent = 'Invite link copied to clipboard'; })
+                .catch(() => { prompt('Copy this invite link:', link); });
+        } else {
+            prompt('Copy this invite link:', link);
+        }
+    });
+    
     wsClient.on('initial-state', (data) => {
+        // The server tells us who we are; it is the same user after reconnects and reloads
+        if (data.userId) {
+            currentUser.id = data.userId;
+            canvasManager.setUserId(data.userId);
+            chatPanel.setUserId(data.userId);
+            commentPins.setUserId(data.userId);
+        }
+        canvasManager.setLayers(data.layers || []);
         if (data.paths) {
-            canvasManager.import({ paths: data.paths });
+            canvasManager.setPaths(data.paths, data.history);
         }
+        
+        // Changes the server doesn't have yet go back on top of its drawing, in
+        // the order they were made; paths it already has aren't drawn twice
+        const pending = outbox.getPending(currentRoom);
+        pending.forEach(entry => REAPPLY_CHANGE[entry.event](entry.data));
+        updateLayersList();
+        updateUndoRedoButtons();
+        
+        canvasManager.setLiveStrokes(data.strokes || []);
+        remoteCursors.clear();
+        formerUsers = data.authors || {};
         if (data.users) {
-            updateUsersList(data.users);
+            onlineUsers = data.users;
+            updateUsersList(onlineUsers);
+            updateProfileControls();
+            applyOwnRole(onlineUsers[currentUser.id] && onlineUsers[currentUser.id].role);
+        }
+        chatPanel.setMessages(data.chat || []);
+        commentPins.setComments(data.comments || []);
+        
+        outbox.resume(currentRoom);
+        if (pending.length > 0) {
+            statusElement.textContent = `Sending ${pending.length} change${pending.length === 1 ? '' : 's'} made while offline`;
         }
     });
     
@@ -291,67 +870,353 @@ function setupWebSocketHandlers() {
         canvasManager.drawPathFromServer(pathData);
     });
     
+    // Strokes other users are drawing right now
+    wsClient.on('stroke-begin', (data) => {
+        canvasManager.beginRemoteStroke(data);
+    });
+    
+    wsClient.on('stroke-append', (data) => {
+        canvasManager.appendRemoteStroke(data);
+    });
+    
+    wsClient.on('stroke-end', (data) => {
+        canvasManager.endRemoteStroke(data);
+    });
+    
+    wsClient.on('stroke-cancel', (data) => {
+        canvasManager.cancelRemoteStroke(data);
+    });
+    
     wsClient.on('path-undone', (data) => {
         canvasManager.removePath(data.pathId);
     });
     
-    wsClient.on('path-redone', (data) => {
-        // For simplicity, we'll just notify the user
-        // In a full implementation, we would need to store the path data for redo
+    wsClient.on('path-redone', (pathData) => {
+        // The server sends back the full restored path
+        canvasManager.drawPathFromServer(pathData);
+    });
+    
+    wsClient.on('path-updated', (data) => {
+        if (data.deleted) {
+            canvasManager.deletePath(data.pathId);
+            updateUndoRedoButtons();
+        } else {
+            canvasManager.updatePathFromServer(data.path);
+        }
     });
     
     wsClient.on('canvas-cleared', () => {
         canvasManager.clear();
     });
     
+    // A saved drawing was loaded into the room; everyone gets the whole drawing again
+    wsClient.on('drawing-imported', (data) => {
+        canvasManager.setLayers(data.layers);
+        canvasManager.setPaths(data.paths, data.history);
+        updateLayersList();
+        updateUndoRedoButtons();
+        
+        if (data.userId !== currentUser.id) {
+            const name = (onlineUsers[data.userId] && onlineUsers[data.userId].name) || 'Someone';
+            statusElement.textContent = data.mode === 'replace'
+                ? `${name} replaced the drawing with a saved one`
+                : `${name} merged a saved drawing into this one`;
+        }
+    });
+    
+    wsClient.on('layer-created', (layer) => {
+        canvasManager.addLayer(layer);
+        updateLayersList();
+    });
+    
+    wsClient.on('layer-updated', (data) => {
+        canvasManager.updateLayer(data.layerId, data);
+        updateLayersList();
+    });
+    
+    wsClient.on('layer-moved', (data) => {
+        canvasManager.moveLayer(data.layerId, data.index);
+        updateLayersList();
+    });
+    
     wsClient.on('user-joined', (data) => {
-        onlineUsers[data.userId] = { color: data.color, name: data.name };
+        onlineUsers[data.userId] = { color: data.color, name: data.name, avatar: data.avatar, role: data.role };
         updateUsersList(onlineUsers);
         statusElement.textContent = `${data.name || 'A user'} joined the session`;
     });
     
     wsClient.on('user-left', (data) => {
+        // Their paths still show who drew them
+        if (onlineUsers[data.userId]) {
+            const { name, color } = onlineUsers[data.userId];
+            formerUsers[data.userId] = { name, color };
+        }
         delete onlineUsers[data.userId];
+        remoteCursors.remove(data.userId);
         updateUsersList(onlineUsers);
         statusElement.textContent = 'A user left the session';
     });
     
+    // Someone changed their name, colour or avatar; our own changes come back
+    // here too, also when made in another tab
+    wsClient.on('user-updated', (data) => {
+        if (data.userId === currentUser.id) {
+            profile = loadProfile();
+        }
+        if (!onlineUsers[data.userId]) return;
+        
+        Object.assign(onlineUsers[data.userId], { name: data.name, color: data.color, avatar: data.avatar });
+        updateUsersList(onlineUsers);
+        remoteCursors.setUser(data.userId, onlineUsers[data.userId]);
+        if (data.userId === currentUser.id) {
+            updateProfileControls();
+        }
+    });
+    
+    wsClient.on('user-role-changed', (data) => {
+        if (!onlineUsers[data.userId]) return;
+        
+        onlineUsers[data.userId].role = data.role;
+        updateUsersList(onlineUsers);
+        
+        if (data.userId === currentUser.id) {
+            applyOwnRole(data.role);
+            statusElement.textContent = `You are now ${data.role === 'owner' ? 'the owner' : `a ${data.role}`} of this room`;
+        }
+    });
+    
+    wsClient.on('kicked', (data) => {
+        canvasManager.reset();
+        canvasManager.setLiveStrokes([]);
+        updateLayersList();
+        remoteCursors.clear();
+        chatPanel.clear();
+        commentPins.clear();
+        onlineUsers = {};
+        updateUsersList(onlineUsers);
+        applyOwnRole(null);
+        statusElement.textContent = `You were removed from room ${data.roomId}. Join another room to keep drawing.`;
+    });
+    
+    wsClient.on('permission-denied', (data) => {
+        console.warn('[Main] Permission denied:', data);
+        statusElement.textContent = data.message;
+        
+        // A streamed stroke is only refused once it is finished, when it is already
+        // drawn here; loading the room's drawing again takes it back
+        if (data.event === 'stroke-end' && data.roomId === currentRoom) {
+            joinRoom(currentRoom, roomCredentials);
+        }
+    });
+    
     wsClient.on('cursor-move', (data) => {
-        // Update cursor position for the user
-        updateCursorPosition(data.userId, data.x, data.y, onlineUsers[data.userId]?.color);
+        remoteCursors.move(data.userId, data, onlineUsers[data.userId]);
+    });
+    
+    // Chat messages and comments come back to their sender too, with their ID and time
+    wsClient.on('chat-message', (message) => {
+        chatPanel.addMessage(message);
+    });
+    
+    wsClient.on('comment-created', (comment) => {
+        commentPins.addComment(comment);
+    });
+    
+    wsClient.on('comment-replied', (data) => {
+        commentPins.addReply(data.commentId, data.message);
+    });
+    
+    wsClient.on('comment-resolved', (data) => {
+        commentPins.setResolved(data.commentId, data.resolved);
     });
 }
 
 // Update users list
 function updateUsersList(users) {
     usersList.innerHTML = '';
+    const isOwner = users[currentUser.id] && users[currentUser.id].role === 'owner';
+    
     Object.entries(users).forEach(([userId, userData]) => {
         const li = document.createElement('li');
-        li.textContent = userId === currentUser.id ? `${userId.substring(0, 8)}... (You)` : userId.substring(0, 8) + '...';
         li.style.color = userData.color;
+        li.appendChild(createAvatarElement(userData));
+        
+        const name = document.createElement('span');
+        const displayName = userData.name || `${userId.substring(0, 8)}...`;
+        name.textContent = userId === currentUser.id ? `${displayName} (You)` : displayName;
+        li.appendChild(name);
+        
+        if (userData.role) {
+            const role = document.createElement('span');
+            role.className = `user-role role-${userData.role}`;
+            role.textContent = userData.role;
+            li.appendChild(role);
+        }
+        
+        // Owner controls for everyone else in the room
+        if (isOwner && userId !== currentUser.id) {
+            const actions = document.createElement('span');
+            actions.className = 'user-actions';
+            
+            if (userData.role === 'viewer') {
+                actions.appendChild(createUserActionButton('Promote', 'Allow this user to draw', () => {
+                    wsClient.emit('promote-user', { userId });
+                }));
+            } else if (userData.role === 'editor') {
+                actions.appendChild(createUserActionButton('Demote', 'Make this user a viewer', () => {
+                    wsClient.emit('demote-user', { userId });
+                }));
+            }
+            
+            actions.appendChild(createUserActionButton('Kick', 'Remove this user from the room', () => {
+                wsClient.emit('kick-user', { userId });
+            }));
+            
+            li.appendChild(actions);
+        }
+        
         usersList.appendChild(li);
     });
 }
 
-// Update cursor position
-function updateCursorPosition(userId, x, y, color) {
-    let cursor = document.getElementById(`cursor-${userId}`);
-    if (!cursor) {
-        cursor = document.createElement('div');
-        cursor.id = `cursor-${userId}`;
-        cursor.className = 'cursor';
-        cursor.style.position = 'absolute';
-        cursor.style.width = '10px';
-        cursor.style.height = '10px';
-        cursor.style.borderRadius = '50%';
-        cursor.style.pointerEvents = 'none';
-        cursor.style.zIndex = '1000';
-        document.getElementById('cursors-container').appendChild(cursor);
+// Update the layers panel, top layer first
+function updateLayersList() {
+    layersList.innerHTML = '';
+    const readOnly = canvasManager.readOnly;
+    
+    [...canvasManager.layers].reverse().forEach(layer => {
+        const li = document.createElement('li');
+        li.classList.toggle('active', layer.id === canvasManager.activeLayerId);
+        li.addEventListener('click', () => {
+            canvasManager.setActiveLayer(layer.id);
+            updateLayersList();
+        });
+        
+        li.appendChild(createLayerButton(layer.visible ? '👁️' : '🚫', layer.visible ? 'Hide layer' : 'Show layer', readOnly, () => {
+            changeLayer(layer.id, { visible: !layer.visible });
+        }));
+        li.appendChild(createLayerButton(layer.locked ? '🔒' : '🔓', layer.locked ? 'Unlock layer' : 'Lock layer', readOnly, () => {
+            changeLayer(layer.id, { locked: !layer.locked });
+        }));
+        
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        name.textContent = layer.name;
+        name.title = readOnly ? layer.name : 'Double-click to rename';
+        name.addEventListener('dblclick', () => {
+            if (readOnly) return;
+            
+            const newName = prompt('Layer name:', layer.name);
+            if (newName && newName.trim()) {
+                changeLayer(layer.id, { name: newName.trim().substring(0, 50) });
+            }
+        });
+        li.appendChild(name);
+        
+        // Preview the opacity while dragging, and send it when the slider is released
+        const opacity = document.createElement('input');
+        opacity.type = 'range';
+        opacity.min = 0;
+        opacity.max = 100;
+        opacity.value = Math.round(layer.opacity * 100);
+        opacity.title = 'Opacity';
+        opacity.disabled = readOnly;
+        opacity.addEventListener('click', (e) => e.stopPropagation());
+        opacity.addEventListener('input', (e) => {
+            canvasManager.updateLayer(layer.id, { opacity: e.target.value / 100 });
+        });
+        opacity.addEventListener('change', (e) => {
+            changeLayer(layer.id, { opacity: e.target.value / 100 });
+        });
+        li.appendChild(opacity);
+        
+        layersList.appendChild(li);
+    });
+    
+    const index = canvasManager.layers.findIndex(layer => layer.id === canvasManager.activeLayerId);
+    addLayerBtn.disabled = readOnly || canvasManager.layers.length >= MAX_LAYERS;
+    layerUpBtn.disabled = readOnly || index === canvasManager.layers.length - 1;
+    layerDownBtn.disabled = readOnly || index <= 0;
+}
+
+// Create a visibility or lock toggle for a row of the layers panel
+function createLayerButton(label, title, disabled, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+    });
+    return button;
+}
+
+// Change a layer here and for everyone in the room
+function changeLayer(layerId, changes) {
+    if (canvasManager.updateLayer(layerId, changes)) {
+        sendChange('layer-updated', { layerId, ...changes });
+        updateLayersList();
     }
+}
+
+// Move the active layer up (1) or down (-1) the stack, here and for everyone in the room
+function moveActiveLayer(offset) {
+    const layerId = canvasManager.activeLayerId;
+    const index = canvasManager.layers.findIndex(layer => layer.id === layerId) + offset;
+    if (index < 0 || index >= canvasManager.layers.length) return;
     
-    cursor.style.left = `${x - 5}px`;
-    cursor.style.top = `${y - 5}px`;
-    cursor.style.backgroundColor = color || '#000000';
+    canvasManager.moveLayer(layerId, index);
+    sendChange('layer-moved', { layerId, index });
+    updateLayersList();
+}
+
+// Create a small button for the owner controls in the users list
+function createUserActionButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Send the latest pointer position, at most once per CURSOR_SEND_INTERVAL; moves
+// within the interval are sent once it is over, so the last position always arrives
+function sendCursor() {
+    if (!pendingCursor || cursorTimer !== null) return;
+    
+    const wait = lastCursorSent + CURSOR_SEND_INTERVAL - Date.now();
+    if (wait > 0) {
+        cursorTimer = setTimeout(() => {
+            cursorTimer = null;
+            sendCursor();
+        }, wait);
+        return;
+    }
+    
+    // Positions from while offline would be stale by the time the connection is back
+    if (wsClient.connected) {
+        wsClient.emit('cursor-move', pendingCursor);
+        lastCursorSent = Date.now();
+    }
+    pendingCursor = null;
+}
+
+// Show who drew the path at a screen position as the canvas tooltip
+function showPathAuthor(clientX, clientY) {
+    const { x, y } = canvasManager.screenToWorld(clientX, clientY);
+    const path = canvasManager.getPathAt(x, y);
+    if (!path) {
+        canvasManager.canvas.title = '';
+        return;
+    }
+    
+    const author = onlineUsers[path.userId] || formerUsers[path.userId];
+    if (path.userId === currentUser.id) {
+        canvasManager.canvas.title = 'Drawn by you';
+    } else {
+        canvasManager.canvas.title = author ? `Drawn by ${author.name}` : 'Drawn by someone who has left';
+    }
 }
 
 // Start performance monitoring
@@ -373,19 +1238,7 @@ function startPerformanceMonitoring() {
                 wsClient.emit('latency-test', { startTime });
             }
         }
-        
-        // Send cursor position
-        if (wsClient && cursorPosition.x !== 0 && cursorPosition.y !== 0) {
-            wsClient.emit('cursor-move', cursorPosition);
-        }
     }, 16); // ~60 FPS
-    
-    // Track mouse movement for cursor position
-    document.getElementById('drawing-canvas').addEventListener('mousemove', (e) => {
-        const rect = e.target.getBoundingClientRect();
-        cursorPosition.x = e.clientX - rect.left;
-        cursorPosition.y = e.clientY - rect.top;
-    });
 }
 
 // Handle latency response
@@ -0,0 +1,173 @@
+// Keeps changes to the drawing until the server has acknowledged them
+//
+// Every change is queued here, stored in IndexedDB, and sent in order, one at
+// a time, waiting for the server's acknowledgement before the next one. Changes
+// made while offline, or sent just before the connection dropped, stay queued
+// (even across a page reload) and are sent again once the room is rejoined.
+// Every change carries an operation ID, and the server skips changes it has
+// already applied, so sending a change twice is safe.
+// Changes the server throttled are sent again once it says they may be.
+
+const DB_NAME = 'frontstack-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'events';
+const ACK_TIMEOUT_MS = 10000; // Changes without an answer by then are sent again
+const SEND_INTERVAL_MS = 50; // Keeps replays within the server's draw budget of 20 events per second
+
+export class Outbox {
+    constructor(wsClient) {
+        this.wsClient = wsClient;
+        this.entries = []; // { roomId, event, data, opId, key } in the order they were made
+        this.roomId = null; // Room whose changes are being sent; null while paused
+        this.sending = false;
+        this.db = null; // Null if IndexedDB can't be used; changes are then only kept in memory
+        this.onPendingChange = null; // Called with the number of changes waiting to be sent
+        this.onRejected = null; // Called with the change and the server's error for every refused change
+    }
+    
+    // Open the database and load the changes a previous page left unsent
+    async open() {
+        try {
+            this.db = await openDatabase();
+            const records = await request(this.db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll());
+            // Records come back in key order, which is the order they were made
+            const saved = records.map(({ key, roomId, event, data, opId }) => ({ roomId, event, data, opId, key: Promise.resolve(key) }));
+            this.entries = [...saved, ...this.entries];
+        } catch (error) {
+            console.warn('[Outbox] IndexedDB is not available, offline changes will not survive a reload:', error);
+            this.db = null;
+        }
+        this.notify();
+    }
+    
+    // Queue a change to a room's drawing and send it as soon as possible
+    send(roomId, event, data) {
+        const opId = 'op-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+        const record = { roomId, event, data, opId };
+        this.entries.push({ ...record, key: this.store(record) });
+        this.notify();
+        this.flush();
+    }
+    
+    // Changes to a room that the server hasn't acknowledged yet, oldest first
+    getPending(roomId) {
+        return this.entries.filter(entry => entry.roomId === roomId);
+    }
+    
+    // Start sending a room's changes, once it has been joined
+    resume(roomId) {
+        this.roomId = roomId;
+        this.flush();
+    }
+    
+    // Stop sending, e.g. when the connection drops or another room is being joined
+    pause() {
+        this.roomId = null;
+    }
+    
+    // Whether every change to the room has been acknowledged and new ones go out straight away
+    isIdle(roomId) {
+        return this.roomId === roomId && this.wsClient.connected && this.getPending(roomId).length === 0;
+    }
+    
+    // Send queued changes one by one until none are left or sending stops
+    async flush() {
+        if (this.sending) return;
+        this.sending = true;
+        
+        try {
+            while (this.roomId && this.wsClient.connected) {
+                const entry = this.entries.find(e => e.roomId === this.roomId);
+                if (!entry) break;
+                
+                const sentAt = Date.now();
+                let rejection = null;
+                try {
+                    const response = await this.wsClient.emitWithAck(entry.event, entry.data, ACK_TIMEOUT_MS, entry.opId);
+                    if (response && response.error && response.error.code === 'rate-limited') {
+                        console.warn(`[Outbox] Server throttled ${entry.event}, will send it again in ${response.error.retryAfter}s`);
+                        await delay(response.error.retryAfter * 1000);
+                        continue;
+                    }
+                    // Other rejected changes wouldn't fare better if sent again
+                    if (response && response.error) {
+                        console.warn(`[Outbox] Server rejected ${entry.event}:`, response.error);
+                        rejection = response.error;
+                    }
+                } catch (error) {
+                    console.warn(`[Outbox] No acknowledgement for ${entry.event}, will send it again:`, error.message);
+                    continue;
+                }
+                
+                this.remove(entry);
+                if (rejection && this.onRejected) {
+                    this.onRejected(entry, rejection);
+                }
+                await delay(SEND_INTERVAL_MS - (Date.now() - sentAt));
+            }
+        } finally {
+            this.sending = false;
+        }
+    }
+    
+    // Forget an acknowledged change
+    remove(entry) {
+        const index = this.entries.indexOf(entry);
+        if (index !== -1) {
+            this.entries.splice(index, 1);
+        }
+        this.notify();
+        
+        entry.key.then(key => {
+            if (key === null) return;
+            const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+            transaction.objectStore(STORE_NAME).delete(key);
+        }).catch(error => {
+            console.warn('[Outbox] Could not remove a sent change from IndexedDB:', error);
+        });
+    }
+    
+    // Store a change; resolves to its key, or null if it is only kept in memory
+    store(record) {
+        if (!this.db) return Promise.resolve(null);
+        
+        const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+        return request(transaction.objectStore(STORE_NAME).add(record)).catch(error => {
+            console.warn('[Outbox] Could not store a change in IndexedDB:', error);
+            return null;
+        });
+    }
+    
+    notify() {
+        if (this.onPendingChange) {
+            this.onPendingChange(this.entries.length);
+        }
+    }
+}
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
+        const open = indexedDB.open(DB_NAME, DB_VERSION);
+        open.onupgradeneeded = () => {
+            open.result.createObjectStore(STORE_NAME, { keyPath: 'key', autoIncrement: true });
+        };
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => reject(open.error);
+    });
+}
+
+// Wrap an IndexedDB request in a Promise
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
\ No newline at end of file
@@ -0,0 +1,494 @@
+// Compact binary encoding of paths, shared by the client and the server
+//
+// Brush and eraser strokes store their tool, colour and width once, followed by
+// coordinates quantized to 1/100 of a unit and delta-encoded as zigzag varints,
+// and pressure quantized to 1/1000. A decoded stroke can be up to half a step
+// off the original, so code that matches paths goes by their IDs, never by
+// their points; shapes keep their exact numbers. Paths whose structure the
+// binary layout can't represent (mixed styles, text, images...) are embedded
+// as JSON, so no field is lost. Every encoded value starts with a format
+// version byte; version 1 data (before layer IDs) is still read.
+//
+// Loaded with a <script> tag in the browser (window.PathCodec) and with
+// require() on the server.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PathCodec = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const FORMAT_VERSION = 2;
+    
+    const COORDINATE_SCALE = 100; // Coordinates are stored in 1/100 units
+    const PRESSURE_SCALE = 1000; // Pressure is stored in 1/1000 steps
+    const MAX_COORDINATE = 1e9; // Larger (or non-finite) values fall back to JSON
+    
+    // Record kinds
+    const KIND_JSON = 0;
+    const KIND_STROKE = 1;
+    const KIND_SHAPE = 2;
+    
+    // Record flags
+    const HAS_USER_ID = 1;
+    const HAS_TIMESTAMP = 2;
+    const HAS_PRESSURE = 4;
+    const HAS_ROTATION = 8;
+    const HAS_LAYER_ID = 16;
+    
+    const BRUSH_TOOLS = ['brush', 'eraser'];
+    const SHAPE_TOOLS = ['rectangle', 'circle', 'line'];
+    const STROKE_KEYS = ['id', 'userId', 'layerId', 'points', 'timestamp'];
+    const POINT_KEYS = ['x', 'y', 'tool', 'color', 'strokeWidth', 'pressure'];
+    const SHAPE_KEYS = ['id', 'userId', 'layerId', 'timestamp', 'tool', 'color', 'strokeWidth', 'startX', 'startY', 'endX', 'endY', 'rotation'];
+    
+    // Which fields of which events carry path data; '' is the whole payload
+    const EVENT_FIELDS = {
+        'draw-path': [['', 'path']],
+        'path-redone': [['', 'path']],
+        'path-updated': [['path', 'path']],
+        'stroke-append': [['points', 'points']],
+        'stroke-end': [['points', 'points']],
+        'initial-state': [['paths', 'paths'], ['strokes', 'paths'], ['history.undoStack', 'paths'], ['history.redoStack', 'paths']],
+        'drawing-imported': [['paths', 'paths'], ['history.undoStack', 'paths'], ['history.redoStack', 'paths']]
+    };
+    
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+    
+    // Growable byte buffer
+    class Writer {
+        constructor() {
+            this.bytes = new Uint8Array(256);
+            this.view = new DataView(this.bytes.buffer);
+            this.length = 0;
+        }
+        
+        ensure(size) {
+            if (this.length + size <= this.bytes.length) return;
+            
+            let capacity = this.bytes.length * 2;
+            while (capacity < this.length + size) capacity *= 2;
+            const bytes = new Uint8Array(capacity);
+            bytes.set(this.bytes.subarray(0, this.length));
+            this.bytes = bytes;
+            this.view = new DataView(bytes.buffer);
+        }
+        
+        u8(value) {
+            this.ensure(1);
+            this.bytes[this.length++] = value;
+        }
+        
+        // Unsigned integer, 7 bits per byte
+        varint(value) {
+            while (value >= 128) {
+                this.u8(value % 128 + 128);
+                value = Math.floor(value / 128);
+            }
+            this.u8(value);
+        }
+        
+        // Signed integer, zigzag-mapped so small negatives stay short
+        zigzag(value) {
+            this.varint(value >= 0 ? value * 2 : -value * 2 - 1);
+        }
+        
+        f64(value) {
+            this.ensure(8);
+            this.view.setFloat64(this.length, value);
+            this.length += 8;
+        }
+        
+        string(value) {
+            const bytes = textEncoder.encode(value);
+            this.varint(bytes.length);
+            this.ensure(bytes.length);
+            this.bytes.set(bytes, this.length);
+            this.length += bytes.length;
+        }
+        
+        finish() {
+            return this.bytes.slice(0, this.length);
+        }
+    }
+    
+    // Bounds-checked reader; malformed input throws instead of reading garbage
+    class Reader {
+        constructor(bytes) {
+            this.bytes = bytes;
+            this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            this.offset = 0;
+        }
+        
+        need(size) {
+            if (this.offset + size > this.bytes.length) {
+                throw new Error('Unexpected end of path data');
+            }
+        }
+        
+        u8() {
+            this.need(1);
+            return this.bytes[this.offset++];
+        }
+        
+        varint() {
+            let value = 0;
+            let multiplier = 1;
+            for (let i = 0; i < 8; i++) {
+                const byte = this.u8();
+                value += (byte % 128) * multiplier;
+                if (byte < 128) return value;
+                multiplier *= 128;
+            }
+            throw new Error('Integer too large in path data');
+        }
+        
+        zigzag() {
+            const value = this.varint();
+            return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+        }
+        
+        f64() {
+            this.need(8);
+            const value = this.view.getFloat64(this.offset);
+            this.offset += 8;
+            return value;
+        }
+        
+        string() {
+            const length = this.varint();
+            this.need(length);
+            const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+            this.offset += length;
+            return value;
+        }
+        
+        // Check a count against the bytes left, so a bad count can't allocate a huge array
+        count(minBytesEach) {
+            const count = this.varint();
+            if (count * minBytesEach > this.bytes.length - this.offset) {
+                throw new Error('Count exceeds path data length');
+            }
+            return count;
+        }
+        
+        end() {
+            if (this.offset !== this.bytes.length) {
+                throw new Error('Unexpected trailing bytes in path data');
+            }
+        }
+    }
+    
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    function hasOnlyKeys(value, keys) {
+        return Object.keys(value).every(key => keys.includes(key));
+    }
+    
+    function isCoordinate(value) {
+        return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= MAX_COORDINATE;
+    }
+    
+    function quantize(value) {
+        return Math.round(value * COORDINATE_SCALE);
+    }
+    
+    // Whether a list of points shares one style and fits the binary layout
+    function canEncodePoints(points) {
+        if (!Array.isArray(points) || points.length === 0 || !isObject(points[0])) return false;
+        
+        const first = points[0];
+        if (!BRUSH_TOOLS.includes(first.tool) || typeof first.color !== 'string' || typeof first.strokeWidth !== 'number') {
+            return false;
+        }
+        return points.every(point => isObject(point) &&
+            hasOnlyKeys(point, POINT_KEYS) &&
+            isCoordinate(point.x) &&
+            isCoordinate(point.y) &&
+            point.tool === first.tool &&
+            point.color === first.color &&
+            point.strokeWidth === first.strokeWidth &&
+            (point.pressure === undefined || (typeof point.pressure === 'number' && point.pressure >= 0 && point.pressure <= 1)));
+    }
+    
+    function canEncodeStroke(path) {
+        return hasOnlyKeys(path, STROKE_KEYS) && canEncodePoints(path.points);
+    }
+    
+    function canEncodeShape(path) {
+        return hasOnlyKeys(path, SHAPE_KEYS) &&
+            SHAPE_TOOLS.includes(path.tool) &&
+            typeof path.color === 'string' &&
+            typeof path.strokeWidth === 'number' &&
+            ['startX', 'startY', 'endX', 'endY'].every(key => typeof path[key] === 'number') &&
+            (path.rotation === undefined || typeof path.rotation === 'number');
+    }
+    
+    // Fields every path record starts with
+    function writeHeader(writer, path, flags) {
+        if (path.userId !== undefined && path.userId !== null) flags |= HAS_USER_ID;
+        if (path.timestamp !== undefined) flags |= HAS_TIMESTAMP;
+        if (path.layerId !== undefined) flags |= HAS_LAYER_ID;
+        
+        writer.u8(flags);
+        writer.string(path.id);
+        if (flags & HAS_USER_ID) writer.string(path.userId);
+        if (flags & HAS_TIMESTAMP) writer.f64(path.timestamp);
+        if (flags & HAS_LAYER_ID) writer.string(path.layerId);
+    }
+    
+    function readHeader(reader) {
+        const flags = reader.u8();
+        const path = { id: reader.string() };
+        if (flags & HAS_USER_ID) path.userId = reader.string();
+        if (flags & HAS_TIMESTAMP) path.timestamp = reader.f64();
+        if (flags & HAS_LAYER_ID) path.layerId = reader.string();
+        return { flags, path };
+    }
+    
+    // Style once, then the delta-encoded points
+    function writePoints(writer, points) {
+        const first = points[0];
+        const hasPressure = points.some(point => point.pressure !== undefined);
+        
+        writer.u8(BRUSH_TOOLS.indexOf(first.tool));
+        writer.u8(hasPressure ? HAS_PRESSURE : 0);
+        writer.string(first.color);
+        writer.f64(first.strokeWidth);
+        writer.varint(points.length);
+        
+        let previousX = 0;
+        let previousY = 0;
+        points.forEach(point => {
+            const x = quantize(point.x);
+            const y = quantize(point.y);
+            writer.zigzag(x - previousX);
+            writer.zigzag(y - previousY);
+            previousX = x;
+            previousY = y;
+            
+            // 0 means no pressure for this point
+            if (hasPressure) {
+                writer.varint(point.pressure === undefined ? 0 : Math.round(point.pressure * PRESSURE_SCALE) + 1);
+            }
+        });
+    }
+    
+    function readPoints(reader) {
+        const tool = BRUSH_TOOLS[reader.u8()];
+        if (!tool) throw new Error('Unknown tool in path data');
+        const hasPressure = reader.u8() & HAS_PRESSURE;
+        const color = reader.string();
+        const strokeWidth = reader.f64();
+        const count = reader.count(2);
+        
+        const points = [];
+        let x = 0;
+        let y = 0;
+        for (let i = 0; i < count; i++) {
+            x += reader.zigzag();
+            y += reader.zigzag();
+            const point = { x: x / COORDINATE_SCALE, y: y / COORDINATE_SCALE, tool, color, strokeWidth };
+            
+            if (hasPressure) {
+                const pressure = reader.varint();
+                if (pressure > 0) point.pressure = (pressure - 1) / PRESSURE_SCALE;
+            }
+            points.push(point);
+        }
+        return points;
+    }
+    
+    function writeJson(writer, value) {
+        writer.u8(KIND_JSON);
+        writer.string(JSON.stringify(value));
+    }
+    
+    function writePath(writer, path) {
+        if (!isObject(path) || typeof path.id !== 'string' ||
+            (path.userId !== undefined && path.userId !== null && typeof path.userId !== 'string') ||
+            (path.timestamp !== undefined && typeof path.timestamp !== 'number') ||
+            (path.layerId !== undefined && typeof path.layerId !== 'string')) {
+            writeJson(writer, path);
+        } else if (path.points !== undefined && canEncodeStroke(path)) {
+            writer.u8(KIND_STROKE);
+            writeHeader(writer, path, 0);
+            writePoints(writer, path.points);
+        } else if (path.points === undefined && canEncodeShape(path)) {
+            writer.u8(KIND_SHAPE);
+            writeHeader(writer, path, path.rotation !== undefined ? HAS_ROTATION : 0);
+            writer.u8(SHAPE_TOOLS.indexOf(path.tool));
+            writer.string(path.color);
+            writer.f64(path.strokeWidth);
+            writer.f64(path.startX);
+            writer.f64(path.startY);
+            writer.f64(path.endX);
+            writer.f64(path.endY);
+            if (path.rotation !== undefined) writer.f64(path.rotation);
+        } else {
+            writeJson(writer, path);
+        }
+    }
+    
+    function readPath(reader) {
+        const kind = reader.u8();
+        
+        if (kind === KIND_JSON) {
+            return JSON.parse(reader.string());
+        }
+        
+        if (kind === KIND_STROKE) {
+            const { path } = readHeader(reader);
+            path.points = readPoints(reader);
+            return path;
+        }
+        
+        if (kind === KIND_SHAPE) {
+            const { flags, path } = readHeader(reader);
+            path.tool = SHAPE_TOOLS[reader.u8()];
+            if (!path.tool) throw new Error('Unknown shape in path data');
+            path.color = reader.string();
+            path.strokeWidth = reader.f64();
+            path.startX = reader.f64();
+            path.startY = reader.f64();
+            path.endX = reader.f64();
+            path.endY = reader.f64();
+            if (flags & HAS_ROTATION) path.rotation = reader.f64();
+            return path;
+        }
+        
+        throw new Error(`Unknown path record kind ${kind}`);
+    }
+    
+    // Accept a Uint8Array, a Node.js Buffer or an ArrayBuffer
+    function toBytes(data) {
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        throw new Error('Path data must be binary');
+    }
+    
+    function isBinary(data) {
+        return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+    }
+    
+    function startReading(data) {
+        const reader = new Reader(toBytes(data));
+        const version = reader.u8();
+        if (version < 1 || version > FORMAT_VERSION) {
+            throw new Error(`Unsupported path format version ${version}`);
+        }
+        return reader;
+    }
+    
+    // Encode one path
+    function encodePath(path) {
+        const writer = new Writer();
+        writer.u8(FORMAT_VERSION);
+        writePath(writer, path);
+        return writer.finish();
+    }
+    
+    function decodePath(data) {
+        const reader = startReading(data);
+        const path = readPath(reader);
+        reader.end();
+        return path;
+    }
+    
+    // Encode a list of paths
+    function encodePaths(paths) {
+        const writer = new Writer();
+        writer.u8(FORMAT_VERSION);
+        writer.varint(paths.length);
+        paths.forEach(path => writePath(writer, path));
+        return writer.finish();
+    }
+    
+    function decodePaths(data) {
+        const reader = startReading(data);
+        const count = reader.count(2);
+        const paths = [];
+        for (let i = 0; i < count; i++) {
+            paths.push(readPath(reader));
+        }
+        reader.end();
+        return paths;
+    }
+    
+    // Encode the points of a stroke on their own (e.g. a live stroke batch)
+    function encodePoints(points) {
+        const writer = new Writer();
+        writer.u8(FORMAT_VERSION);
+        if (canEncodePoints(points)) {
+            writer.u8(KIND_STROKE);
+            writePoints(writer, points);
+        } else {
+            writeJson(writer, points);
+        }
+        return writer.finish();
+    }
+    
+    function decodePoints(data) {
+        const reader = startReading(data);
+        const kind = reader.u8();
+        let points;
+        if (kind === KIND_JSON) {
+            points = JSON.parse(reader.string());
+        } else if (kind === KIND_STROKE) {
+            points = readPoints(reader);
+        } else {
+            throw new Error(`Unknown points record kind ${kind}`);
+        }
+        reader.end();
+        return points;
+    }
+    
+    const ENCODERS = { path: encodePath, paths: encodePaths, points: encodePoints };
+    const DECODERS = { path: decodePath, paths: decodePaths, points: decodePoints };
+    
+    // Replace a dotted field of an object, copying the objects along the way
+    function mapField(data, field, transform) {
+        if (field === '') return transform(data);
+        if (!isObject(data)) return data;
+        
+        const [key, ...rest] = field.split('.');
+        if (data[key] === undefined) return data;
+        return { ...data, [key]: mapField(data[key], rest.join('.'), transform) };
+    }
+    
+    // Encode the path data in an event payload; other events are returned as they are
+    function encodeEvent(event, data) {
+        const fields = EVENT_FIELDS[event];
+        if (!fields) return data;
+        
+        return fields.reduce((encoded, [field, type]) => mapField(encoded, field, value => {
+            return value === null || value === undefined || isBinary(value) ? value : ENCODERS[type](value);
+        }), data);
+    }
+    
+    // Decode the binary path data in an event payload; JSON payloads are returned as they are
+    function decodeEvent(event, data) {
+        const fields = EVENT_FIELDS[event];
+        if (!fields) return data;
+        
+        return fields.reduce((decoded, [field, type]) => mapField(decoded, field, value => {
+            return isBinary(value) ? DECODERS[type](value) : value;
+        }), data);
+    }
+    
+    return {
+        FORMAT_VERSION,
+        encodePath,
+        decodePath,
+        encodePaths,
+        decodePaths,
+        encodePoints,
+        decodePoints,
+        encodeEvent,
+        decodeEvent,
+        isBinary
+    };
+});
\ No newline at end of file
@@ -0,0 +1,102 @@
+// The name, colour and avatar this user shows to everyone else
+//
+// The profile is kept in localStorage and sent with every join-room, so it
+// comes back after a reload; changes are sent straight away with
+// update-profile. Fields the user never set are picked by the server.
+// Avatars are shrunk to a small JPEG data URL, which the server stores in
+// memory and sends to everyone in the room.
+
+const PROFILE_KEY = 'frontstack-profile';
+const AVATAR_SIZE = 64; // Avatars are cropped to a square this many pixels wide
+const AVATAR_QUALITY = 0.85;
+const MAX_AVATAR_LENGTH = 32768; // The server refuses longer data URLs
+export const MAX_NAME_LENGTH = 32; // The server refuses longer names
+
+// The profile saved by an earlier visit: { name, color, avatar }, with only the fields the user set
+export function loadProfile() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILE_KEY)) || {};
+        // Anything else would make the server refuse the join
+        const profile = {};
+        ['name', 'color', 'avatar'].forEach(key => {
+            if (typeof saved[key] === 'string') {
+                profile[key] = saved[key];
+            }
+        });
+        return profile;
+    } catch (error) {
+        console.warn('[Profile] Could not load the saved profile:', error);
+        return {};
+    }
+}
+
+// Save the profile for the next visit
+export function saveProfile(profile) {
+    try {
+        localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+    } catch (error) {
+        console.warn('[Profile] Could not save the profile:', error);
+    }
+}
+
+// Clean up a typed name; null if nothing is left
+export function normalizeName(name) {
+    const trimmed = name.replace(/[\x00-\x1f\x7f]/g, '').trim().substring(0, MAX_NAME_LENGTH).trim();
+    return trimmed || null;
+}
+
+// Crop an image file to a square and shrink it into an avatar data URL
+export function createAvatar(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            const side = Math.min(image.naturalWidth, image.naturalHeight);
+            if (!side) {
+                reject(new Error('The image has no size'));
+                return;
+            }
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = AVATAR_SIZE;
+            canvas.height = AVATAR_SIZE;
+            const ctx = canvas.getContext('2d');
+            // JPEG has no transparency, so see-through parts turn white rather than black
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, AVATAR_SIZE, AVATAR_SIZE);
+            ctx.drawImage(image,
+                (image.naturalWidth - side) / 2, (image.naturalHeight - side) / 2, side, side,
+                0, 0, AVATAR_SIZE, AVATAR_SIZE);
+            
+            const avatar = canvas.toDataURL('image/jpeg', AVATAR_QUALITY);
+            if (avatar.length > MAX_AVATAR_LENGTH) {
+                reject(new Error('The avatar image is too large'));
+                return;
+            }
+            resolve(avatar);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The image could not be read'));
+        };
+        image.src = url;
+    });
+}
+
+// A round avatar for a user: their image, or their initial on their colour
+export function createAvatarElement(user) {
+    const avatar = document.createElement('span');
+    avatar.className = 'avatar';
+    avatar.style.backgroundColor = user.color || '#7f8c8d';
+    
+    if (user.avatar) {
+        const image = document.createElement('img');
+        image.src = user.avatar;
+        image.alt = '';
+        avatar.appendChild(image);
+    } else {
+        avatar.textContent = Array.from(user.name || '?')[0].toUpperCase();
+    }
+    return avatar;
+}
\ No newline at end of file
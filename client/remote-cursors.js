@@ -0,0 +1,188 @@
+// Other users' pointers, drawn over the canvas
+//
+// Each cursor shows the user's name and current tool, and for the brush and
+// eraser a ring as wide as their stroke. Positions arrive about 30 times a
+// second at most, so a cursor glides from where it is to each new position
+// over the time the last update took to arrive, instead of jumping. Cursors
+// fade out when their user stops moving and come back on the next move.
+
+const MIN_GLIDE_MS = 16;
+const MAX_GLIDE_MS = 200; // Longer gaps are pauses, not slow movement
+const IDLE_AFTER_MS = 3000; // Cursors that haven't moved for this long fade out
+const MIN_RING_SIZE = 4; // Pixels; thinner rings would hide behind the dot
+
+// Same icons as the toolbar buttons
+const TOOL_ICONS = {
+    select: '🖱️',
+    brush: '✏️',
+    eraser: '🧽',
+    rectangle: '⬜',
+    circle: '⭕',
+    line: '📏',
+    'rounded-rectangle': '▢',
+    ellipse: '⬭',
+    triangle: '🔺',
+    star: '⭐',
+    arrow: '➡️',
+    polyline: '〰️',
+    polygon: '⬠',
+    text: '🔤'
+};
+const RING_TOOLS = ['brush', 'eraser'];
+
+export class RemoteCursors {
+    constructor(container, canvasManager) {
+        this.container = container;
+        this.canvasManager = canvasManager; // Converts world positions to the current view
+        this.cursors = new Map(); // userId -> cursor state, see move()
+        this.frame = null; // Pending animation frame while cursors are gliding
+    }
+    
+    // Move a user's cursor to { x, y } (world coordinates) with the tool and
+    // stroke width they are using; user is { name, color }
+    move(userId, { x, y, tool, strokeWidth }, user = {}) {
+        const now = performance.now();
+        let cursor = this.cursors.get(userId);
+        if (!cursor) {
+            cursor = this.createCursor(userId, { x, y });
+        }
+        
+        // Start from wherever the cursor is shown now, so a late update doesn't make it jump back
+        cursor.from = this.getPosition(cursor, now);
+        cursor.to = { x, y };
+        cursor.start = now;
+        cursor.duration = Math.min(MAX_GLIDE_MS, Math.max(MIN_GLIDE_MS, now - cursor.lastUpdate));
+        cursor.lastUpdate = now;
+        cursor.tool = tool;
+        cursor.strokeWidth = strokeWidth;
+        cursor.user = user;
+        
+        cursor.element.classList.remove('idle');
+        clearTimeout(cursor.idleTimer);
+        cursor.idleTimer = setTimeout(() => cursor.element.classList.add('idle'), IDLE_AFTER_MS);
+        
+        this.updateLabel(cursor);
+        this.animate();
+    }
+    
+    // Show a user's new name or colour
+    setUser(userId, user) {
+        const cursor = this.cursors.get(userId);
+        if (!cursor) return;
+        
+        cursor.user = user;
+        this.updateLabel(cursor);
+        this.place(cursor, performance.now());
+    }
+    
+    // Remove the cursor of a user who left
+    remove(userId) {
+        const cursor = this.cursors.get(userId);
+        if (!cursor) return;
+        
+        clearTimeout(cursor.idleTimer);
+        cursor.element.remove();
+        this.cursors.delete(userId);
+    }
+    
+    // Remove every cursor, e.g. when joining another room
+    clear() {
+        [...this.cursors.keys()].forEach(userId => this.remove(userId));
+    }
+    
+    // Place every cursor again after the view moved
+    refresh() {
+        const now = performance.now();
+        this.cursors.forEach(cursor => this.place(cursor, now));
+    }
+    
+    createCursor(userId, position) {
+        const element = document.createElement('div');
+        element.className = 'remote-cursor';
+        
+        const ring = document.createElement('span');
+        ring.className = 'remote-cursor-ring';
+        const dot = document.createElement('span');
+        dot.className = 'remote-cursor-dot';
+        const label = document.createElement('span');
+        label.className = 'remote-cursor-label';
+        
+        element.append(ring, dot, label);
+        this.container.appendChild(element);
+        
+        const cursor = {
+            element, ring, label,
+            from: position, to: position, start: 0, duration: MIN_GLIDE_MS,
+            lastUpdate: -Infinity, idleTimer: null,
+            tool: null, strokeWidth: null, user: {}
+        };
+        this.cursors.set(userId, cursor);
+        return cursor;
+    }
+    
+    // Where a cursor is shown at a time, in world coordinates
+    getPosition(cursor, now) {
+        const t = Math.min(1, (now - cursor.start) / cursor.duration);
+        return {
+            x: cursor.from.x + (cursor.to.x - cursor.from.x) * t,
+            y: cursor.from.y + (cursor.to.y - cursor.from.y) * t
+        };
+    }
+    
+    // Put a cursor where it is shown at a time, with its tool ring at the current zoom
+    place(cursor, now) {
+        const position = this.getPosition(cursor, now);
+        const { x, y } = this.canvasManager.worldToScreen(position.x, position.y);
+        const color = cursor.user.color || '#000000';
+        cursor.element.style.transform = `translate(${x}px, ${y}px)`;
+        cursor.element.style.color = color;
+        
+        const hasRing = RING_TOOLS.includes(cursor.tool) && cursor.strokeWidth;
+        cursor.ring.hidden = !hasRing;
+        if (hasRing) {
+            const size = Math.max(MIN_RING_SIZE, cursor.strokeWidth * this.canvasManager.view.scale);
+            cursor.ring.style.width = `${size}px`;
+            cursor.ring.style.height = `${size}px`;
+            cursor.ring.style.left = `${-size / 2}px`;
+            cursor.ring.style.top = `${-size / 2}px`;
+            cursor.ring.classList.toggle('eraser', cursor.tool === 'eraser');
+        }
+        cursor.label.style.backgroundColor = color;
+    }
+    
+    // Name, tool icon and, for the brush and eraser, the stroke width
+    updateLabel(cursor) {
+        const parts = [];
+        if (cursor.user.name) {
+            parts.push(cursor.user.name);
+        }
+        if (TOOL_ICONS[cursor.tool]) {
+            parts.push(TOOL_ICONS[cursor.tool]);
+        }
+        if (RING_TOOLS.includes(cursor.tool) && cursor.strokeWidth) {
+            parts.push(`${cursor.strokeWidth}px`);
+        }
+        cursor.label.textContent = parts.join(' ');
+        cursor.label.hidden = parts.length === 0;
+    }
+    
+    // Redraw cursors every frame until none of them is gliding
+    animate() {
+        if (this.frame !== null) return;
+        
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            const now = performance.now();
+            let gliding = false;
+            this.cursors.forEach(cursor => {
+                this.place(cursor, now);
+                if (now - cursor.start < cursor.duration) {
+                    gliding = true;
+                }
+            });
+            if (gliding) {
+                this.animate();
+            }
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,312 @@
+// Shape outlines, shared by the canvas, SVG export and the server
+//
+// Shapes are outlined in their colour (color) at strokeWidth, and can have a
+// fill colour (closed shapes only), a dash style and an opacity:
+//
+//   { id, userId, layerId, tool, color, strokeWidth, fill?, dash?, opacity?, ..., timestamp }
+//
+// Lines and arrows run from (startX, startY) to (endX, endY), and circles are
+// centred on the start with the end on their outline. Rectangles, rounded
+// rectangles, ellipses, triangles and stars fill the box between the two
+// corners, turned by their rotation (radians) about its centre. Polylines and
+// polygons list their corners as vertices: [{ x, y }].
+//
+// Outlines are lists of commands in world coordinates: ['M', x, y],
+// ['L', x, y], ['C', x1, y1, x2, y2, x, y] and ['Z'], which the canvas traces
+// and SVG export writes out as path data.
+//
+// Loaded with a <script> tag in the browser (window.Shapes) and with require()
+// on the server.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Shapes = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SHAPE_TOOLS = ['rectangle', 'circle', 'line', 'ellipse', 'arrow', 'polyline', 'polygon', 'rounded-rectangle', 'star', 'triangle'];
+    const BOX_TOOLS = ['rectangle', 'rounded-rectangle', 'ellipse', 'triangle', 'star']; // Rotate about the centre of their box
+    const VERTEX_TOOLS = ['polyline', 'polygon'];
+    const OPEN_TOOLS = ['line', 'arrow', 'polyline']; // Can't be filled
+    const DASH_STYLES = ['solid', 'dashed', 'dotted'];
+    const ARROW_HEADS = ['none', 'triangle', 'open', 'circle'];
+    
+    const MIN_STAR_SPIKES = 3;
+    const MAX_STAR_SPIKES = 20;
+    const STAR_INNER_RATIO = 0.5; // Radius of the star's inner corners, as a share of its outer radius
+    const MIN_POLYLINE_VERTICES = 2;
+    const MIN_POLYGON_VERTICES = 3;
+    const MAX_VERTICES = 1000;
+    const MIN_ARROW_HEAD_SIZE = 10; // Arrow heads are 4 stroke widths long, and at least this
+    const KAPPA = 0.5522847498; // Control point distance of a cubic quarter circle, per unit of radius
+    const CURVE_STEPS = 16; // Straight segments per curve when outlines are flattened
+    
+    // Check whether a path is one of the shapes
+    function isShape(path) {
+        return SHAPE_TOOLS.includes(path.tool);
+    }
+    
+    // Shapes that keep unrotated corners plus a rotation about their centre
+    function isBoxShape(path) {
+        return BOX_TOOLS.includes(path.tool);
+    }
+    
+    // Shapes with an inside, which can be filled
+    function isClosedShape(path) {
+        return isShape(path) && !OPEN_TOOLS.includes(path.tool);
+    }
+    
+    // Length of a path's arrow heads, which grow with its stroke
+    function getArrowHeadSize(path) {
+        return Math.max(MIN_ARROW_HEAD_SIZE, path.strokeWidth * 4);
+    }
+    
+    // Dash lengths for the canvas (setLineDash) and SVG (stroke-dasharray); empty for solid lines
+    // Dots are zero-length dashes, drawn as dots by the round line caps
+    function getDashPattern(path) {
+        if (path.dash === 'dashed') return [path.strokeWidth * 3, path.strokeWidth * 3];
+        if (path.dash === 'dotted') return [0, path.strokeWidth * 2];
+        return [];
+    }
+    
+    // Move every point of a list of commands through map(x, y) -> [x, y]
+    function mapCommands(commands, map) {
+        return commands.map(([type, ...values]) => {
+            const mapped = [type];
+            for (let i = 0; i < values.length; i += 2) {
+                mapped.push(...map(values[i], values[i + 1]));
+            }
+            return mapped;
+        });
+    }
+    
+    // An ellipse around (0, 0), as four quarter curves
+    function ellipseCommands(rx, ry) {
+        const kx = rx * KAPPA;
+        const ky = ry * KAPPA;
+        return [
+            ['M', rx, 0],
+            ['C', rx, ky, kx, ry, 0, ry],
+            ['C', -kx, ry, -rx, ky, -rx, 0],
+            ['C', -rx, -ky, -kx, -ry, 0, -ry],
+            ['C', kx, -ry, rx, -ky, rx, 0],
+            ['Z']
+        ];
+    }
+    
+    // A rectangle around (0, 0) with its corners rounded to radius
+    function roundedRectangleCommands(halfWidth, halfHeight, radius) {
+        const r = Math.max(0, Math.min(radius, halfWidth, halfHeight));
+        const c = r * (1 - KAPPA);
+        return [
+            ['M', -halfWidth + r, -halfHeight],
+            ['L', halfWidth - r, -halfHeight],
+            ['C', halfWidth - c, -halfHeight, halfWidth, -halfHeight + c, halfWidth, -halfHeight + r],
+            ['L', halfWidth, halfHeight - r],
+            ['C', halfWidth, halfHeight - c, halfWidth - c, halfHeight, halfWidth - r, halfHeight],
+            ['L', -halfWidth + r, halfHeight],
+            ['C', -halfWidth + c, halfHeight, -halfWidth, halfHeight - c, -halfWidth, halfHeight - r],
+            ['L', -halfWidth, -halfHeight + r],
+            ['C', -halfWidth, -halfHeight + c, -halfWidth + c, -halfHeight, -halfWidth + r, -halfHeight],
+            ['Z']
+        ];
+    }
+    
+    // A closed outline through a list of [x, y] corners
+    function polygonCommands(corners, closed = true) {
+        const commands = corners.map(([x, y], i) => [i === 0 ? 'M' : 'L', x, y]);
+        if (closed) commands.push(['Z']);
+        return commands;
+    }
+    
+    // Outline of a box shape around (0, 0), before it is turned and moved into place
+    function getBoxCommands(path, halfWidth, halfHeight) {
+        if (path.tool === 'rounded-rectangle') {
+            return roundedRectangleCommands(halfWidth, halfHeight, path.cornerRadius || 0);
+        }
+        if (path.tool === 'ellipse') {
+            return ellipseCommands(halfWidth, halfHeight);
+        }
+        if (path.tool === 'triangle') {
+            return polygonCommands([[0, -halfHeight], [halfWidth, halfHeight], [-halfWidth, halfHeight]]);
+        }
+        if (path.tool === 'star') {
+            // Outer and inner corners take turns, with the first spike pointing up
+            const corners = [];
+            for (let i = 0; i < path.spikes * 2; i++) {
+                const angle = -Math.PI / 2 + i * Math.PI / path.spikes;
+                const share = i % 2 === 0 ? 1 : STAR_INNER_RATIO;
+                corners.push([halfWidth * share * Math.cos(angle), halfHeight * share * Math.sin(angle)]);
+            }
+            return polygonCommands(corners);
+        }
+        return polygonCommands([[-halfWidth, -halfHeight], [halfWidth, -halfHeight], [halfWidth, halfHeight], [-halfWidth, halfHeight]]);
+    }
+    
+    // An arrow head with its tip at (x, y), pointing along (dx, dy) (a unit vector)
+    // Returns the head's outline, and how far back from the tip the line should stop
+    function getArrowHead(style, x, y, dx, dy, size) {
+        const backX = x - dx * size;
+        const backY = y - dy * size;
+        const sideX = -dy * size / 2;
+        const sideY = dx * size / 2;
+        
+        if (style === 'triangle') {
+            return {
+                mark: { commands: polygonCommands([[x, y], [backX + sideX, backY + sideY], [backX - sideX, backY - sideY]]), filled: true },
+                inset: size
+            };
+        }
+        if (style === 'open') {
+            return {
+                mark: { commands: polygonCommands([[backX + sideX, backY + sideY], [x, y], [backX - sideX, backY - sideY]], false), filled: false },
+                inset: 0
+            };
+        }
+        if (style === 'circle') {
+            const radius = size / 3;
+            return {
+                mark: { commands: mapCommands(ellipseCommands(radius, radius), (px, py) => [x + px, y + py]), filled: true },
+                inset: 0
+            };
+        }
+        return null;
+    }
+    
+    // Outline of an arrow's line, plus its heads as marks in the line's colour
+    function getArrowGeometry(path) {
+        const length = Math.hypot(path.endX - path.startX, path.endY - path.startY);
+        const line = [['M', path.startX, path.startY], ['L', path.endX, path.endY]];
+        if (length === 0) {
+            return { outline: line, marks: [] };
+        }
+        
+        const dx = (path.endX - path.startX) / length;
+        const dy = (path.endY - path.startY) / length;
+        const size = getArrowHeadSize(path);
+        const startHead = getArrowHead(path.startHead, path.startX, path.startY, -dx, -dy, size);
+        const endHead = getArrowHead(path.endHead === undefined ? 'triangle' : path.endHead, path.endX, path.endY, dx, dy, size);
+        
+        // Solid heads cover the end of the line, so it stops at their base,
+        // unless the arrow is too short for its heads
+        const startInset = startHead ? startHead.inset : 0;
+        const endInset = endHead ? endHead.inset : 0;
+        const fit = Math.min(1, length / Math.max(startInset + endInset, 1e-9));
+        return {
+            outline: [
+                ['M', path.startX + dx * startInset * fit, path.startY + dy * startInset * fit],
+                ['L', path.endX - dx * endInset * fit, path.endY - dy * endInset * fit]
+            ],
+            marks: [startHead, endHead].filter(Boolean).map(head => head.mark)
+        };
+    }
+    
+    // Outline of a shape path, plus marks drawn on top of it (arrow heads)
+    // Returns { outline, marks: [{ commands, filled }] }; filled marks are filled
+    // with the shape's stroke colour, and every mark is stroked without dashes
+    function getShapeGeometry(path) {
+        if (path.tool === 'arrow') {
+            return getArrowGeometry(path);
+        }
+        if (path.tool === 'line') {
+            return { outline: [['M', path.startX, path.startY], ['L', path.endX, path.endY]], marks: [] };
+        }
+        if (path.tool === 'circle') {
+            const radius = Math.hypot(path.endX - path.startX, path.endY - path.startY);
+            return { outline: mapCommands(ellipseCommands(radius, radius), (x, y) => [path.startX + x, path.startY + y]), marks: [] };
+        }
+        if (VERTEX_TOOLS.includes(path.tool)) {
+            return { outline: polygonCommands(path.vertices.map(v => [v.x, v.y]), path.tool === 'polygon'), marks: [] };
+        }
+        
+        const cx = (path.startX + path.endX) / 2;
+        const cy = (path.startY + path.endY) / 2;
+        const cos = Math.cos(path.rotation || 0);
+        const sin = Math.sin(path.rotation || 0);
+        const commands = getBoxCommands(path, Math.abs(path.endX - path.startX) / 2, Math.abs(path.endY - path.startY) / 2);
+        return {
+            outline: mapCommands(commands, (x, y) => [cx + x * cos - y * sin, cy + x * sin + y * cos]),
+            marks: []
+        };
+    }
+    
+    // SVG path data of a list of commands; format writes each number
+    function toPathData(commands, format = String) {
+        return commands.map(([type, ...values]) => type + values.map(format).join(' ')).join('');
+    }
+    
+    // Flatten commands into straight-edged figures: [{ points: [{ x, y }], closed }]
+    function flattenCommands(commands) {
+        const figures = [];
+        let figure = null;
+        
+        commands.forEach(([type, ...values]) => {
+            if (type === 'M') {
+                figure = { points: [{ x: values[0], y: values[1] }], closed: false };
+                figures.push(figure);
+            } else if (type === 'L') {
+                figure.points.push({ x: values[0], y: values[1] });
+            } else if (type === 'C') {
+                const from = figure.points[figure.points.length - 1];
+                const [x1, y1, x2, y2, x, y] = values;
+                for (let step = 1; step <= CURVE_STEPS; step++) {
+                    const t = step / CURVE_STEPS;
+                    const u = 1 - t;
+                    figure.points.push({
+                        x: u * u * u * from.x + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x,
+                        y: u * u * u * from.y + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y
+                    });
+                }
+            } else if (type === 'Z') {
+                figure.closed = true;
+            }
+        });
+        return figures;
+    }
+    
+    // Every figure a shape is drawn with, outline first, flattened into straight edges
+    function getShapeFigures(path) {
+        const { outline, marks } = getShapeGeometry(path);
+        return [outline, ...marks.map(mark => mark.commands)].flatMap(flattenCommands);
+    }
+    
+    // Bounding box of a shape, including its stroke
+    function getShapeBounds(path) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        getShapeFigures(path).forEach(figure => {
+            figure.points.forEach(point => {
+                minX = Math.min(minX, point.x);
+                minY = Math.min(minY, point.y);
+                maxX = Math.max(maxX, point.x);
+                maxY = Math.max(maxY, point.y);
+            });
+        });
+        
+        const half = (path.strokeWidth || 1) / 2;
+        return { minX: minX - half, minY: minY - half, maxX: maxX + half, maxY: maxY + half };
+    }
+    
+    return {
+        SHAPE_TOOLS,
+        BOX_TOOLS,
+        VERTEX_TOOLS,
+        OPEN_TOOLS,
+        DASH_STYLES,
+        ARROW_HEADS,
+        MIN_STAR_SPIKES,
+        MAX_STAR_SPIKES,
+        MIN_POLYLINE_VERTICES,
+        MIN_POLYGON_VERTICES,
+        MAX_VERTICES,
+        isShape,
+        isBoxShape,
+        isClosedShape,
+        getArrowHeadSize,
+        getDashPattern,
+        getShapeGeometry,
+        toPathData,
+        flattenCommands,
+        getShapeFigures,
+        getShapeBounds
+    };
+});
\ No newline at end of file
@@ -0,0 +1,146 @@
+// Input pipeline for brush and eraser strokes
+//
+// Pointer samples are smoothed as they arrive, and finished strokes are
+// simplified with Ramer–Douglas–Peucker so only the points that shape the
+// stroke are kept. Strokes are drawn as quadratic curves through the
+// midpoints of those points (see getCurveSegments in geometry.js).
+
+export const SMOOTHING_MODES = ['none', 'moving-average', 'one-euro'];
+
+// Averages each sample with the ones just before it
+export class MovingAverageFilter {
+    constructor(windowSize = 4) {
+        this.windowSize = windowSize;
+        this.samples = [];
+    }
+    
+    filter(x, y) {
+        this.samples.push({ x, y });
+        if (this.samples.length > this.windowSize) {
+            this.samples.shift();
+        }
+        
+        return {
+            x: this.samples.reduce((sum, sample) => sum + sample.x, 0) / this.samples.length,
+            y: this.samples.reduce((sum, sample) => sum + sample.y, 0) / this.samples.length
+        };
+    }
+    
+    reset() {
+        this.samples = [];
+    }
+}
+
+// Low-pass filter for one value, used by the one-euro filter
+class LowPassFilter {
+    constructor() {
+        this.value = null;
+    }
+    
+    filter(value, alpha) {
+        this.value = this.value === null ? value : alpha * value + (1 - alpha) * this.value;
+        return this.value;
+    }
+}
+
+// The one-euro filter (Casiez et al.): smooths strongly when the pointer moves
+// slowly, where jitter shows, and less when it moves fast, where lag shows
+export class OneEuroFilter {
+    constructor({ minCutoff = 1, beta = 0.01, derivativeCutoff = 1 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.derivativeCutoff = derivativeCutoff;
+        this.reset();
+    }
+    
+    // Smoothing factor for a cutoff frequency (Hz) and sample interval (seconds)
+    getAlpha(cutoff, interval) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / interval);
+    }
+    
+    filterAxis(axis, value, interval) {
+        const state = this.axes[axis];
+        const previous = state.value.value;
+        const derivative = previous === null ? 0 : (value - previous) / interval;
+        const speed = state.derivative.filter(derivative, this.getAlpha(this.derivativeCutoff, interval));
+        const cutoff = this.minCutoff + this.beta * Math.abs(speed);
+        return state.value.filter(value, this.getAlpha(cutoff, interval));
+    }
+    
+    // timestamp is in milliseconds
+    filter(x, y, timestamp) {
+        // Samples without a usable time step are treated as 60 Hz
+        const interval = this.lastTimestamp === null || !(timestamp > this.lastTimestamp)
+            ? 1 / 60
+            : (timestamp - this.lastTimestamp) / 1000;
+        this.lastTimestamp = timestamp;
+        
+        return {
+            x: this.filterAxis('x', x, interval),
+            y: this.filterAxis('y', y, interval)
+        };
+    }
+    
+    reset() {
+        this.lastTimestamp = null;
+        this.axes = {
+            x: { value: new LowPassFilter(), derivative: new LowPassFilter() },
+            y: { value: new LowPassFilter(), derivative: new LowPassFilter() }
+        };
+    }
+}
+
+// Create the filter for a smoothing mode, or null for 'none'
+export function createSmoothingFilter(mode) {
+    if (mode === 'moving-average') return new MovingAverageFilter();
+    if (mode === 'one-euro') return new OneEuroFilter();
+    return null;
+}
+
+// Distance from a point to the segment a-b; pressure counts as a third axis
+// scaled by the stroke width, so changes in pen pressure are kept
+function distanceToSegment3d(point, a, b) {
+    const z = p => (p.pressure === undefined ? 1 : p.pressure) * p.strokeWidth;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dz = z(b) - z(a);
+    const lengthSquared = dx * dx + dy * dy + dz * dz;
+    
+    let t = lengthSquared === 0 ? 0 : ((point.x - a.x) * dx + (point.y - a.y) * dy + (z(point) - z(a)) * dz) / lengthSquared;
+    t = Math.max(0, Math.min(1, t));
+    
+    return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy), z(point) - (z(a) + t * dz));
+}
+
+// Ramer–Douglas–Peucker: drop points closer than tolerance to the line kept around them
+export function simplifyPoints(points, tolerance) {
+    if (points.length <= 2 || tolerance <= 0) return [...points];
+    
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+    
+    // Iterative, so long strokes can't overflow the stack
+    const ranges = [[0, points.length - 1]];
+    while (ranges.length > 0) {
+        const [first, last] = ranges.pop();
+        let farthest = -1;
+        let farthestDistance = tolerance;
+        
+        for (let i = first + 1; i < last; i++) {
+            const distance = distanceToSegment3d(points[i], points[first], points[last]);
+            if (distance > farthestDistance) {
+                farthest = i;
+                farthestDistance = distance;
+            }
+        }
+        
+        if (farthest !== -1) {
+            keep[farthest] = true;
+            ranges.push([first, farthest], [farthest, last]);
+        }
+    }
+    
+    return points.filter((point, i) => keep[i]);
+}
\ No newline at end of file
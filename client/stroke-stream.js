@@ -0,0 +1,102 @@
+// Streams a brush or eraser stroke to the server while it is being drawn
+//
+// Points are buffered and sent in small batches, so other users see the
+// stroke grow without one event per pointer move. Strokes begun while offline
+// aren't streamed, and neither is the rest of a stroke once the connection
+// drops; those are sent whole when they are finished (see end()).
+
+const MAX_BATCH_POINTS = 500; // The server rejects larger stroke-append batches
+
+export class StrokeStream {
+    constructor(wsClient, batchIntervalMs = 30) {
+        this.wsClient = wsClient;
+        this.batchIntervalMs = batchIntervalMs;
+        this.strokeId = null;
+        this.live = false; // The server is following the stroke
+        this.interrupted = false; // The connection dropped while the stroke was streamed
+        this.pending = []; // Points not sent yet
+        this.flushTimer = null;
+    }
+    
+    // Start a new stroke on a layer, streaming it if live
+    begin(strokeId, point, layerId, live = true) {
+        if (this.strokeId) {
+            this.end();
+        }
+        
+        this.strokeId = strokeId;
+        this.live = live;
+        this.interrupted = false;
+        if (live) {
+            this.wsClient.emit('stroke-begin', { id: strokeId, point, layerId });
+        }
+    }
+    
+    // Queue a point for the next batch
+    append(point) {
+        if (!this.strokeId || !this.live) return;
+        
+        this.pending.push(point);
+        if (this.pending.length >= MAX_BATCH_POINTS) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.batchIntervalMs);
+        }
+    }
+    
+    // Send the queued points now
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        
+        if (!this.strokeId || this.pending.length === 0) return;
+        
+        this.wsClient.emit('stroke-append', { id: this.strokeId, points: this.pending });
+        this.pending = [];
+    }
+    
+    // Commit the stroke, replacing the streamed points with the final ones if given
+    // Returns false if the stroke wasn't streamed to the end, so it has to be sent whole
+    end(points = null) {
+        if (!this.strokeId) return false;
+        
+        const live = this.live;
+        if (live && points) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+            this.pending = [];
+            this.wsClient.emit('stroke-end', { id: this.strokeId, points });
+        } else if (live) {
+            this.flush();
+            this.wsClient.emit('stroke-end', { id: this.strokeId });
+        }
+        this.strokeId = null;
+        this.live = false;
+        return live;
+    }
+    
+    // Stop streaming when the connection drops; the server keeps what it has so far
+    interrupt() {
+        if (!this.strokeId || !this.live) return;
+        
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.pending = [];
+        this.live = false;
+        this.interrupted = true;
+    }
+    
+    // Drop the stroke on the server and for everyone watching it
+    cancel() {
+        if (!this.strokeId) return;
+        
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.pending = [];
+        if (this.live) {
+            this.wsClient.emit('stroke-cancel', { id: this.strokeId });
+        }
+        this.strokeId = null;
+        this.live = false;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,356 @@
+// SVG rendering of a drawing, shared by the client's export and the server's
+// GET /rooms/:roomId/export.svg route
+//
+// Each visible layer becomes a group with the layer's opacity. Eraser strokes
+// only remove what was drawn before them on their layer, so everything under
+// an eraser stroke is wrapped in a group masked by it. Text is drawn stretched
+// to fill its box, like on the canvas, and shapes are outlined by shapes.js.
+//
+// Loaded with a <script> tag in the browser (window.SvgExport, after
+// window.Shapes) and with require() on the server.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./shapes.js'));
+    } else {
+        root.SvgExport = factory(root.Shapes);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Shapes) {
+    const DEFAULT_LAYER_ID = 'default'; // Layer of paths that don't name one
+    const MIN_PRESSURE_WIDTH = 0.2; // Share of the stroke width drawn at the lightest pen pressure
+    const TEXT_LINE_HEIGHT = 1.25; // Line spacing of text, as a multiple of the font size
+    const DEFAULT_PADDING = 10; // World units left around the drawing
+    
+    // Round coordinates to 1/100 of a unit to keep the file small
+    function formatNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+    
+    function escapeXml(value) {
+        return String(value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            '\'': '&apos;'
+        })[c]);
+    }
+    
+    // Build an element from an attribute object, leaving out undefined attributes
+    function element(name, attributes, content = null) {
+        const attributeText = Object.keys(attributes)
+            .filter(key => attributes[key] !== undefined)
+            .map(key => {
+                const value = attributes[key];
+                return ` ${key}="${escapeXml(typeof value === 'number' ? formatNumber(value) : value)}"`;
+            })
+            .join('');
+        return content === null ? `<${name}${attributeText}/>` : `<${name}${attributeText}>${content}</${name}>`;
+    }
+    
+    // Stroke width of a point, thinned by pen pressure when it has any
+    function getPointWidth(point) {
+        const width = point.strokeWidth || 1;
+        if (point.pressure === undefined) {
+            return width;
+        }
+        return width * (MIN_PRESSURE_WIDTH + (1 - MIN_PRESSURE_WIDTH) * point.pressure);
+    }
+    
+    // Pieces of the curve the client draws through a stroke's points: quadratic
+    // curves between the midpoints, like getCurveSegments in client/geometry.js
+    function getCurveSegments(points) {
+        const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        const segments = [];
+        
+        let from = points[0];
+        for (let i = 1; i < points.length - 1; i++) {
+            const to = mid(points[i], points[i + 1]);
+            segments.push({ from, control: points[i], to, point: points[i] });
+            from = to;
+        }
+        
+        const last = points[points.length - 1];
+        segments.push({ from, control: mid(from, last), to: last, point: last });
+        return segments;
+    }
+    
+    // Transform that puts (0, 0) at the centre of a box path, turned by its rotation
+    function getBoxTransform(path) {
+        const cx = (path.startX + path.endX) / 2;
+        const cy = (path.startY + path.endY) / 2;
+        const rotation = path.rotation ? ` rotate(${formatNumber(path.rotation * 180 / Math.PI)})` : '';
+        return `translate(${formatNumber(cx)} ${formatNumber(cy)})${rotation}`;
+    }
+    
+    // Bounding box of a path, including its stroke, or null if it has no geometry
+    function getPathBounds(path) {
+        if (path.points) {
+            if (path.points.length === 0) return null;
+            
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            path.points.forEach(point => {
+                const half = (point.strokeWidth || 1) / 2;
+                minX = Math.min(minX, point.x - half);
+                minY = Math.min(minY, point.y - half);
+                maxX = Math.max(maxX, point.x + half);
+                maxY = Math.max(maxY, point.y + half);
+            });
+            return { minX, minY, maxX, maxY };
+        }
+        
+        if (!path.tool) return null;
+        if (Shapes.isShape(path)) return Shapes.getShapeBounds(path);
+        
+        // Corners of the text or image box, turned about its centre
+        const half = (path.strokeWidth || 1) / 2;
+        const cx = (path.startX + path.endX) / 2;
+        const cy = (path.startY + path.endY) / 2;
+        const angle = path.rotation || 0;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const corners = [
+            [path.startX, path.startY],
+            [path.endX, path.startY],
+            [path.endX, path.endY],
+            [path.startX, path.endY]
+        ].map(([x, y]) => ({
+            x: cx + (x - cx) * cos - (y - cy) * sin,
+            y: cy + (x - cx) * sin + (y - cy) * cos
+        }));
+        return {
+            minX: Math.min(...corners.map(c => c.x)) - half,
+            minY: Math.min(...corners.map(c => c.y)) - half,
+            maxX: Math.max(...corners.map(c => c.x)) + half,
+            maxY: Math.max(...corners.map(c => c.y)) + half
+        };
+    }
+    
+    // Region { x, y, width, height } covered by the visible layers of a drawing,
+    // with padding around it, or null if there is nothing to show
+    function getDrawingRegion(drawing, padding = DEFAULT_PADDING) {
+        const visible = new Set(drawing.layers.filter(layer => layer.visible).map(layer => layer.id));
+        const bounds = drawing.paths
+            .filter(path => visible.has(path.layerId || DEFAULT_LAYER_ID))
+            .map(getPathBounds)
+            .filter(Boolean);
+        drawing.layers.forEach(({ id, snapshot }) => {
+            if (visible.has(id) && snapshot) {
+                bounds.push({
+                    minX: snapshot.x,
+                    minY: snapshot.y,
+                    maxX: snapshot.x + snapshot.width,
+                    maxY: snapshot.y + snapshot.height
+                });
+            }
+        });
+        
+        if (bounds.length === 0) return null;
+        
+        const minX = Math.min(...bounds.map(b => b.minX)) - padding;
+        const minY = Math.min(...bounds.map(b => b.minY)) - padding;
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...bounds.map(b => b.maxX)) + padding - minX,
+            height: Math.max(...bounds.map(b => b.maxY)) + padding - minY
+        };
+    }
+    
+    // A brush or eraser stroke; eraser strokes are drawn in black for use in a mask
+    function renderStroke(path) {
+        const points = path.points;
+        const first = points[0];
+        const color = first.tool === 'eraser' ? '#000' : first.color;
+        
+        if (points.length === 1) {
+            return element('circle', { cx: first.x, cy: first.y, r: getPointWidth(first) / 2, fill: color });
+        }
+        
+        const segments = getCurveSegments(points);
+        const curve = segment => `Q${formatNumber(segment.control.x)} ${formatNumber(segment.control.y)} ${formatNumber(segment.to.x)} ${formatNumber(segment.to.y)}`;
+        const style = { fill: 'none', stroke: color, 'stroke-linecap': 'round', 'stroke-linejoin': 'round' };
+        
+        if (points.some(point => point.pressure !== undefined)) {
+            // Pen strokes change width with pressure, so each curve piece is a path of its own
+            return element('g', style, segments.map(segment => element('path', {
+                d: `M${formatNumber(segment.from.x)} ${formatNumber(segment.from.y)}${curve(segment)}`,
+                'stroke-width': getPointWidth(segment.point)
+            })).join(''));
+        }
+        
+        return element('path', {
+            d: `M${formatNumber(first.x)} ${formatNumber(first.y)}${segments.map(curve).join('')}`,
+            ...style,
+            'stroke-width': first.strokeWidth
+        });
+    }
+    
+    // A shape's outline, filled if it has a fill, then its arrow heads in its colour
+    function renderShape(path) {
+        if (!Shapes.isShape(path)) return '';
+        
+        const { outline, marks } = Shapes.getShapeGeometry(path);
+        const dash = Shapes.getDashPattern(path);
+        const toPathData = commands => Shapes.toPathData(commands, formatNumber);
+        const style = {
+            stroke: path.color,
+            'stroke-width': path.strokeWidth,
+            'stroke-linecap': 'round',
+            'stroke-linejoin': 'round',
+            'fill-opacity': path.opacity,
+            'stroke-opacity': path.opacity
+        };
+        
+        return element('path', {
+            d: toPathData(outline),
+            fill: path.fill || 'none',
+            'stroke-dasharray': dash.length > 0 ? dash.map(formatNumber).join(' ') : undefined,
+            ...style
+        }) + marks.map(mark => element('path', {
+            d: toPathData(mark.commands),
+            fill: mark.filled ? path.color : 'none',
+            ...style
+        })).join('');
+    }
+    
+    // A text object, each line stretched to its share of the box width
+    // measureLine(line, path) gives the width of a line at the text's font size
+    function renderText(path, measureLine) {
+        const lines = path.text.split('\n');
+        const widths = lines.map(line => measureLine(line, path));
+        const textWidth = Math.max(...widths);
+        if (!(textWidth > 0)) return '';
+        
+        const lineHeight = path.fontSize * TEXT_LINE_HEIGHT;
+        const boxWidth = Math.abs(path.endX - path.startX);
+        const scaleY = Math.abs(path.endY - path.startY) / (lines.length * lineHeight);
+        const top = -lines.length * lineHeight / 2;
+        
+        const content = lines.map((line, i) => {
+            if (widths[i] === 0) return '';
+            return element('text', {
+                x: -boxWidth / 2,
+                y: top + i * lineHeight + (lineHeight - path.fontSize) / 2,
+                textLength: boxWidth * widths[i] / textWidth,
+                lengthAdjust: 'spacingAndGlyphs',
+                'dominant-baseline': 'text-before-edge'
+            }, escapeXml(line));
+        }).join('');
+        
+        return element('g', {
+            transform: `${getBoxTransform(path)} scale(1 ${formatNumber(scaleY)})`,
+            'font-family': path.fontFamily,
+            'font-size': path.fontSize,
+            fill: path.color,
+            'xml:space': 'preserve'
+        }, content);
+    }
+    
+    // An uploaded image stretched to fill its box, or a placeholder if there is no URL for it
+    function renderImage(path, assetUrl) {
+        const width = Math.abs(path.endX - path.startX);
+        const height = Math.abs(path.endY - path.startY);
+        const box = { x: -width / 2, y: -height / 2, width, height, transform: getBoxTransform(path) };
+        const url = assetUrl(path.assetId);
+        
+        if (!url) {
+            return element('rect', { ...box, fill: '#ecf0f1', stroke: '#bdc3c7' });
+        }
+        return element('image', { ...box, href: url, preserveAspectRatio: 'none' });
+    }
+    
+    // Any visible path; eraser strokes are handled by renderLayer
+    function renderPath(path, options) {
+        if (path.points) {
+            return path.points.length > 0 ? renderStroke(path) : '';
+        }
+        if (path.tool === 'text') {
+            return renderText(path, options.measureLine);
+        }
+        if (path.tool === 'image') {
+            return renderImage(path, options.assetUrl);
+        }
+        return renderShape(path);
+    }
+    
+    function isEraserStroke(path) {
+        return Boolean(path.points && path.points.length > 0 && path.points[0].tool === 'eraser');
+    }
+    
+    // A layer's snapshot and paths, in a group with the layer's opacity
+    function renderLayer(layer, paths, region, options, nextId) {
+        let content = '';
+        if (layer.snapshot) {
+            const { x, y, width, height, image } = layer.snapshot;
+            content += element('image', { x, y, width, height, href: image, preserveAspectRatio: 'none' });
+        }
+        
+        // Consecutive eraser strokes share one mask over everything before them
+        let masks = '';
+        for (let i = 0; i < paths.length; i++) {
+            if (!isEraserStroke(paths[i])) {
+                content += renderPath(paths[i], options);
+                continue;
+            }
+            
+            let erased = '';
+            while (i < paths.length && isEraserStroke(paths[i])) {
+                erased += renderStroke(paths[i]);
+                i++;
+            }
+            i--;
+            
+            const id = nextId();
+            masks += element('mask', { id, maskUnits: 'userSpaceOnUse', ...region },
+                element('rect', { ...region, fill: '#fff' }) + erased);
+            content = element('g', { mask: `url(#${id})` }, content);
+        }
+        
+        return masks + element('g', { opacity: layer.opacity < 1 ? layer.opacity : undefined }, content);
+    }
+    
+    // Width of a line of text when nothing can measure it: about half the font size per character
+    function estimateLineWidth(line, path) {
+        return line.length * path.fontSize * 0.5;
+    }
+    
+    // Render a drawing ({ layers, paths }, layers bottom to top) as an SVG document
+    // Options:
+    //   region: { x, y, width, height } of the world to show; the drawing's own by default
+    //   scale: size of the SVG in pixels per world unit
+    //   assetUrl(assetId): URL of an uploaded image, or null to leave a placeholder
+    //   measureLine(line, path): width of a line of text at the text's font size
+    function renderSvg(drawing, options = {}) {
+        const region = options.region || getDrawingRegion(drawing) ||
+            { x: 0, y: 0, width: DEFAULT_PADDING * 2, height: DEFAULT_PADDING * 2 };
+        const scale = options.scale || 1;
+        const renderOptions = {
+            assetUrl: options.assetUrl || (() => null),
+            measureLine: options.measureLine || estimateLineWidth
+        };
+        
+        let maskCount = 0;
+        const nextId = () => `eraser-${++maskCount}`;
+        
+        const layers = drawing.layers
+            .filter(layer => layer.visible)
+            .map(layer => {
+                const paths = drawing.paths.filter(path => (path.layerId || DEFAULT_LAYER_ID) === layer.id);
+                return renderLayer(layer, paths, region, renderOptions, nextId);
+            })
+            .join('');
+        
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + element('svg', {
+            xmlns: 'http://www.w3.org/2000/svg',
+            width: region.width * scale,
+            height: region.height * scale,
+            viewBox: [region.x, region.y, region.width, region.height].map(formatNumber).join(' ')
+        }, layers);
+    }
+    
+    return {
+        getDrawingRegion,
+        getPathBounds,
+        renderSvg
+    };
+});
\ No newline at end of file
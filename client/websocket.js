@@ -1,4 +1,23 @@
 // WebSocket client for collaborative canvas
+
+const IDENTITY_KEY = 'frontstack-identity'; // localStorage key of the identity token
+const UPLOAD_TOKEN_TIMEOUT_MS = 10000;
+
+// Random token the server knows this browser by, so reconnects and reloads
+// stay the same user; tabs share it and are the same user too
+function getIdentityToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(24));
+    let token = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    try {
+        token = localStorage.getItem(IDENTITY_KEY) || token;
+        localStorage.setItem(IDENTITY_KEY, token);
+    } catch (error) {
+        // Without storage the identity only lasts until the page is reloaded
+        console.warn('[WebSocketClient] Could not store the identity token:', error);
+    }
+    return token;
+}
+
 export class WebSocketClient {
     constructor(url) {
         console.log('[WebSocketClient] Initializing WebSocket client');
@@ -10,6 +29,7 @@ export class WebSocketClient {
         // For Vercel deployment, we need to construct the WebSocket URL properly
         let socketUrl;
         let socketOptions;
+        const identity = getIdentityToken();
 
         if (!url) {
             console.log('[WebSocketClient] No URL provided, constructing URL from current origin');
@@ -31,6 +51,7 @@ export class WebSocketClient {
                 // Add Vercel-specific options
                 forceNew: true,
                 autoConnect: false, // Don't auto-connect, we'll connect manually
+                auth: { pathFormat: window.PathCodec.FORMAT_VERSION, identity }, // Ask for binary path data
                 // Add additional options for better Vercel compatibility
                 rememberUpgrade: true,
                 upgradeTimeout: 10000,
@@ -50,7 +71,8 @@ export class WebSocketClient {
                 randomizationFactor: 0.5,
                 timeout: 10000,
                 forceNew: true,
-                autoConnect: false
+                autoConnect: false,
+                auth: { pathFormat: window.PathCodec.FORMAT_VERSION, identity }
             };
         }
 
@@ -63,6 +85,12 @@ export class WebSocketClient {
         console.log('[WebSocketClient] Socket.IO instance created:', this.socket);
         this.listeners = {};
 
+        // Path data is only sent in binary once the server says it reads the same format
+        this.binaryPaths = false;
+        this.socket.on('initial-state', (data) => {
+            this.binaryPaths = data.pathFormat === window.PathCodec.FORMAT_VERSION;
+        });
+
         // Add comprehensive connection state logging
         this.socket.on('connect', () => {
             console.log('[WebSocketClient] WebSocket connected with ID:', this.socket.id);
@@ -169,33 +197,81 @@ export class WebSocketClient {
         });
     }
 
-    // Register event listeners
+    // Register event listeners; binary path data is decoded before callbacks see it
     on(event, callback) {
         console.log('[WebSocketClient] Registering event listener for:', event);
         this.listeners[event] = callback;
-        this.socket.on(event, callback);
+        this.socket.on(event, (data) => callback(window.PathCodec.decodeEvent(event, data)));
+    }
+
+    // Whether the socket is connected to the server
+    get connected() {
+        return this.socket.connected;
+    }
+
+    // ID of the current connection; it changes on every reconnect
+    get id() {
+        return this.socket.id;
     }
 
     // Emit an event to the server
     emit(event, data) {
         console.log('[WebSocketClient] Emitting event:', event, data);
         if (this.socket.connected) {
-            this.socket.emit(event, data);
+            this.socket.emit(event, this.binaryPaths ? window.PathCodec.encodeEvent(event, data) : data);
         } else {
             console.warn(`[WebSocketClient] Cannot emit event ${event}: Not connected to server`);
         }
     }
 
+    // Emit an event and wait for the server to acknowledge it; changes to the
+    // drawing can be sent with an operation ID, so the server applies them once
+    // Resolves to the server's answer; rejects if there is none within timeoutMs,
+    // e.g. because the connection dropped
+    emitWithAck(event, data, timeoutMs, opId) {
+        return new Promise((resolve, reject) => {
+            if (!this.socket.connected) {
+                reject(new Error('Not connected to server'));
+                return;
+            }
+            const payload = this.binaryPaths ? window.PathCodec.encodeEvent(event, data) : data;
+            const args = opId === undefined ? [payload] : [payload, opId];
+            this.socket.timeout(timeoutMs).emit(event, ...args, (error, response) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
+
+    // Ask for a token that lets one HTTP upload act for this connection; it
+    // expires after a minute
+    async requestUploadToken() {
+        const response = await this.emitWithAck('request-upload-token', null, UPLOAD_TOKEN_TIMEOUT_MS);
+        if (!response || !response.token) {
+            throw new Error(response && response.error ? response.error.message : 'The server did not issue an upload token');
+        }
+        return response.token;
+    }
+
     // Disconnect from the server
     disconnect() {
         console.log('[WebSocketClient] Disconnecting from server');
         this.socket.disconnect();
     }
 
-    // Join a drawing room
-    joinRoom(roomId) {
+    // Join a drawing room, with a password or invite token for protected rooms,
+    // and the name, colour and avatar the user chose, if any
+    joinRoom(roomId, credentials = {}, profile = {}) {
         console.log('[WebSocketClient] Joining room:', roomId);
-        this.socket.emit('join-room', roomId);
+        const hasProfile = Object.keys(profile).length > 0;
+        if (credentials.password || credentials.inviteToken || hasProfile) {
+            this.socket.emit('join-room', { roomId, ...credentials, ...(hasProfile ? { profile } : {}) });
+        } else {
+            this.socket.emit('join-room', roomId);
+        }
     }
 
     // Leave a drawing room
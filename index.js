@@ -62,25 +62,244 @@ app.get('/health', (req, res) => {
         status: 'OK', 
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
-        port: PORT
+        port: PORT,
+        validation: validator.getStats()
+    });
+});
+
+// Event counters for monitoring
+app.get('/stats', (req, res) => {
+    console.log('[Server] Stats requested');
+    res.status(200).json({
+        connections: io.engine.clientsCount,
+        rateLimits: rateLimiter.getStats(),
+        validation: validator.getStats(),
+        wireFormat: wireFormat.getStats()
     });
 });
 
 // Import room manager and drawing state from server files
 console.log('[Server] Importing room manager and drawing state');
-const { RoomManager } = require('./server/rooms.js');
+const { RoomManager, getUserIdForToken } = require('./server/rooms.js');
 const { DrawingState } = require('./server/drawing-state.js');
+const { createStorage } = require('./server/storage.js');
+const { EventValidator } = require('./server/validation.js');
+const { RateLimiter, loadRateLimits } = require('./server/rate-limit.js');
+const { RoomAccess } = require('./server/room-access.js');
+const { UploadTokens } = require('./server/upload-tokens.js');
+const { WireFormat } = require('./server/wire-format.js');
+const { AssetStore, AssetError, MAX_ASSET_SIZE } = require('./server/assets.js');
+const { ImportError, IMPORT_MODES, MAX_DOCUMENT_SIZE, parseDocument, saveDocumentAssets } = require('./server/documents.js');
+const PathCodec = require('./client/path-codec.js');
+const SvgExport = require('./client/svg-export.js');
 
 // Initialize room manager and drawing state
 console.log('[Server] Initializing room manager and drawing state');
-const roomManager = new RoomManager();
-const drawingState = new DrawingState();
+// Users whose connection drops stay in their rooms for USER_GRACE_PERIOD milliseconds
+const roomManager = new RoomManager({
+    gracePeriodMs: parseInt(process.env.USER_GRACE_PERIOD) || 30000
+});
+// Storage backend is picked with STORAGE_BACKEND (memory, file or sqlite) and STORAGE_PATH
+console.log(`[Server] Using storage backend: ${process.env.STORAGE_BACKEND || 'memory'}`);
+const storage = createStorage({
+    backend: process.env.STORAGE_BACKEND,
+    path: process.env.STORAGE_PATH
+});
+const drawingState = new DrawingState({
+    storage,
+    flushIntervalMs: parseInt(process.env.STORAGE_FLUSH_INTERVAL) || 1000
+});
+const validator = new EventValidator();
+const rateLimiter = new RateLimiter({ limits: loadRateLimits() });
+// Invite links are signed with INVITE_SECRET, or else a secret kept with the rooms,
+// so links to rooms that are saved keep working after a restart
+const roomAccess = new RoomAccess({ secret: process.env.INVITE_SECRET || (storage && storage.getSecret('invite')) });
+const wireFormat = new WireFormat(io);
+const uploadTokens = new UploadTokens();
+// Uploaded images are stored in ASSET_PATH
+const assetStore = new AssetStore(process.env.ASSET_PATH || path.join(process.cwd(), 'data', 'assets'));
 console.log('[Server] Room manager and drawing state initialized');
 
+// The connected socket an HTTP request acts for, from the one-time token in
+// its X-Upload-Token header (see upload-tokens.js), or null
+function getUploadSocket(req) {
+    const socketId = uploadTokens.redeem(req.get('X-Upload-Token'));
+    return (socketId && io.sockets.sockets.get(socketId)) || null;
+}
+
+// Upload an image for the canvas; only editors connected to a room can upload
+app.post('/assets', (req, res, next) => {
+    const socket = getUploadSocket(req);
+    const canUpload = socket && [...socket.rooms].some(roomId => roomId !== socket.id && roomManager.canEdit(socket.data.userId, roomId));
+    if (!canUpload) {
+        return res.status(403).json({ error: 'forbidden', message: 'Join a room you can draw in to upload images' });
+    }
+    if (rateLimiter.check(socket.id, 'upload-asset') !== 'allow') {
+        return res.status(429).json({ error: 'rate-limited', message: 'Too many uploads, try again shortly' });
+    }
+    res.locals.uploader = socket;
+    next();
+}, express.raw({ type: () => true, limit: MAX_ASSET_SIZE }), async (req, res) => {
+    try {
+        console.log(`[Server] Image upload from ${res.locals.uploader.id}`);
+        res.status(201).json(await assetStore.saveAsset(req.body));
+    } catch (error) {
+        if (error instanceof AssetError) {
+            return res.status(error.status).json({ error: error.code, message: error.message });
+        }
+        console.error('[Server] Failed to save image:', error);
+        res.status(500).json({ error: 'internal', message: 'The image could not be saved' });
+    }
+});
+
+// Images are named by their content, so they never change and can be cached for good
+app.get('/assets/:assetId', async (req, res) => {
+    try {
+        const asset = await assetStore.findAsset(req.params.assetId);
+        if (!asset) {
+            return res.status(404).json({ error: 'not-found', message: 'No such image' });
+        }
+        
+        // SVG images can hold scripts, which must not run when one is opened directly
+        res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.sendFile(asset.file, { maxAge: '1y', immutable: true, headers: { 'Content-Type': asset.type } });
+    } catch (error) {
+        console.error('[Server] Failed to read image:', error);
+        res.status(500).json({ error: 'internal', message: 'The image could not be read' });
+    }
+});
+
+// Render a room's drawing as SVG, so boards can be embedded elsewhere; images
+// are inlined, as SVG files shown with <img> can't load anything else.
+// Protected rooms need an invite token in ?invite=
+app.get('/rooms/:roomId/export.svg', async (req, res) => {
+    const roomId = req.params.roomId;
+    try {
+        await drawingState.loadRoom(roomId);
+    } catch (error) {
+        console.error(`[Server] Failed to load room ${roomId}:`, error);
+        return res.status(500).json({ error: 'internal', message: 'Failed to load room' });
+    }
+    
+    // Loading a room that doesn't exist creates an empty one, which is dropped again
+    if (drawingState.isRoomUnused(roomId) && Object.keys(roomManager.getUsersInRoom(roomId)).length === 0) {
+        drawingState.unloadRoom(roomId);
+        return res.status(404).json({ error: 'not-found', message: 'No such room' });
+    }
+    
+    const denied = await roomAccess.checkJoin(drawingState.getRoomAccess(roomId), roomId, { inviteToken: req.query.invite });
+    if (denied) {
+        return res.status(403).json({ error: denied.code, message: denied.message });
+    }
+    
+    try {
+        console.log(`[Server] SVG export of room ${roomId}`);
+        const roomState = drawingState.getRoomState(roomId);
+        const assetIds = new Set(roomState.paths.filter(p => p.tool === 'image').map(p => p.assetId));
+        const assetUrls = new Map();
+        for (const assetId of assetIds) {
+            const asset = await assetStore.readAsset(assetId);
+            if (asset) {
+                assetUrls.set(assetId, `data:${asset.type};base64,${asset.data.toString('base64')}`);
+            }
+        }
+        
+        const svg = SvgExport.renderSvg(
+            { layers: roomState.layers, paths: roomState.paths },
+            { assetUrl: assetId => assetUrls.get(assetId) || null }
+        );
+        // The drawing changes all the time, so it is never cached
+        res.set('Cache-Control', 'no-store');
+        res.set('Content-Security-Policy', "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox");
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.type('image/svg+xml').send(svg);
+    } catch (error) {
+        console.error(`[Server] Failed to export room ${roomId}:`, error);
+        res.status(500).json({ error: 'internal', message: 'The drawing could not be exported' });
+    }
+});
+
+// Import a saved drawing into a room (?mode=replace or ?mode=merge). Like uploads,
+// the importer is identified by an upload token and must be an editor in the room;
+// replacing throws away everyone's work, locked layers included, so only the owner can
+app.post('/rooms/:roomId/import', (req, res, next) => {
+    const roomId = req.params.roomId;
+    const socket = getUploadSocket(req);
+    if (!socket || !socket.rooms.has(roomId) || !roomManager.canEdit(socket.data.userId, roomId)) {
+        return res.status(403).json({ error: 'forbidden', message: 'Join the room as an editor to import drawings' });
+    }
+    if (!IMPORT_MODES.includes(req.query.mode)) {
+        return res.status(400).json({ error: 'invalid-mode', message: `mode must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
+    if (req.query.mode === 'replace' && !roomManager.isOwner(socket.data.userId, roomId)) {
+        return res.status(403).json({ error: 'forbidden', message: 'Only the room owner can replace the drawing' });
+    }
+    if (rateLimiter.check(socket.id, 'import-document') !== 'allow') {
+        return res.status(429).json({ error: 'rate-limited', message: 'Too many imports, try again shortly' });
+    }
+    res.locals.socket = socket;
+    next();
+}, express.text({ type: () => true, limit: MAX_DOCUMENT_SIZE }), async (req, res) => {
+    const roomId = req.params.roomId;
+    const mode = req.query.mode;
+    const socket = res.locals.socket;
+    try {
+        console.log(`[Server] Drawing import into room ${roomId} by ${socket.id} (${mode})`);
+        const { document, migratedFrom } = parseDocument(req.body, { maxSnapshotSize: drawingState.snapshotMaxSize });
+        await saveDocumentAssets(assetStore, document);
+        
+        if (!drawingState.importRoom(roomId, document, mode, socket.data.userId)) {
+            return res.status(409).json({ error: 'too-many-layers', message: `A room can have at most ${drawingState.maxLayers} layers` });
+        }
+        
+        // Everyone in the room gets the new drawing, with their own undo history
+        const roomState = drawingState.getRoomState(roomId);
+        (io.sockets.adapter.rooms.get(roomId) || new Set()).forEach(socketId => {
+            const member = io.sockets.sockets.get(socketId);
+            if (!member) return;
+            
+            wireFormat.emit(member, 'drawing-imported', {
+                mode,
+                userId: socket.data.userId,
+                layers: roomState.layers,
+                paths: roomState.paths,
+                history: drawingState.getUserHistory(roomId, member.data.userId)
+            });
+        });
+        
+        res.status(200).json({ mode, layers: document.layers.length, paths: document.paths.length, migratedFrom });
+    } catch (error) {
+        if (error instanceof ImportError) {
+            return res.status(error.status).json({ error: error.code, message: error.message, errors: error.errors });
+        }
+        console.error(`[Server] Failed to import a drawing into room ${roomId}:`, error);
+        res.status(500).json({ error: 'internal', message: 'The drawing could not be imported' });
+    }
+});
+
+// Sockets of a user in a room; a user has one per open tab
+function getUserSockets(roomId, userId) {
+    return [...(io.sockets.adapter.rooms.get(roomId) || [])]
+        .map(socketId => io.sockets.sockets.get(socketId))
+        .filter(member => member && member.data.userId === userId);
+}
+
+// Clients send a random identity token in the handshake, kept in their
+// browser, so a user stays the same user across reconnects and reloads.
+// Clients without one are identified by their socket ID.
+io.use((socket, next) => {
+    const auth = socket.handshake.auth || {};
+    socket.data.userId = getUserIdForToken(auth.identity) || socket.id;
+    next();
+});
+
 // Handle WebSocket connections
 console.log('[Server] Setting up WebSocket connection handler');
 io.on('connection', (socket) => {
     console.log('[Server] User connected:', socket.id, 'on port:', PORT);
+    const userId = socket.data.userId;
+    console.log(`[Server] Socket ${socket.id} belongs to user ${userId}`);
     console.log('[Server] Socket handshake details:', {
         headers: socket.handshake.headers,
         address: socket.handshake.address,
@@ -90,169 +309,712 @@ io.on('connection', (socket) => {
     // Send connection confirmation
     console.log('[Server] Sending connection confirmation to:', socket.id);
     socket.emit('connection-confirmed', { 
-        userId: socket.id, 
+        userId, 
         timestamp: new Date().toISOString(),
         port: PORT
     });
     
+    // Throttle, warn and finally disconnect sockets that flood events
+    socket.use(rateLimiter.middleware(socket));
+    
+    // Keep the unfinished strokes of a user who leaves a room
+    const endLiveStrokes = (roomId, userId) => {
+        drawingState.endUserStrokes(roomId, userId).forEach(path => {
+            io.to(roomId).emit('stroke-end', { id: path.id, timestamp: path.timestamp });
+        });
+    };
+    
+    // Tell a room that this user left
+    const announceLeave = (roomId) => {
+        endLiveStrokes(roomId, userId);
+        io.to(roomId).emit('user-left', { userId });
+    };
+    
+    // Take this socket out of a room; the user only leaves it once none of their tabs are in it
+    const leaveRoom = (roomId) => {
+        socket.leave(roomId);
+        if (getUserSockets(roomId, userId).length === 0) {
+            roomManager.removeUserFromRoom(userId, roomId);
+            announceLeave(roomId);
+        }
+    };
+    
+    // Tell the given rooms about this user's new name, colour or avatar
+    const announceProfile = (roomIds) => {
+        const { name, color, avatar } = roomManager.getProfile(userId);
+        roomIds.forEach(roomId => {
+            io.to(roomId).emit('user-updated', { userId, name, color, avatar });
+        });
+    };
+    
+    // A chat or comment message from this user, with the name and colour they
+    // have now; only mentions of users in the room are kept
+    const createMessage = (roomId, { text, mentions }) => {
+        const { name, color } = roomManager.getProfile(userId);
+        return {
+            userId,
+            name,
+            color,
+            text,
+            mentions: mentions.filter(mentionedId => roomManager.isInRoom(mentionedId, roomId))
+        };
+    };
+    
+    // Tell the sender a change was refused; returns the error to acknowledge it
+    // with, so the client can take the change back
+    const denyChange = (event, roomId, message) => {
+        socket.emit('permission-denied', { event, roomId, message });
+        return { code: 'permission-denied', message };
+    };
+    
+    // Reject changes to the drawing from users who may not edit the room
+    // Returns the error to acknowledge the change with, or null if it may go ahead
+    const checkEditRoom = (roomId, event) => {
+        if (roomManager.canEdit(userId, roomId)) {
+            return null;
+        }
+        console.log(`[Server] Rejected ${event} from viewer ${userId} in room ${roomId}`);
+        return denyChange(event, roomId, 'Viewers cannot change the drawing');
+    };
+    
+    // Reject changes to paths on locked layers, or on layers the room doesn't have
+    // Returns the error to acknowledge the change with, or null if it may go ahead
+    const checkEditLayer = (roomId, layerId, event) => {
+        if (drawingState.isLayerEditable(roomId, layerId)) {
+            return null;
+        }
+        console.log(`[Server] Rejected ${event} from ${userId} on locked layer ${layerId} in room ${roomId}`);
+        return denyChange(event, roomId, 'This layer is locked or no longer exists');
+    };
+    
+    // Guard a change to the drawing, which clients send through their outbox
+    // (client/outbox.js) with an operation ID; a change the room has already
+    // applied, e.g. one sent again because its acknowledgement was lost, is
+    // only acknowledged as a duplicate, so sending a change twice is safe
+    // The ID is only remembered once the change went through; a refused change,
+    // or one whose handler threw, may be sent again with the same ID
+    const guardChange = (event, handler) => validator.guard(socket, event, (data, opId) => {
+        const roomIds = [...socket.rooms].filter(roomId => roomId !== socket.id);
+        if (opId !== undefined && roomIds.some(roomId => drawingState.hasOp(roomId, opId))) {
+            return { duplicate: true };
+        }
+        const result = handler(data);
+        if (opId !== undefined && !(result && result.error)) {
+            roomIds.forEach(roomId => drawingState.recordOp(roomId, opId));
+        }
+        return result;
+    });
+    
+    // Change another user's role; only the room owner may do this
+    const changeUserRole = (event, targetId, role) => {
+        socket.rooms.forEach(roomId => {
+            if (roomId === socket.id) return;
+            
+            if (!roomManager.isOwner(userId, roomId)) {
+                console.log(`[Server] Rejected ${event} from non-owner ${userId} in room ${roomId}`);
+                socket.emit('permission-denied', { event, roomId, message: 'Only the room owner can change roles' });
+                return;
+            }
+            if (targetId === userId || !roomManager.getUserRole(targetId, roomId)) {
+                socket.emit('permission-denied', { event, roomId, message: 'Unknown or invalid user' });
+                return;
+            }
+            
+            console.log(`[Server] User ${targetId} is now ${role} in room ${roomId}`);
+            roomManager.setUserRole(targetId, roomId, role);
+            drawingState.setUserRole(roomId, targetId, role);
+            io.to(roomId).emit('user-role-changed', { userId: targetId, role });
+        });
+    };
+    
     // Handle user joining a room
-    socket.on('join-room', (roomId) => {
-        console.log(`[Server] User ${socket.id} attempting to join room:`, roomId);
+    socket.on('join-room', validator.guard(socket, 'join-room', async (join) => {
+        let roomId = join.roomId;
+        console.log(`[Server] User ${userId} attempting to join room:`, roomId);
         // Validate room ID
         if (!roomId || typeof roomId !== 'string') {
             console.log(`[Server] Invalid room ID provided, using default`);
             roomId = 'default';
         }
         
+        // Load the room from storage before anyone can draw in it
+        console.log(`[Server] Loading room ${roomId}`);
+        try {
+            await drawingState.loadRoom(roomId);
+        } catch (error) {
+            console.error(`[Server] Failed to load room ${roomId}:`, error);
+            socket.emit('room-error', { roomId, message: 'Failed to load room' });
+            return;
+        }
+        
+        // Protected rooms need a password or invite link, unless the user already has
+        // a role in them; wrong passwords use up a budget of their own, so they
+        // can't be guessed quickly
+        const retryAfter = join.password ? rateLimiter.getRetryAfter(socket.id, 'join-password') : 0;
+        if (retryAfter > 0) {
+            socket.emit('room-error', { roomId, code: 'rate-limited', message: 'Too many wrong passwords, try again shortly', retryAfter });
+            return;
+        }
+        const denied = await roomAccess.checkJoin(drawingState.getRoomAccess(roomId), roomId, join, drawingState.getUserRole(roomId, userId));
+        if (denied) {
+            if (denied.code === 'invalid-password') {
+                rateLimiter.check(socket.id, 'join-password');
+            }
+            console.log(`[Server] User ${userId} denied access to room ${roomId}: ${denied.code}`);
+            socket.emit('room-error', { roomId, ...denied });
+            return;
+        }
+        
+        // Users kicked from the room can't come back
+        if (drawingState.isBanned(roomId, userId)) {
+            console.log(`[Server] User ${userId} is banned from room ${roomId}`);
+            socket.emit('room-error', { roomId, code: 'banned', message: 'You were removed from this room' });
+            return;
+        }
+        
         // Leave any previous rooms
-        console.log(`[Server] User ${socket.id} leaving previous rooms`);
+        console.log(`[Server] User ${userId} leaving previous rooms`);
+        // Joining the same room again only sends its state
         socket.rooms.forEach(room => {
-            if (room !== socket.id) {
-                socket.leave(room);
-                console.log(`[Server] User ${socket.id} left room ${room}`);
+            if (room !== socket.id && room !== roomId) {
+                leaveRoom(room);
+                console.log(`[Server] User ${userId} left room ${room}`);
             }
         });
         
         // Join the new room
-        console.log(`[Server] User ${socket.id} joining room ${roomId}`);
+        console.log(`[Server] User ${userId} joining room ${roomId}`);
         socket.join(roomId);
         
         // Add user to room
-        console.log(`[Server] Adding user ${socket.id} to room ${roomId}`);
-        const user = roomManager.addUserToRoom(socket.id, roomId);
+        console.log(`[Server] Adding user ${userId} to room ${roomId}`);
+        const rejoined = roomManager.isInRoom(userId, roomId);
+        if (join.profile) {
+            announceProfile(roomManager.updateProfile(userId, join.profile));
+        }
+        const user = roomManager.addUserToRoom(userId, roomId, drawingState.claimUserRole(roomId, userId));
         
         // Send initial state to the user
-        console.log(`[Server] Sending initial state to user ${socket.id}`);
+        console.log(`[Server] Sending initial state to user ${userId}`);
         const roomState = drawingState.getRoomState(roomId);
-        socket.emit('initial-state', {
+        wireFormat.emit(socket, 'initial-state', {
+            userId,
+            layers: roomState.layers,
             paths: roomState.paths,
-            users: roomManager.getUsersInRoom(roomId)
+            users: roomManager.getUsersInRoom(roomId),
+            authors: roomManager.getProfiles(roomState.paths.map(path => path.userId)),
+            history: drawingState.getUserHistory(roomId, userId),
+            strokes: drawingState.getLiveStrokes(roomId),
+            chat: roomState.chat,
+            comments: roomState.comments,
+            pathFormat: PathCodec.FORMAT_VERSION
         });
         
-        // Notify other users in the room
-        console.log(`[Server] Notifying other users in room ${roomId} about new user ${socket.id}`);
-        socket.to(roomId).emit('user-joined', {
-            userId: socket.id,
-            color: user.color,
-            name: user.name
-        });
+        // Notify other users in the room, unless the user was already in it from
+        // another tab or is back within the grace period
+        if (!rejoined) {
+            console.log(`[Server] Notifying other users in room ${roomId} about new user ${userId}`);
+            socket.to(roomId).emit('user-joined', {
+                userId,
+                color: user.color,
+                name: user.name,
+                avatar: user.avatar,
+                role: user.role
+            });
+        }
         
-        console.log(`[Server] User ${socket.id} successfully joined room ${roomId}`);
-    });
+        console.log(`[Server] User ${userId} successfully ${rejoined ? 'rejoined' : 'joined'} room ${roomId}`);
+    }));
     
     // Handle user leaving a room
-    socket.on('leave-room', (roomId) => {
-        console.log(`[Server] User ${socket.id} attempting to leave room:`, roomId);
+    socket.on('leave-room', validator.guard(socket, 'leave-room', (roomId) => {
+        console.log(`[Server] User ${userId} attempting to leave room:`, roomId);
         // Validate room ID
         if (!roomId || typeof roomId !== 'string') {
             console.log(`[Server] No valid room ID provided, leaving all rooms`);
             // Leave all rooms if no specific room is provided
             socket.rooms.forEach(room => {
                 if (room !== socket.id) {
-                    socket.leave(room);
-                    roomManager.removeUserFromRoom(socket.id, room);
-                    socket.to(room).emit('user-left', { userId: socket.id });
-                    console.log(`[Server] User ${socket.id} left room ${room}`);
+                    leaveRoom(room);
+                    console.log(`[Server] User ${userId} left room ${room}`);
                 }
             });
             return;
         }
         
-        console.log(`[Server] User ${socket.id} leaving room ${roomId}`);
-        socket.leave(roomId);
-        roomManager.removeUserFromRoom(socket.id, roomId);
-        socket.to(roomId).emit('user-left', { userId: socket.id });
-        console.log(`[Server] User ${socket.id} successfully left room ${roomId}`);
-    });
+        console.log(`[Server] User ${userId} leaving room ${roomId}`);
+        leaveRoom(roomId);
+        console.log(`[Server] User ${userId} successfully left room ${roomId}`);
+    }));
     
     // Handle drawing path
-    socket.on('draw-path', (pathData) => {
-        console.log(`[Server] Received draw-path from user ${socket.id}`);
+    socket.on('draw-path', guardChange('draw-path', (pathData) => {
+        console.log(`[Server] Received draw-path from user ${userId}`);
+        // The server decides who owns a path, not the client
+        const path = { ...pathData, userId };
+        let duplicate = false;
+        
         // Broadcast to all other users in the same room
+        let denied = null;
         socket.rooms.forEach(roomId => {
             if (roomId !== socket.id) {
+                denied = checkEditRoom(roomId, 'draw-path') || checkEditLayer(roomId, path.layerId, 'draw-path');
+                if (denied) return;
+                
+                // Paths sent again after a reconnect are only added once
+                if (drawingState.hasSeenPath(roomId, path.id)) {
+                    console.log(`[Server] Ignoring duplicate path ${path.id} in room ${roomId}`);
+                    duplicate = true;
+                    return;
+                }
+                
                 console.log(`[Server] Broadcasting draw-path to room ${roomId}`);
-                socket.to(roomId).emit('draw-path', pathData);
+                wireFormat.broadcast(roomId, 'draw-path', path, socket);
                 // Update drawing state
-                drawingState.addPathToRoom(roomId, pathData);
+                drawingState.addPathToRoom(roomId, path);
             }
         });
-    });
+        if (denied) {
+            return { error: denied };
+        }
+        return duplicate ? { duplicate: true } : {};
+    }));
+    
+    // Handle the start of a stroke that is streamed while it is drawn
+    socket.on('stroke-begin', validator.guard(socket, 'stroke-begin', (data) => {
+        console.log(`[Server] Received stroke-begin ${data.id} from user ${userId}`);
+        let denied = null;
+        socket.rooms.forEach(roomId => {
+            if (roomId !== socket.id) {
+                denied = checkEditRoom(roomId, 'stroke-begin') || checkEditLayer(roomId, data.layerId, 'stroke-begin');
+                if (denied) return;
+                
+                if (drawingState.beginStroke(roomId, userId, data.id, data.point, data.layerId)) {
+                    socket.to(roomId).emit('stroke-begin', { id: data.id, userId, layerId: data.layerId, point: data.point });
+                }
+            }
+        });
+        return denied ? { error: denied } : {};
+    }));
+    
+    // Handle a batch of points for a live stroke
+    socket.on('stroke-append', validator.guard(socket, 'stroke-append', (data) => {
+        console.log(`[Server] Received stroke-append ${data.id} from user ${userId}`);
+        socket.rooms.forEach(roomId => {
+            if (roomId !== socket.id) {
+                // Only the author can extend a stroke; points past the length limit are dropped
+                if (drawingState.appendStroke(roomId, userId, data.id, data.points)) {
+                    wireFormat.broadcast(roomId, 'stroke-append', { id: data.id, points: data.points }, socket);
+                }
+            }
+        });
+    }));
+    
+    // Handle the end of a live stroke, which commits it to the room
+    // Edit rights are checked again, as the user may have been made a viewer, or
+    // the layer locked or deleted, since the stroke began; the stroke is then dropped
+    socket.on('stroke-end', validator.guard(socket, 'stroke-end', (data) => {
+        console.log(`[Server] Received stroke-end ${data.id} from user ${userId}`);
+        let denied = null;
+        socket.rooms.forEach(roomId => {
+            if (roomId !== socket.id) {
+                const stroke = drawingState.getUserStroke(roomId, userId, data.id);
+                if (!stroke) return;
+                
+                denied = checkEditRoom(roomId, 'stroke-end') || checkEditLayer(roomId, stroke.layerId, 'stroke-end');
+                if (denied) {
+                    drawingState.cancelStroke(roomId, userId, data.id);
+                    socket.to(roomId).emit('stroke-cancel', { id: data.id });
+                    return;
+                }
+                
+                const path = drawingState.endStroke(roomId, userId, data.id, data.points);
+                if (!path) return;
+                
+                // Final points are only sent on when they replace the streamed ones
+                const end = { id: data.id, timestamp: path.timestamp };
+                if (data.points) {
+                    end.points = path.points;
+                }
+                wireFormat.broadcast(roomId, 'stroke-end', end, socket);
+            }
+        });
+        return denied ? { error: denied } : {};
+    }));
+    
+    // Handle a live stroke abandoned before it was finished
+    socket.on('stroke-cancel', validator.guard(socket, 'stroke-cancel', (data) => {
+        console.log(`[Server] Received stroke-cancel ${data.id} from user ${userId}`);
+        socket.rooms.forEach(roomId => {
+            if (roomId !== socket.id) {
+                if (drawingState.cancelStroke(roomId, userId, data.id)) {
+                    socket.to(roomId).emit('stroke-cancel', { id: data.id });
+                }
+            }
+        });
+    }));
     
     // Handle undo path
-    socket.on('undo-path', (data) => {
-        console.log(`[Server] Received undo-path from user ${socket.id}`);
+    socket.on('undo-path', guardChange('undo-path', (data) => {
+        console.log(`[Server] Received undo-path from user ${userId}`);
+        let denied = null;
         socket.rooms.forEach(roomId => {
             if (roomId !== socket.id) {
+                denied = checkEditRoom(roomId, 'undo-path');
+                if (denied) return;
+                
+                // Only the user's own paths can be undone
+                const undonePath = drawingState.undoPath(roomId, userId, data && data.pathId);
+                if (!undonePath) {
+                    console.log(`[Server] Nothing to undo for user ${userId} in room ${roomId}`);
+                    return;
+                }
                 console.log(`[Server] Broadcasting path-undone to room ${roomId}`);
-                socket.to(roomId).emit('path-undone', data);
-                // Update drawing state
-                drawingState.removePathFromRoom(roomId, data.pathId);
+                socket.to(roomId).emit('path-undone', { pathId: undonePath.id });
             }
         });
-    });
+        return denied ? { error: denied } : {};
+    }));
     
     // Handle redo path
-    socket.on('redo-path', (data) => {
-        console.log(`[Server] Received redo-path from user ${socket.id}`);
+    socket.on('redo-path', guardChange('redo-path', (data) => {
+        console.log(`[Server] Received redo-path from user ${userId}`);
+        let denied = null;
         socket.rooms.forEach(roomId => {
             if (roomId !== socket.id) {
+                denied = checkEditRoom(roomId, 'redo-path');
+                if (denied) return;
+                
+                // Restore the full path from the user's redo stack
+                const redonePath = drawingState.redoPath(roomId, userId, data && data.pathId);
+                if (!redonePath) {
+                    console.log(`[Server] Nothing to redo for user ${userId} in room ${roomId}`);
+                    return;
+                }
                 console.log(`[Server] Broadcasting path-redone to room ${roomId}`);
-                // We would need to store the path data for redo
-                // For simplicity, we'll just notify other users
-                socket.to(roomId).emit('path-redone', data);
+                wireFormat.broadcast(roomId, 'path-redone', redonePath, socket);
             }
         });
-    });
+        return denied ? { error: denied } : {};
+    }));
+    
+    // Handle moving, resizing, rotating or deleting an existing path
+    socket.on('path-updated', guardChange('path-updated', (data) => {
+        console.log(`[Server] Received path-updated from user ${userId}`);
+        let denied = null;
+        socket.rooms.forEach(roomId => {
+            if (roomId !== socket.id) {
+                denied = checkEditRoom(roomId, 'path-updated');
+                if (denied) return;
+                
+                // Paths can't be changed on, moved onto or moved off a locked layer
+                const existingPath = drawingState.getPath(roomId, data.pathId);
+                if (!existingPath) return;
+                denied = checkEditLayer(roomId, existingPath.layerId, 'path-updated') ||
+                    (data.deleted ? null : checkEditLayer(roomId, data.path.layerId, 'path-updated'));
+                if (denied) return;
+                
+                if (data.deleted) {
+                    if (drawingState.deletePath(roomId, data.pathId, userId)) {
+                    console.log(`[Server] Path ${data.pathId} deleted in room ${roomId}`);
+                        socket.to(roomId).emit('path-updated', { pathId: data.pathId, deleted: true });
+                    }
+                    return;
+                }
+                
+                // Edited paths keep their original author
+                const path = { ...data.path, userId: existingPath.userId };
+                drawingState.updatePath(roomId, data.pathId, path, userId);
+                wireFormat.broadcast(roomId, 'path-updated', { pathId: data.pathId, path }, socket);
+            }
+        });
+        return denied ? { error: denied } : {};
+    }));
     
     // Handle clear canvas
-    socket.on('clear-canvas', () => {
-        console.log(`[Server] Received clear-canvas from user ${socket.id}`);
+    socket.on('clear-canvas', guardChange('clear-canvas', () => {
+        console.log(`[Server] Received clear-canvas from user ${userId}`);
+        let denied = null;
         socket.rooms.forEach(roomId => {
             if (roomId !== socket.id) {
+                denied = checkEditRoom(roomId, 'clear-canvas');
+                if (denied) return;
+                
                 console.log(`[Server] Broadcasting canvas-cleared to room ${roomId}`);
                 socket.to(roomId).emit('canvas-cleared');
                 // Clear drawing state
-                drawingState.clearRoom(roomId);
+                drawingState.clearRoom(roomId, userId);
             }
         });
-    });
+        return denied ? { error: denied } : {};
+    }));
+    
+    // Handle a new layer, added on top of the others
+    socket.on('layer-created', guardChange('layer-created', (data) => {
+        console.log(`[Server] Received layer-created ${data.id} from user ${userId}`);
+        let denied = null;
+        socket.rooms.forEach(roomId => {
+            if (roomId !== socket.id) {
+                denied = checkEditRoom(roomId, 'layer-created');
+                if (denied) return;
+                
+                const layer = drawingState.addLayer(roomId, data, userId);
+                if (layer) {
+                    socket.to(roomId).emit('layer-created', { id: layer.id, name: layer.name, visible: layer.visible, locked: layer.locked, opacity: layer.opacity });
+                }
+            }
+        });
+        return denied ? { error: denied } : {};
+    }));
+    
+    // Handle renaming, hiding, locking or fading a layer
+    socket.on('layer-updated', guardChange('layer-updated', (data) => {
+        console.log(`[Server] Received layer-updated ${data.layerId} from user ${userId}`);
+        let denied = null;
+        socket.rooms.forEach(roomId => {
+            if (roomId !== socket.id) {
+                denied = checkEditRoom(roomId, 'layer-updated');
+                if (denied) return;
+                
+                if (drawingState.updateLayer(roomId, data.layerId, data, userId)) {
+                    socket.to(roomId).emit('layer-updated', data);
+                }
+            }
+        });
+        return denied ? { error: denied } : {};
+    }));
+    
+    // Handle moving a layer up or down the stack
+    socket.on('layer-moved', guardChange('layer-moved', (data) => {
+        console.log(`[Server] Received layer-moved ${data.layerId} from user ${userId}`);
+        let denied = null;
+        socket.rooms.forEach(roomId => {
+            if (roomId !== socket.id) {
+                denied = checkEditRoom(roomId, 'layer-moved');
+                if (denied) return;
+                
+                if (drawingState.moveLayer(roomId, data.layerId, data.index, userId)) {
+                    socket.to(roomId).emit('layer-moved', data);
+                }
+            }
+        });
+        return denied ? { error: denied } : {};
+    }));
+    
+    // Handle owner promoting a viewer to editor
+    socket.on('promote-user', validator.guard(socket, 'promote-user', (data) => {
+        console.log(`[Server] Received promote-user from user ${userId}`);
+        changeUserRole('promote-user', data.userId, 'editor');
+    }));
+    
+    // Handle owner demoting an editor to viewer
+    socket.on('demote-user', validator.guard(socket, 'demote-user', (data) => {
+        console.log(`[Server] Received demote-user from user ${userId}`);
+        changeUserRole('demote-user', data.userId, 'viewer');
+    }));
+    
+    // Handle owner removing a user from the room
+    socket.on('kick-user', validator.guard(socket, 'kick-user', (data) => {
+        console.log(`[Server] Received kick-user from user ${userId}`);
+        socket.rooms.forEach(roomId => {
+            if (roomId === socket.id) return;
+            
+            if (!roomManager.isOwner(userId, roomId)) {
+                console.log(`[Server] Rejected kick-user from non-owner ${userId} in room ${roomId}`);
+                socket.emit('permission-denied', { event: 'kick-user', roomId, message: 'Only the room owner can kick users' });
+                return;
+            }
+            if (data.userId === userId || !roomManager.getUserRole(data.userId, roomId)) {
+                socket.emit('permission-denied', { event: 'kick-user', roomId, message: 'Unknown or invalid user' });
+                return;
+            }
+            
+            // Kicked users are kept out of the room, even after reconnecting
+            drawingState.banUser(roomId, data.userId);
+            roomManager.removeUserFromRoom(data.userId, roomId);
+            getUserSockets(roomId, data.userId).forEach(kickedSocket => {
+                kickedSocket.leave(roomId);
+                kickedSocket.emit('kicked', { roomId });
+            });
+            endLiveStrokes(roomId, data.userId);
+            io.to(roomId).emit('user-left', { userId: data.userId });
+            console.log(`[Server] User ${data.userId} was kicked from room ${roomId}`);
+        });
+    }));
+    
+    // Handle a user changing their name, colour or avatar; it shows in every room they are in
+    socket.on('update-profile', validator.guard(socket, 'update-profile', (changes) => {
+        console.log(`[Server] Received update-profile from user ${userId}`);
+        announceProfile(roomManager.updateProfile(userId, changes));
+    }));
+    
+    // Handle a chat message; viewers can chat too. Everyone in the room gets it,
+    // the sender included, with its ID and time from the server
+    socket.on('chat-message', validator.guard(socket, 'chat-message', (data) => {
+        console.log(`[Server] Received chat-message from user ${userId}`);
+        socket.rooms.forEach(roomId => {
+            if (roomId === socket.id) return;
+            
+            io.to(roomId).emit('chat-message', drawingState.addChatMessage(roomId, createMessage(roomId, data)));
+        });
+    }));
+    
+    // Handle a new comment thread at a point or on a path; viewers can comment too
+    socket.on('comment-create', validator.guard(socket, 'comment-create', (data) => {
+        console.log(`[Server] Received comment-create from user ${userId}`);
+        let error = null;
+        socket.rooms.forEach(roomId => {
+            if (roomId === socket.id) return;
+            
+            const comment = drawingState.addComment(roomId, data, createMessage(roomId, data));
+            if (!comment) {
+                error = { code: 'too-many-comments', message: `A room can have at most ${drawingState.maxComments} comment threads` };
+                return;
+            }
+            io.to(roomId).emit('comment-created', comment);
+        });
+        return error ? { error } : {};
+    }));
+    
+    // Handle a reply to a comment thread
+    socket.on('comment-reply', validator.guard(socket, 'comment-reply', (data) => {
+        console.log(`[Server] Received comment-reply from user ${userId}`);
+        let error = null;
+        socket.rooms.forEach(roomId => {
+            if (roomId === socket.id) return;
+            
+            if (!drawingState.getComment(roomId, data.commentId)) {
+                error = { code: 'comment-not-found', message: 'This comment thread no longer exists' };
+                return;
+            }
+            const message = drawingState.addCommentReply(roomId, data.commentId, createMessage(roomId, data));
+            if (!message) {
+                error = { code: 'too-many-replies', message: `A comment thread can have at most ${drawingState.maxCommentReplies} replies` };
+                return;
+            }
+            io.to(roomId).emit('comment-replied', { commentId: data.commentId, message });
+        });
+        return error ? { error } : {};
+    }));
+    
+    // Handle resolving or reopening a comment thread; only its author and the
+    // users who can edit the room may do this
+    socket.on('comment-resolve', validator.guard(socket, 'comment-resolve', (data) => {
+        console.log(`[Server] Received comment-resolve from user ${userId}`);
+        socket.rooms.forEach(roomId => {
+            if (roomId === socket.id) return;
+            
+            const comment = drawingState.getComment(roomId, data.commentId);
+            if (!comment) return;
+            if (comment.userId !== userId && !roomManager.canEdit(userId, roomId)) {
+                console.log(`[Server] Rejected comment-resolve from ${userId} in room ${roomId}`);
+                socket.emit('permission-denied', { event: 'comment-resolve', roomId, message: 'Only its author and editors can resolve a comment' });
+                return;
+            }
+            
+            drawingState.resolveComment(roomId, data.commentId, data.resolved);
+            io.to(roomId).emit('comment-resolved', { commentId: data.commentId, resolved: data.resolved, userId });
+        });
+    }));
+    
+    // Handle creating a password-protected or invite-only room
+    socket.on('create-room', validator.guard(socket, 'create-room', async (data) => {
+        const { roomId } = data;
+        console.log(`[Server] User ${userId} creating protected room ${roomId}`);
+        
+        try {
+            await drawingState.loadRoom(roomId);
+        } catch (error) {
+            console.error(`[Server] Failed to load room ${roomId}:`, error);
+            socket.emit('room-error', { roomId, message: 'Failed to load room' });
+            return;
+        }
+        
+        // The password is hashed first, so nothing can take the room between the
+        // check below and claiming it
+        const access = await roomAccess.createSettings(data.password);
+        
+        // Rooms that are already in use can't be taken over
+        if (!drawingState.isRoomUnused(roomId) || Object.keys(roomManager.getUsersInRoom(roomId)).length > 0) {
+            socket.emit('room-error', { roomId, code: 'room-exists', message: 'A room with this name already exists' });
+            return;
+        }
+        
+        drawingState.setRoomAccess(roomId, access);
+        
+        // The creator owns the room, and joins it with the invite token like everyone else
+        drawingState.setUserRole(roomId, userId, 'owner');
+        socket.emit('room-created', {
+            roomId,
+            mode: access.mode,
+            inviteToken: roomAccess.createInviteToken(roomId)
+        });
+        console.log(`[Server] Room ${roomId} created by ${userId} (${access.mode})`);
+    }));
+    
+    // Handle owner creating an invite link
+    socket.on('create-invite', validator.guard(socket, 'create-invite', () => {
+        console.log(`[Server] Received create-invite from user ${userId}`);
+        socket.rooms.forEach(roomId => {
+            if (roomId === socket.id) return;
+            
+            if (!roomManager.isOwner(userId, roomId)) {
+                socket.emit('permission-denied', { event: 'create-invite', roomId, message: 'Only the room owner can create invite links' });
+                return;
+            }
+            
+            socket.emit('invite-created', { roomId, inviteToken: roomAccess.createInviteToken(roomId) });
+        });
+    }));
     
     // Handle cursor movement
-    socket.on('cursor-move', (data) => {
-        console.log(`[Server] Received cursor-move from user ${socket.id}`);
+    socket.on('cursor-move', validator.guard(socket, 'cursor-move', (data) => {
+        console.log(`[Server] Received cursor-move from user ${userId}`);
         socket.rooms.forEach(roomId => {
             if (roomId !== socket.id) {
                 console.log(`[Server] Broadcasting cursor-move to room ${roomId}`);
                 socket.to(roomId).emit('cursor-move', {
                     ...data,
-                    userId: socket.id
+                    userId
                 });
             }
         });
-    });
+    }));
+    
+    // Issue a token for one image upload over HTTP; the ack carries { token, expiresAt }
+    socket.on('request-upload-token', validator.guard(socket, 'request-upload-token', () => {
+        return uploadTokens.issue(socket.id);
+    }));
     
     // Handle latency test
-    socket.on('latency-test', (data) => {
-        console.log(`[Server] Received latency-test from user ${socket.id}`);
+    socket.on('latency-test', validator.guard(socket, 'latency-test', (data) => {
+        console.log(`[Server] Received latency-test from user ${userId}`);
         socket.emit('latency-response', data);
-    });
+    }));
     
-    // Handle disconnection
-    socket.on('disconnect', () => {
+    // Handle disconnection; the socket is still in its rooms while disconnecting
+    socket.on('disconnecting', () => {
         console.log('[Server] User disconnected:', socket.id);
         
-        // Remove user from all rooms
-        console.log(`[Server] Removing user ${socket.id} from all rooms`);
-        roomManager.removeUser(socket.id);
-        
-        // Notify all rooms the user was in
-        console.log(`[Server] Notifying rooms about disconnected user ${socket.id}`);
+        // Users without another tab in a room leave it after the grace period,
+        // unless they reconnect first; their unfinished strokes are kept now
         socket.rooms.forEach(roomId => {
-            if (roomId !== socket.id) {
-                socket.to(roomId).emit('user-left', { userId: socket.id });
-            }
+            if (roomId === socket.id) return;
+            if (getUserSockets(roomId, userId).some(member => member !== socket)) return;
+            
+            endLiveStrokes(roomId, userId);
+            console.log(`[Server] User ${userId} will leave room ${roomId} unless they reconnect`);
+            roomManager.scheduleLeave(userId, roomId, () => {
+                console.log(`[Server] Notifying room ${roomId} about disconnected user ${userId}`);
+                // Without an identity token this user is gone for good, and so is their history
+                if (userId === socket.id) {
+                    drawingState.dropUserHistory(roomId, userId);
+                }
+                announceLeave(roomId);
+            });
         });
+        rateLimiter.removeSocket(socket.id);
+        uploadTokens.revokeSocket(socket.id);
     });
     
     // Handle connection errors
@@ -260,7 +1022,7 @@ io.on('connection', (socket) => {
         console.error('[Server] Socket error for user', socket.id, ':', error);
     });
     
-    console.log('[Server] All event handlers registered for user', socket.id);
+    console.log('[Server] All event handlers registered for user', userId);
 });
 
 // Error handling middleware
@@ -296,4 +1058,13 @@ if (!process.env.NOW_REGION) {
     console.log('[Server] Running in Vercel environment');
     // In Vercel environment, the server will be started by Vercel
     // We just need to make sure it's exported properly
-}
\ No newline at end of file
+}
+
+// Write pending drawing changes before the process exits
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.once(signal, async () => {
+        console.log(`[Server] Received ${signal}, flushing drawing state`);
+        await drawingState.close();
+        process.exit(0);
+    });
+});
\ No newline at end of file
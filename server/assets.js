@@ -0,0 +1,111 @@
+// Image assets placed on the canvas
+//
+// Uploaded images are stored once per content hash, as files in a directory.
+// Image paths only hold the asset ID (the SHA-256 of the image, in hex), and
+// clients fetch the image itself from GET /assets/:assetId.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// File extension of each image type that can be uploaded
+const ASSET_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/svg+xml': 'svg'
+};
+
+const ASSET_ID_PATTERN = /^[0-9a-f]{64}$/;
+const MAX_ASSET_SIZE = 5 * 1024 * 1024; // Bytes
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const SVG_START = /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i;
+
+class AssetError extends Error {
+    constructor(code, status, message) {
+        super(message);
+        this.name = 'AssetError';
+        this.code = code;
+        this.status = status; // HTTP status to answer with
+    }
+}
+
+// Work out an image's type from its content; the Content-Type it was sent with isn't trusted
+function detectImageType(data) {
+    if (data.length >= PNG_SIGNATURE.length && data.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+        return 'image/png';
+    }
+    if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    
+    const start = data.subarray(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    if (SVG_START.test(start)) {
+        return 'image/svg+xml';
+    }
+    return null;
+}
+
+// Stores each image as <assetId>.<extension> in a directory
+class AssetStore {
+    constructor(directory) {
+        this.directory = directory;
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+    
+    getAssetFile(assetId, type) {
+        return path.join(this.directory, `${assetId}.${ASSET_TYPES[type]}`);
+    }
+    
+    // Store an uploaded image and return { assetId, type, size }; an image
+    // that was uploaded before keeps its existing file
+    async saveAsset(data) {
+        if (!Buffer.isBuffer(data) || data.length === 0) {
+            throw new AssetError('empty', 400, 'No image was uploaded');
+        }
+        if (data.length > MAX_ASSET_SIZE) {
+            throw new AssetError('too-large', 413, `Images must be at most ${MAX_ASSET_SIZE / 1024 / 1024} MB`);
+        }
+        
+        const type = detectImageType(data);
+        if (!type) {
+            throw new AssetError('unsupported-type', 415, 'Only PNG, JPEG and SVG images can be uploaded');
+        }
+        
+        const assetId = crypto.createHash('sha256').update(data).digest('hex');
+        if (!(await this.findAsset(assetId))) {
+            // Written under a temporary name first, so a half-written image is never served
+            const file = this.getAssetFile(assetId, type);
+            const temporaryFile = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+            await fs.promises.writeFile(temporaryFile, data);
+            await fs.promises.rename(temporaryFile, file);
+        }
+        return { assetId, type, size: data.length };
+    }
+    
+    // Find the file of an asset: { file, type }, or null if there is no such asset
+    async findAsset(assetId) {
+        if (!ASSET_ID_PATTERN.test(assetId)) return null;
+        
+        for (const type of Object.keys(ASSET_TYPES)) {
+            const file = this.getAssetFile(assetId, type);
+            try {
+                await fs.promises.access(file);
+                return { file, type };
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+        return null;
+    }
+    
+    // Read an asset: { data, type }, or null if there is no such asset
+    async readAsset(assetId) {
+        const asset = await this.findAsset(assetId);
+        if (!asset) return null;
+        
+        return { data: await fs.promises.readFile(asset.file), type: asset.type };
+    }
+}
+
+module.exports = { AssetStore, AssetError, ASSET_ID_PATTERN, ASSET_TYPES, MAX_ASSET_SIZE, detectImageType };
\ No newline at end of file
@@ -0,0 +1,104 @@
+// Importing saved drawing documents into a room
+//
+// The document format and its migrations are in client/document-format.js,
+// shared with the client. On top of its checks, every path is validated like
+// a drawn path, layer snapshots are decoded and written again, and embedded
+// images are stored in the asset store.
+const DocumentFormat = require('../client/document-format.js');
+const { ValidationError, validatePath } = require('./validation.js');
+const { AssetError } = require('./assets.js');
+const { readSnapshot } = require('./snapshot.js');
+
+const MAX_DOCUMENT_SIZE = 50 * 1024 * 1024; // Bytes
+const MAX_ERRORS = 50; // Problems reported for one document
+const IMPORT_MODES = ['replace', 'merge'];
+
+class ImportError extends Error {
+    constructor(code, status, message, errors = []) {
+        super(message);
+        this.name = 'ImportError';
+        this.code = code;
+        this.status = status; // HTTP status to answer with
+        this.errors = errors; // [{ path, message }] pointing into the document
+    }
+}
+
+// Parse, migrate and check a document sent as JSON text; snapshot images can
+// be at most maxSnapshotSize pixels wide and high
+// Returns { document, migratedFrom }, with every path and snapshot sanitized
+function parseDocument(text, { maxSnapshotSize = 2048 } = {}) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new ImportError('invalid-json', 400, `The file is not valid JSON: ${error.message}`);
+    }
+    
+    let result;
+    try {
+        result = DocumentFormat.readDocument(data);
+    } catch (error) {
+        if (error instanceof DocumentFormat.DocumentError) {
+            throw new ImportError('invalid-document', 422, error.message, error.errors);
+        }
+        throw error;
+    }
+    
+    const errors = [];
+    const paths = [];
+    result.document.paths.forEach((pathData, i) => {
+        try {
+            paths.push(validatePath(pathData));
+        } catch (error) {
+            if (!(error instanceof ValidationError)) {
+                throw error;
+            }
+            if (errors.length < MAX_ERRORS) {
+                errors.push({ path: `paths[${i}].${error.field}`, message: `paths[${i}]: ${error.message}` });
+            }
+        }
+    });
+    if (errors.length > 0) {
+        throw new ImportError('invalid-document', 422, `The drawing has ${errors.length} invalid path${errors.length === 1 ? '' : 's'}: ${errors[0].message}`, errors);
+    }
+    
+    // Compaction draws on top of snapshots later, so they must be images it can read
+    const layers = result.document.layers.map((layer, i) => {
+        if (!layer.snapshot) return layer;
+        try {
+            return { ...layer, snapshot: readSnapshot(layer.snapshot, maxSnapshotSize) };
+        } catch (error) {
+            throw new ImportError('invalid-document', 422, `layers[${i}]: ${error.message}`, [
+                { path: `layers[${i}].snapshot.image`, message: error.message }
+            ]);
+        }
+    });
+    
+    return { document: { ...result.document, layers, paths }, migratedFrom: result.migratedFrom };
+}
+
+// Store the images embedded in a document; each must match its asset ID
+async function saveDocumentAssets(assetStore, document) {
+    for (const [i, asset] of document.assets.entries()) {
+        if (asset.data === undefined) continue;
+        
+        let saved;
+        try {
+            saved = await assetStore.saveAsset(Buffer.from(asset.data, 'base64'));
+        } catch (error) {
+            if (error instanceof AssetError) {
+                throw new ImportError('invalid-document', 422, `assets[${i}]: ${error.message}`, [
+                    { path: `assets[${i}].data`, message: error.message }
+                ]);
+            }
+            throw error;
+        }
+        if (saved.assetId !== asset.id) {
+            throw new ImportError('invalid-document', 422, `assets[${i}]: the image doesn't match its ID`, [
+                { path: `assets[${i}].data`, message: `assets[${i}].data doesn't match assets[${i}].id` }
+            ]);
+        }
+    }
+}
+
+module.exports = { ImportError, IMPORT_MODES, MAX_DOCUMENT_SIZE, parseDocument, saveDocumentAssets };
\ No newline at end of file
@@ -1,8 +1,76 @@
 // Drawing state management for collaborative canvas
+const { SnapshotWorker } = require('./snapshot-worker.js');
+const { getSnapshotBounds } = require('./snapshot.js');
+
+// Paths without a layerId belong to this layer, which every room has
+const DEFAULT_LAYER_ID = 'default';
+
+// Paths of these tools are kept as they are when a room is compacted, and so
+// are shapes with a fill, dashes or opacity, which snapshot.js can't draw
+const UNFLATTENED_TOOLS = ['text', 'image', 'ellipse', 'arrow', 'polyline', 'polygon', 'rounded-rectangle', 'star', 'triangle'];
+
+// A new layer; its snapshot holds the layer's flattened paths (see compactRoom)
+function createLayer(id, name, snapshot = null) {
+    return { id, name, visible: true, locked: false, opacity: 1, snapshot };
+}
+
+// The layer a path is drawn on
+function getPathLayerId(path) {
+    return path.layerId || DEFAULT_LAYER_ID;
+}
+
+// Check whether compaction can flatten a path into its layer's snapshot
+function canFlatten(path) {
+    return !UNFLATTENED_TOOLS.includes(path.tool) && !path.fill &&
+        (path.dash === undefined || path.dash === 'solid') && (path.opacity === undefined || path.opacity === 1);
+}
+
+// A fresh layer or path ID, for imported ones whose ID is taken
+function createId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+}
+
 class DrawingState {
-    constructor() {
+    constructor(options = {}) {
         // Store drawing state for each room
-        this.roomStates = new Map(); // roomId -> { paths: [], ... }
+        this.roomStates = new Map(); // roomId -> { paths: [], operations: [], history: {}, ... }
+        
+        // Limits for the per-room operation log and per-user undo/redo stacks
+        this.maxOperations = options.maxOperations || 1000;
+        this.maxHistoryPerUser = options.maxHistoryPerUser || 100;
+        
+        // Once a room has more than maxPaths paths, all but the most recent
+        // recentPathCount are flattened into the room's raster snapshot
+        this.maxPaths = options.maxPaths || 1000;
+        this.recentPathCount = options.recentPathCount || 500;
+        this.snapshotMaxSize = options.snapshotMaxSize || 2048;
+        
+        // Snapshots are rendered on a worker thread, at most maxCompactPoints
+        // points per pass, so compacting a room never stalls the others
+        this.snapshotWorker = options.snapshotWorker || new SnapshotWorker();
+        this.maxCompactPoints = options.maxCompactPoints || 100000;
+        this.compactions = new Map(); // roomId -> Promise of the room's running compaction
+        
+        // Optional persistence backend (see storage.js); rooms are loaded lazily
+        // and changes are written behind in batches
+        this.storage = options.storage || null;
+        this.flushIntervalMs = options.flushIntervalMs || 1000;
+        this.loadingRooms = new Map(); // roomId -> Promise of the loaded room state
+        this.dirtyRooms = new Set();
+        this.flushTimer = null;
+        
+        // Strokes still being drawn; they are only committed to the room on endStroke
+        // and are never persisted
+        this.liveStrokes = new Map(); // roomId -> Map(strokeId -> { id, userId, points, timestamp })
+        this.maxStrokePoints = options.maxStrokePoints || 5000;
+        
+        this.maxLayers = options.maxLayers || 50;
+        
+        // Only the most recent chat messages are kept; comment threads are kept
+        // until the room is deleted, so a room can only have so many
+        this.maxChatMessages = options.maxChatMessages || 200;
+        this.maxComments = options.maxComments || 200;
+        this.maxCommentReplies = options.maxCommentReplies || 100;
     }
     
     // Get room state
@@ -10,6 +78,15 @@ class DrawingState {
         if (!this.roomStates.has(roomId)) {
             this.roomStates.set(roomId, {
                 paths: [],
+                layers: [createLayer(DEFAULT_LAYER_ID, 'Layer 1')], // Bottom to top
+                operations: [], // Ordered log of add/undo/redo/clear/compact operations
+                history: {}, // userId -> { undoStack: [path], redoStack: [path] }
+                access: null, // Password or invite settings (see room-access.js), null for open rooms
+                roles: {}, // userId -> role, for the owner and users whose role was changed; kept while they are away
+                banned: [], // IDs of users kicked from the room, who can't join it again
+                chat: [], // Chat messages, oldest first
+                comments: [], // Comment threads pinned to the drawing, oldest first
+                opIds: [], // IDs of the latest changes applied from client outboxes, oldest first
                 lastUpdate: Date.now()
             });
         }
@@ -17,16 +94,168 @@ class DrawingState {
         return this.roomStates.get(roomId);
     }
     
+    // Load a room from storage into memory, if it isn't loaded yet
+    loadRoom(roomId) {
+        if (!this.storage || this.roomStates.has(roomId)) {
+            return Promise.resolve(this.getRoomState(roomId));
+        }
+        
+        // Share a single storage read between concurrent joins
+        if (!this.loadingRooms.has(roomId)) {
+            const loading = this.storage.loadRoom(roomId)
+                .then(savedState => {
+                    if (savedState && !this.roomStates.has(roomId)) {
+                        // Rooms saved before layers have one snapshot for the whole drawing
+                        const { snapshot = null, ...state } = savedState;
+                        this.roomStates.set(roomId, {
+                            paths: [],
+                            layers: [createLayer(DEFAULT_LAYER_ID, 'Layer 1', snapshot)],
+                            operations: [],
+                            history: {},
+                            access: null,
+                            roles: {},
+                            banned: [],
+                            chat: [],
+                            comments: [],
+                            opIds: [],
+                            ...state
+                        });
+                    }
+                    return this.getRoomState(roomId);
+                })
+                .finally(() => {
+                    this.loadingRooms.delete(roomId);
+                });
+            
+            this.loadingRooms.set(roomId, loading);
+        }
+        
+        return this.loadingRooms.get(roomId);
+    }
+    
+    // Mark a room as changed and schedule a batched write
+    markDirty(roomId) {
+        if (!this.storage) return;
+        
+        this.dirtyRooms.add(roomId);
+        
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush();
+            }, this.flushIntervalMs);
+            
+            // Pending writes shouldn't keep the process alive on their own
+            if (this.flushTimer.unref) {
+                this.flushTimer.unref();
+            }
+        }
+    }
+    
+    // Write all changed rooms to storage
+    async flush() {
+        if (!this.storage) return;
+        
+        const roomIds = Array.from(this.dirtyRooms);
+        this.dirtyRooms.clear();
+        
+        for (const roomId of roomIds) {
+            const roomState = this.roomStates.get(roomId);
+            if (!roomState) continue;
+            
+            try {
+                await this.storage.saveRoom(roomId, roomState);
+            } catch (error) {
+                console.error(`[DrawingState] Failed to save room ${roomId}:`, error);
+                // Retry on the next flush
+                this.markDirty(roomId);
+            }
+        }
+    }
+    
+    // Finish running compactions, flush pending writes and release the storage backend
+    async close() {
+        await Promise.all(this.compactions.values());
+        await this.snapshotWorker.close();
+        
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        
+        await this.flush();
+        
+        if (this.storage) {
+            await this.storage.close();
+        }
+    }
+    
+    // Get (or create) the undo/redo stacks of a user in a room
+    // They are keyed by the stable user ID (see getUserIdForToken in rooms.js),
+    // not the socket, so they outlive reconnects and reloads and are persisted
+    getUserHistory(roomId, userId) {
+        const roomState = this.getRoomState(roomId);
+        
+        if (!roomState.history[userId]) {
+            roomState.history[userId] = {
+                undoStack: [],
+                redoStack: []
+            };
+        }
+        
+        return roomState.history[userId];
+    }
+    
+    // Forget a user's undo/redo stacks, for users who can't come back as the
+    // same user, i.e. those identified by a socket that has disconnected
+    dropUserHistory(roomId, userId) {
+        const roomState = this.getRoomState(roomId);
+        if (!roomState.history[userId]) return;
+        
+        delete roomState.history[userId];
+        this.markDirty(roomId);
+    }
+    
+    // Append an entry to the room's operation log
+    logOperation(roomId, type, userId, pathId = null) {
+        const roomState = this.getRoomState(roomId);
+        roomState.operations.push({
+            type,
+            userId,
+            pathId,
+            timestamp: Date.now()
+        });
+        
+        // Keep the log bounded
+        if (roomState.operations.length > this.maxOperations) {
+            roomState.operations.splice(0, roomState.operations.length - this.maxOperations);
+        }
+    }
+    
     // Add a path to a room
     addPathToRoom(roomId, pathData) {
         const roomState = this.getRoomState(roomId);
         roomState.paths.push(pathData);
         roomState.lastUpdate = Date.now();
         
-        // Limit the number of paths to prevent memory issues
-        if (roomState.paths.length > 1000) {
-            roomState.paths.shift();
+        // Record the path on its author's undo stack; a new action invalidates their redo stack
+        if (pathData.userId) {
+            const history = this.getUserHistory(roomId, pathData.userId);
+            history.undoStack.push(pathData);
+            history.redoStack = [];
+            
+            if (history.undoStack.length > this.maxHistoryPerUser) {
+                history.undoStack.shift();
+            }
+        }
+        this.logOperation(roomId, 'add', pathData.userId || null, pathData.id);
+        
+        // Flatten old paths to keep the join payload bounded
+        if (roomState.paths.length > this.maxPaths) {
+            this.compactRoom(roomId);
         }
+        
+        this.markDirty(roomId);
     }
     
     // Remove a path from a room (for undo)
@@ -37,14 +266,569 @@ class DrawingState {
         if (index !== -1) {
             roomState.paths.splice(index, 1);
             roomState.lastUpdate = Date.now();
+            this.markDirty(roomId);
+        }
+    }
+    
+    // Undo a user's most recent path (or a specific one of their paths)
+    // Returns the undone path, or null if the user has nothing to undo or the path's layer is locked
+    undoPath(roomId, userId, pathId = null) {
+        const history = this.getUserHistory(roomId, userId);
+        if (history.undoStack.length === 0) return null;
+        
+        let index = history.undoStack.length - 1;
+        if (pathId) {
+            index = history.undoStack.findIndex(p => p.id === pathId);
+            if (index === -1) return null;
+        }
+        if (!this.isLayerEditable(roomId, getPathLayerId(history.undoStack[index]))) return null;
+        
+        const [undonePath] = history.undoStack.splice(index, 1);
+        history.redoStack.push(undonePath);
+        
+        if (history.redoStack.length > this.maxHistoryPerUser) {
+            history.redoStack.shift();
+        }
+        
+        this.removePathFromRoom(roomId, undonePath.id);
+        this.logOperation(roomId, 'undo', userId, undonePath.id);
+        this.markDirty(roomId);
+        
+        return undonePath;
+    }
+    
+    // Redo a user's most recently undone path (or a specific one of them)
+    // Returns the restored path, or null if the user has nothing to redo or the path's layer is locked
+    redoPath(roomId, userId, pathId = null) {
+        const roomState = this.getRoomState(roomId);
+        const history = this.getUserHistory(roomId, userId);
+        if (history.redoStack.length === 0) return null;
+        
+        let index = history.redoStack.length - 1;
+        if (pathId) {
+            index = history.redoStack.findIndex(p => p.id === pathId);
+            if (index === -1) return null;
+        }
+        if (!this.isLayerEditable(roomId, getPathLayerId(history.redoStack[index]))) return null;
+        
+        const [redonePath] = history.redoStack.splice(index, 1);
+        history.undoStack.push(redonePath);
+        
+        roomState.paths.push(redonePath);
+        roomState.lastUpdate = Date.now();
+        this.logOperation(roomId, 'redo', userId, redonePath.id);
+        this.markDirty(roomId);
+        
+        return redonePath;
+    }
+    
+    // Flatten all but the most recent paths into the snapshots of their layers,
+    // in passes on the snapshot worker until the room has at most maxPaths paths
+    // Returns a Promise that resolves once the room's compaction is over; a room
+    // only has one at a time
+    compactRoom(roomId) {
+        if (!this.compactions.has(roomId)) {
+            const roomState = this.getRoomState(roomId);
+            const compaction = (async () => {
+                while (roomState.paths.length > this.maxPaths) {
+                    if (!(await this.compactPass(roomId, roomState))) break;
+                }
+            })()
+                .catch(error => {
+                    // Keep every path rather than lose any of them
+                    console.error(`[DrawingState] Failed to compact room ${roomId}:`, error);
+                })
+                .finally(() => {
+                    this.compactions.delete(roomId);
+                });
+            
+            this.compactions.set(roomId, compaction);
+        }
+        
+        return this.compactions.get(roomId);
+    }
+    
+    // Flatten the oldest paths, up to maxCompactPoints points of them
+    // A layer's snapshot is drawn below its paths, so only the paths below every
+    // path of the layer that can't be flattened are, and only while the snapshot
+    // stays within snapshotMaxSize pixels (it is never scaled down)
+    // Resolves to whether any were flattened; if the room changed under the pass
+    // in a way that touches them, it is dropped and the next new path retries
+    async compactPass(roomId, roomState) {
+        const count = roomState.paths.length - this.recentPathCount;
+        
+        const layerPaths = new Map(roomState.layers.map(layer => [layer.id, []])); // layerId -> paths to flatten
+        const layerBounds = new Map(); // layerId -> area of the snapshot with those paths
+        const stoppedLayers = new Set();
+        const compactedPaths = [];
+        let pointCount = 0;
+        for (const path of roomState.paths.slice(0, count)) {
+            const layer = this.getLayer(roomId, getPathLayerId(path));
+            if (!layer || stoppedLayers.has(layer.id)) continue;
+            
+            const bounds = canFlatten(path) ? getSnapshotBounds(layerBounds.get(layer.id) || layer.snapshot, [path]) : null;
+            if (!canFlatten(path) || (bounds && (bounds.width > this.snapshotMaxSize || bounds.height > this.snapshotMaxSize))) {
+                stoppedLayers.add(layer.id);
+                continue;
+            }
+            
+            pointCount += path.points ? path.points.length : 1;
+            if (compactedPaths.length > 0 && pointCount > this.maxCompactPoints) break;
+            layerPaths.get(layer.id).push(path);
+            layerBounds.set(layer.id, bounds);
+            compactedPaths.push(path);
+        }
+        if (compactedPaths.length === 0) return false;
+        
+        const jobs = roomState.layers
+            .map(layer => ({
+                layerId: layer.id,
+                snapshot: layer.snapshot,
+                paths: layerPaths.get(layer.id)
+            }))
+            .filter(job => job.paths.length > 0);
+        const snapshots = await this.snapshotWorker.createSnapshots(
+            jobs.map(({ snapshot, paths }) => ({ snapshot, paths })),
+            this.snapshotMaxSize
+        );
+        
+        // Meanwhile a flattened path may have been undone, edited or deleted, or
+        // its layer cleared, replaced or removed; the snapshots would be wrong then
+        const current = new Set(roomState.paths);
+        const changed = this.roomStates.get(roomId) !== roomState ||
+            compactedPaths.some(p => !current.has(p)) ||
+            jobs.some(({ layerId, snapshot }) => {
+                const layer = this.getLayer(roomId, layerId);
+                return !layer || layer.snapshot !== snapshot;
+            });
+        if (changed) return false;
+        
+        jobs.forEach(({ layerId }, i) => {
+            this.getLayer(roomId, layerId).snapshot = snapshots[i];
+        });
+        
+        const compactedIds = new Set(compactedPaths.map(p => p.id));
+        roomState.paths = roomState.paths.filter(p => !compactedIds.has(p.id));
+        
+        // Flattened paths can no longer be undone
+        Object.values(roomState.history).forEach(history => {
+            history.undoStack = history.undoStack.filter(p => !compactedIds.has(p.id));
+        });
+        
+        roomState.lastUpdate = Date.now();
+        this.logOperation(roomId, 'compact', null);
+        this.markDirty(roomId);
+        
+        return true;
+    }
+    
+    // Clear a room's canvas, except for locked layers
+    clearRoom(roomId, userId = null) {
+        const roomState = this.getRoomState(roomId);
+        const keep = path => !this.isLayerEditable(roomId, getPathLayerId(path));
+        roomState.paths = roomState.paths.filter(keep);
+        roomState.layers.forEach(layer => {
+            if (!layer.locked) {
+                layer.snapshot = null;
+            }
+        });
+        
+        // Cleared paths can no longer be undone or redone by anyone
+        Object.values(roomState.history).forEach(history => {
+            history.undoStack = history.undoStack.filter(keep);
+            history.redoStack = history.redoStack.filter(keep);
+        });
+        roomState.lastUpdate = Date.now();
+        this.logOperation(roomId, 'clear', userId);
+        this.markDirty(roomId);
+    }
+    
+    // Bring in the layers and paths of an imported document, owned by the importer
+    // 'replace' swaps the room's drawing for the document's and empties everyone's
+    // undo history; 'merge' adds the document's layers on top of the room's, with
+    // new IDs where the room already uses theirs.
+    // Returns the room's layers, or null if the room would have more than maxLayers layers
+    importRoom(roomId, { layers, paths }, mode, userId = null) {
+        const roomState = this.getRoomState(roomId);
+        const imported = layers.map(({ id, name, visible, locked, opacity, snapshot }) => ({
+            id, name, visible, locked, opacity, snapshot: snapshot || null
+        }));
+        const owned = path => (userId ? { ...path, userId } : path);
+        
+        if (mode === 'replace') {
+            // Every room has a default layer
+            if (!imported.some(layer => layer.id === DEFAULT_LAYER_ID)) {
+                imported.unshift(createLayer(DEFAULT_LAYER_ID, 'Layer 1'));
+            }
+            if (imported.length > this.maxLayers) return null;
+            
+            roomState.layers = imported;
+            roomState.paths = paths.map(owned);
+            Object.values(roomState.history).forEach(history => {
+                history.undoStack = [];
+                history.redoStack = [];
+            });
+        } else {
+            if (roomState.layers.length + imported.length > this.maxLayers) return null;
+            
+            const layerIds = new Map(); // Imported layer ID -> its ID in the room
+            imported.forEach(layer => {
+                const id = this.getLayer(roomId, layer.id) ? createId('layer') : layer.id;
+                layerIds.set(layer.id, id);
+                roomState.layers.push({ ...layer, id });
+            });
+            
+            // Paths that can be undone or redone keep their IDs too
+            const pathIds = new Set(roomState.paths.map(p => p.id));
+            Object.values(roomState.history).forEach(history => {
+                [...history.undoStack, ...history.redoStack].forEach(p => pathIds.add(p.id));
+            });
+            paths.forEach(path => {
+                roomState.paths.push(owned({
+                    ...path,
+                    id: pathIds.has(path.id) ? createId('path') : path.id,
+                    layerId: layerIds.get(getPathLayerId(path))
+                }));
+            });
+        }
+        
+        roomState.lastUpdate = Date.now();
+        this.logOperation(roomId, 'import', userId);
+        if (roomState.paths.length > this.maxPaths) {
+            this.compactRoom(roomId);
+        }
+        this.markDirty(roomId);
+        
+        return roomState.layers;
+    }
+    
+    // Get the live strokes of a room
+    getRoomStrokes(roomId) {
+        if (!this.liveStrokes.has(roomId)) {
+            this.liveStrokes.set(roomId, new Map());
+        }
+        
+        return this.liveStrokes.get(roomId);
+    }
+    
+    // Get the strokes being drawn in a room, for users who join mid-stroke
+    getLiveStrokes(roomId) {
+        const strokes = this.liveStrokes.get(roomId);
+        if (!strokes) return [];
+        
+        return [...strokes.values()].map(stroke => ({ ...stroke, points: [...stroke.points] }));
+    }
+    
+    // Start a live stroke; returns false if the ID is already taken
+    beginStroke(roomId, userId, strokeId, point, layerId = DEFAULT_LAYER_ID) {
+        const strokes = this.getRoomStrokes(roomId);
+        if (strokes.has(strokeId) || this.getPath(roomId, strokeId)) return false;
+        
+        strokes.set(strokeId, {
+            id: strokeId,
+            userId,
+            layerId,
+            points: [point],
+            timestamp: Date.now()
+        });
+        return true;
+    }
+    
+    // Add points to a user's live stroke
+    // Returns false if the stroke isn't theirs or would grow past maxStrokePoints
+    appendStroke(roomId, userId, strokeId, points) {
+        const stroke = this.getRoomStrokes(roomId).get(strokeId);
+        if (!stroke || stroke.userId !== userId) return false;
+        if (stroke.points.length + points.length > this.maxStrokePoints) return false;
+        
+        stroke.points.push(...points);
+        return true;
+    }
+    
+    // Get a user's live stroke, or null if it isn't theirs
+    getUserStroke(roomId, userId, strokeId) {
+        const strokes = this.liveStrokes.get(roomId);
+        const stroke = strokes && strokes.get(strokeId);
+        return stroke && stroke.userId === userId ? stroke : null;
+    }
+    
+    // Take a live stroke out of the room, returning it (or null if it isn't the user's)
+    removeStroke(roomId, userId, strokeId) {
+        const stroke = this.getUserStroke(roomId, userId, strokeId);
+        if (!stroke) return null;
+        
+        const strokes = this.liveStrokes.get(roomId);
+        strokes.delete(strokeId);
+        if (strokes.size === 0) {
+            this.liveStrokes.delete(roomId);
         }
+        return stroke;
+    }
+    
+    // Commit a user's live stroke to the room as a path, optionally with final
+    // points (e.g. simplified by the client) in place of the streamed ones
+    // Returns the new path, or null if the stroke isn't theirs
+    endStroke(roomId, userId, strokeId, points = null) {
+        const stroke = this.removeStroke(roomId, userId, strokeId);
+        if (!stroke) return null;
+        
+        const path = {
+            id: stroke.id,
+            userId,
+            layerId: stroke.layerId,
+            points: points || stroke.points,
+            timestamp: stroke.timestamp
+        };
+        this.addPathToRoom(roomId, path);
+        return path;
+    }
+    
+    // Drop a user's live stroke without committing it
+    cancelStroke(roomId, userId, strokeId) {
+        return this.removeStroke(roomId, userId, strokeId) !== null;
+    }
+    
+    // Commit every live stroke of a user, e.g. when they leave the room
+    endUserStrokes(roomId, userId) {
+        return this.getLiveStrokes(roomId)
+            .filter(stroke => stroke.userId === userId)
+            .map(stroke => this.endStroke(roomId, userId, stroke.id));
+    }
+    
+    // Get the access settings of a room (null for open rooms)
+    getRoomAccess(roomId) {
+        return this.getRoomState(roomId).access;
+    }
+    
+    // Set the access settings of a room
+    setRoomAccess(roomId, access) {
+        const roomState = this.getRoomState(roomId);
+        roomState.access = access;
+        roomState.lastUpdate = Date.now();
+        this.markDirty(roomId);
+    }
+    
+    // Get the role a user has in a room, even while they are away from it, or
+    // null if it was never set
+    getUserRole(roomId, userId) {
+        return this.getRoomState(roomId).roles[userId] || null;
+    }
+    
+    // Keep a user's role in a room; a new owner takes over from the previous
+    // one, who becomes an editor
+    setUserRole(roomId, userId, role) {
+        const roomState = this.getRoomState(roomId);
+        if (role === 'owner') {
+            Object.keys(roomState.roles).forEach(id => {
+                if (roomState.roles[id] === 'owner') {
+                    roomState.roles[id] = 'editor';
+                }
+            });
+        }
+        roomState.roles[userId] = role;
+        roomState.lastUpdate = Date.now();
+        this.markDirty(roomId);
+    }
+    
+    // The role a user joins a room with: the one they had, or editor; the
+    // first user to join a room without an owner, i.e. a new one, owns it
+    claimUserRole(roomId, userId) {
+        const roomState = this.getRoomState(roomId);
+        const role = this.getUserRole(roomId, userId);
+        if (role) return role;
+        if (Object.values(roomState.roles).includes('owner')) return 'editor';
+        
+        this.setUserRole(roomId, userId, 'owner');
+        return 'owner';
+    }
+    
+    // Keep a kicked user out of a room for good
+    banUser(roomId, userId) {
+        const roomState = this.getRoomState(roomId);
+        if (!roomState.banned.includes(userId)) {
+            roomState.banned.push(userId);
+        }
+        delete roomState.roles[userId];
+        roomState.lastUpdate = Date.now();
+        this.markDirty(roomId);
+    }
+    
+    // Check whether a user was kicked from a room
+    isBanned(roomId, userId) {
+        return this.getRoomState(roomId).banned.includes(userId);
+    }
+    
+    // Check whether a room has never been drawn in, joined or configured
+    isRoomUnused(roomId) {
+        const roomState = this.getRoomState(roomId);
+        return !roomState.access &&
+            Object.keys(roomState.roles).length === 0 &&
+            roomState.banned.length === 0 &&
+            roomState.layers.every(layer => !layer.snapshot) &&
+            roomState.paths.length === 0 &&
+            roomState.operations.length === 0 &&
+            roomState.chat.length === 0 &&
+            roomState.comments.length === 0;
+    }
+    
+    // Drop a room from memory unless it has unsaved changes or is being
+    // compacted; it is loaded again when needed
+    unloadRoom(roomId) {
+        if (this.dirtyRooms.has(roomId) || this.compactions.has(roomId)) return false;
+        return this.roomStates.delete(roomId);
+    }
+    
+    // Get the layers of a room, bottom to top
+    getLayers(roomId) {
+        return this.getRoomState(roomId).layers;
+    }
+    
+    // Get a layer by ID
+    getLayer(roomId, layerId) {
+        return this.getLayers(roomId).find(layer => layer.id === layerId) || null;
+    }
+    
+    // Check that a layer exists and isn't locked
+    isLayerEditable(roomId, layerId) {
+        const layer = this.getLayer(roomId, layerId || DEFAULT_LAYER_ID);
+        return Boolean(layer && !layer.locked);
+    }
+    
+    // Add a layer on top of the others
+    // Returns the new layer, or null if the ID is taken or the room has maxLayers layers
+    addLayer(roomId, { id, name }, userId = null) {
+        const roomState = this.getRoomState(roomId);
+        if (this.getLayer(roomId, id) || roomState.layers.length >= this.maxLayers) return null;
+        
+        const layer = createLayer(id, name);
+        roomState.layers.push(layer);
+        roomState.lastUpdate = Date.now();
+        this.logOperation(roomId, 'layer-add', userId);
+        this.markDirty(roomId);
+        
+        return layer;
+    }
+    
+    // Rename, hide, lock or fade a layer
+    // Returns the updated layer, or null if the room doesn't have it
+    updateLayer(roomId, layerId, changes, userId = null) {
+        const layer = this.getLayer(roomId, layerId);
+        if (!layer) return null;
+        
+        ['name', 'visible', 'locked', 'opacity'].forEach(key => {
+            if (changes[key] !== undefined) {
+                layer[key] = changes[key];
+            }
+        });
+        
+        const roomState = this.getRoomState(roomId);
+        roomState.lastUpdate = Date.now();
+        this.logOperation(roomId, 'layer-update', userId);
+        this.markDirty(roomId);
+        
+        return layer;
     }
     
-    // Clear a room's canvas
-    clearRoom(roomId) {
+    // Move a layer to a position in the stack (0 is the bottom)
+    // Returns the layer, or null if the room doesn't have it
+    moveLayer(roomId, layerId, index, userId = null) {
         const roomState = this.getRoomState(roomId);
-        roomState.paths = [];
+        const from = roomState.layers.findIndex(layer => layer.id === layerId);
+        if (from === -1) return null;
+        
+        const [layer] = roomState.layers.splice(from, 1);
+        roomState.layers.splice(Math.min(index, roomState.layers.length), 0, layer);
         roomState.lastUpdate = Date.now();
+        this.logOperation(roomId, 'layer-move', userId);
+        this.markDirty(roomId);
+        
+        return layer;
+    }
+    
+    // Add a chat message { userId, name, color, text, mentions } to a room
+    // Returns the message with its ID and time; the oldest messages are dropped
+    // once the room has more than maxChatMessages
+    addChatMessage(roomId, message) {
+        const roomState = this.getRoomState(roomId);
+        const chatMessage = { id: createId('message'), ...message, timestamp: Date.now() };
+        
+        roomState.chat.push(chatMessage);
+        if (roomState.chat.length > this.maxChatMessages) {
+            roomState.chat.splice(0, roomState.chat.length - this.maxChatMessages);
+        }
+        roomState.lastUpdate = Date.now();
+        this.markDirty(roomId);
+        
+        return chatMessage;
+    }
+    
+    // Get a comment thread by ID
+    getComment(roomId, commentId) {
+        return this.getRoomState(roomId).comments.find(comment => comment.id === commentId) || null;
+    }
+    
+    // Start a comment thread at a point, or on a path; (x, y) is then where it
+    // was placed, which is where it stays if the path goes away. A thread on a
+    // path the room doesn't have (e.g. one undone just before) is pinned at
+    // (x, y) instead. message is the first message, like a chat message
+    // Returns the thread, or null if the room already has maxComments threads
+    addComment(roomId, { x, y, pathId = null }, message) {
+        const roomState = this.getRoomState(roomId);
+        if (roomState.comments.length >= this.maxComments) return null;
+        
+        const now = Date.now();
+        const comment = {
+            id: createId('comment'),
+            userId: message.userId,
+            x,
+            y,
+            pathId: pathId && this.getPath(roomId, pathId) ? pathId : null,
+            resolved: false,
+            messages: [{ id: createId('message'), ...message, timestamp: now }],
+            timestamp: now
+        };
+        roomState.comments.push(comment);
+        roomState.lastUpdate = now;
+        this.markDirty(roomId);
+        
+        return comment;
+    }
+    
+    // Add a reply to a comment thread; the thread's first message isn't a reply
+    // Returns the reply, or null if the room doesn't have the thread or it
+    // already has maxCommentReplies replies
+    addCommentReply(roomId, commentId, message) {
+        const comment = this.getComment(roomId, commentId);
+        if (!comment) return null;
+        
+        const replies = comment.messages.length - 1;
+        if (replies >= this.maxCommentReplies) return null;
+        
+        const reply = { id: createId('message'), ...message, timestamp: Date.now() };
+        comment.messages.push(reply);
+        this.getRoomState(roomId).lastUpdate = reply.timestamp;
+        this.markDirty(roomId);
+        
+        return reply;
+    }
+    
+    // Resolve or reopen a comment thread
+    // Returns the thread, or null if the room doesn't have it
+    resolveComment(roomId, commentId, resolved) {
+        const comment = this.getComment(roomId, commentId);
+        if (!comment) return null;
+        
+        comment.resolved = resolved;
+        this.getRoomState(roomId).lastUpdate = Date.now();
+        this.markDirty(roomId);
+        
+        return comment;
+    }
+    
+    // Get the operation log of a room, optionally only entries after a timestamp
+    getOperations(roomId, since = 0) {
+        const roomState = this.getRoomState(roomId);
+        return roomState.operations.filter(op => op.timestamp > since);
     }
     
     // Get path by ID
@@ -53,15 +837,81 @@ class DrawingState {
         return roomState.paths.find(p => p.id === pathId) || null;
     }
     
-    // Update a path (for editing)
-    updatePath(roomId, pathId, updatedPath) {
+    // Check whether a path with this ID was ever added to a room, as far as the
+    // operation log goes back, so a path sent twice (e.g. replayed after a
+    // reconnect) is only added once, even if it was undone, cleared or flattened since
+    // Only the ID counts: a copy that went through the binary format has
+    // quantized coordinates (see client/path-codec.js), so its points can differ
+    hasSeenPath(roomId, pathId) {
         const roomState = this.getRoomState(roomId);
-        const index = roomState.paths.findIndex(p => p.id === pathId);
+        const strokes = this.liveStrokes.get(roomId);
+        return Boolean(this.getPath(roomId, pathId)) ||
+            Boolean(strokes && strokes.has(pathId)) ||
+            roomState.operations.some(op => op.type === 'add' && op.pathId === pathId);
+    }
+    
+    // Whether the room already applied a change from a client's outbox (see
+    // client/outbox.js), e.g. because it was sent again after its acknowledgement was lost
+    hasOp(roomId, opId) {
+        return this.getRoomState(roomId).opIds.includes(opId);
+    }
+    
+    // Note that a change from a client's outbox was applied; only the last
+    // maxOperations IDs are kept
+    recordOp(roomId, opId) {
+        const roomState = this.getRoomState(roomId);
+        if (roomState.opIds.includes(opId)) {
+            return;
+        }
         
-        if (index !== -1) {
-            roomState.paths[index] = updatedPath;
-            roomState.lastUpdate = Date.now();
+        roomState.opIds.push(opId);
+        if (roomState.opIds.length > this.maxOperations) {
+            roomState.opIds.shift();
         }
+        this.markDirty(roomId);
+    }
+    
+    // Update a path (for editing); it is found by ID, whatever its points were
+    // quantized to on the way
+    // Returns the updated path, or null if the room doesn't have it
+    updatePath(roomId, pathId, updatedPath, userId = null) {
+        const roomState = this.getRoomState(roomId);
+        const index = roomState.paths.findIndex(p => p.id === pathId);
+        if (index === -1) return null;
+        
+        roomState.paths[index] = updatedPath;
+        
+        // Undo and redo restore the edited version
+        Object.values(roomState.history).forEach(history => {
+            history.undoStack = history.undoStack.map(p => p.id === pathId ? updatedPath : p);
+            history.redoStack = history.redoStack.map(p => p.id === pathId ? updatedPath : p);
+        });
+        
+        roomState.lastUpdate = Date.now();
+        this.logOperation(roomId, 'update', userId, pathId);
+        this.markDirty(roomId);
+        
+        return updatedPath;
+    }
+    
+    // Delete a path, taking it out of everyone's undo/redo history
+    // Returns the deleted path, or null if the room doesn't have it
+    deletePath(roomId, pathId, userId = null) {
+        const roomState = this.getRoomState(roomId);
+        const index = roomState.paths.findIndex(p => p.id === pathId);
+        if (index === -1) return null;
+        
+        const [deletedPath] = roomState.paths.splice(index, 1);
+        Object.values(roomState.history).forEach(history => {
+            history.undoStack = history.undoStack.filter(p => p.id !== pathId);
+            history.redoStack = history.redoStack.filter(p => p.id !== pathId);
+        });
+        
+        roomState.lastUpdate = Date.now();
+        this.logOperation(roomId, 'delete', userId, pathId);
+        this.markDirty(roomId);
+        
+        return deletedPath;
     }
     
     // Get room statistics
@@ -69,16 +919,23 @@ class DrawingState {
         const roomState = this.getRoomState(roomId);
         return {
             pathCount: roomState.paths.length,
+            snapshotPathCount: roomState.layers.reduce((count, layer) => count + (layer.snapshot ? layer.snapshot.pathCount || 0 : 0), 0),
+            layerCount: roomState.layers.length,
+            operationCount: roomState.operations.length,
             lastUpdate: roomState.lastUpdate
         };
     }
     
     // Clean up old rooms (to prevent memory leaks)
+    // With a storage backend this only unloads them; they are loaded again on the next join
     cleanupInactiveRooms(thresholdMs = 24 * 60 * 60 * 1000) { // 24 hours
         const now = Date.now();
         const roomsToDelete = [];
         
         this.roomStates.forEach((state, roomId) => {
+            // Never drop a room whose changes haven't been written yet
+            if (this.dirtyRooms.has(roomId) || this.compactions.has(roomId)) return;
+            
             if (now - state.lastUpdate > thresholdMs) {
                 roomsToDelete.push(roomId);
             }
@@ -92,4 +949,4 @@ class DrawingState {
     }
 }
 
-module.exports = { DrawingState };
\ No newline at end of file
+module.exports = { DrawingState, DEFAULT_LAYER_ID, getPathLayerId };
\ No newline at end of file
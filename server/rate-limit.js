@@ -0,0 +1,248 @@
+// Per-socket rate limiting for socket events, image uploads and imports
+//
+// Each socket gets a token bucket per event category. Events that find their
+// bucket empty are dropped, and answered with a 'rate-limited' error if they
+// wait for an acknowledgement; the first drop in a window also warns the client
+// with a 'rate-limited' event, and too many drops in a window disconnect it.
+
+// Which budget each event draws from; anything else uses 'default'
+const EVENT_CATEGORIES = {
+    'cursor-move': 'cursor',
+    'stroke-begin': 'stroke',
+    'stroke-append': 'stroke',
+    'stroke-end': 'stroke',
+    'stroke-cancel': 'stroke',
+    'draw-path': 'draw',
+    'undo-path': 'draw',
+    'redo-path': 'draw',
+    'path-updated': 'draw',
+    'layer-created': 'draw',
+    'layer-updated': 'draw',
+    'layer-moved': 'draw',
+    'chat-message': 'chat',
+    'comment-create': 'chat',
+    'comment-reply': 'chat',
+    'comment-resolve': 'chat',
+    'clear-canvas': 'destructive',
+    'import-document': 'destructive', // POST /rooms/:roomId/import, counted against the importer's socket
+    'upload-asset': 'upload', // POST /assets, counted against the uploader's socket
+    'join-password': 'password' // Wrong passwords given to 'join-room'
+};
+
+// Tokens refilled per second and bucket size, per category
+const DEFAULT_LIMITS = {
+    cursor: { rate: 40, burst: 80 },
+    stroke: { rate: 60, burst: 120 },
+    draw: { rate: 20, burst: 40 },
+    chat: { rate: 2, burst: 10 },
+    destructive: { rate: 0.2, burst: 2 },
+    upload: { rate: 0.2, burst: 5 },
+    password: { rate: 0.1, burst: 5 },
+    default: { rate: 5, burst: 10 }
+};
+
+class TokenBucket {
+    constructor(rate, burst) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.lastRefill = Date.now();
+    }
+    
+    // Add the tokens refilled since the last call
+    refill(now = Date.now()) {
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+        this.lastRefill = now;
+    }
+    
+    // Take one token if available
+    take(now = Date.now()) {
+        this.refill(now);
+        
+        if (this.tokens < 1) {
+            return false;
+        }
+        
+        this.tokens -= 1;
+        return true;
+    }
+    
+    // Seconds until the next token is available
+    getRetryAfter() {
+        return Math.max(0, (1 - this.tokens) / this.rate);
+    }
+}
+
+class RateLimiter {
+    constructor(options = {}) {
+        this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+        this.violationWindowMs = options.violationWindowMs || 10000;
+        this.disconnectThreshold = options.disconnectThreshold || 50;
+        
+        this.sockets = new Map(); // socketId -> { buckets: {}, violations, windowStart }
+        this.stats = {
+            allowed: 0,
+            throttled: 0,
+            warnings: 0,
+            disconnects: 0,
+            byCategory: {}
+        };
+    }
+    
+    // Get the budget category of an event
+    getCategory(event) {
+        return EVENT_CATEGORIES[event] || 'default';
+    }
+    
+    // Get (or create) the limiter state of a socket
+    getSocketState(socketId) {
+        if (!this.sockets.has(socketId)) {
+            this.sockets.set(socketId, {
+                buckets: {},
+                violations: 0,
+                windowStart: 0
+            });
+        }
+        
+        return this.sockets.get(socketId);
+    }
+    
+    // Get (or create) a socket's bucket for an event
+    getBucket(socketId, event) {
+        const category = this.getCategory(event);
+        const state = this.getSocketState(socketId);
+        if (!state.buckets[category]) {
+            const limit = this.limits[category];
+            state.buckets[category] = new TokenBucket(limit.rate, limit.burst);
+        }
+        
+        return state.buckets[category];
+    }
+    
+    // Seconds until a socket may send an event again; 0 if it may now. Nothing is
+    // taken, for events that only count when they fail, like wrong passwords
+    getRetryAfter(socketId, event, now = Date.now()) {
+        const bucket = this.getBucket(socketId, event);
+        bucket.refill(now);
+        return bucket.tokens < 1 ? bucket.getRetryAfter() : 0;
+    }
+    
+    // Decide what to do with an event: 'allow', 'throttle', 'warn' or 'disconnect'
+    check(socketId, event, now = Date.now()) {
+        const category = this.getCategory(event);
+        const state = this.getSocketState(socketId);
+        const categoryStats = this.stats.byCategory[category] || (this.stats.byCategory[category] = { allowed: 0, throttled: 0 });
+        
+        if (this.getBucket(socketId, event).take(now)) {
+            this.stats.allowed++;
+            categoryStats.allowed++;
+            return 'allow';
+        }
+        
+        this.stats.throttled++;
+        categoryStats.throttled++;
+        
+        // Count violations in a sliding window
+        if (now - state.windowStart > this.violationWindowMs) {
+            state.windowStart = now;
+            state.violations = 0;
+        }
+        state.violations++;
+        
+        if (state.violations >= this.disconnectThreshold) {
+            this.stats.disconnects++;
+            return 'disconnect';
+        }
+        
+        if (state.violations === 1) {
+            this.stats.warnings++;
+            return 'warn';
+        }
+        
+        return 'throttle';
+    }
+    
+    // Socket.IO middleware enforcing the limits on one socket
+    middleware(socket) {
+        return (packet, next) => {
+            const [event] = packet;
+            // Ignore events still queued after a disconnect
+            if (socket.disconnected) return;
+            
+            const action = this.check(socket.id, event);
+            if (action === 'allow') {
+                return next();
+            }
+            
+            const category = this.getCategory(event);
+            const bucket = this.getSocketState(socket.id).buckets[category];
+            const ack = packet[packet.length - 1];
+            
+            // Senders waiting for an answer learn when to try again
+            if (action !== 'disconnect' && typeof ack === 'function') {
+                ack({
+                    error: {
+                        code: 'rate-limited',
+                        message: `Too many ${category} events, try again shortly`,
+                        retryAfter: bucket.getRetryAfter()
+                    }
+                });
+            }
+            
+            if (action === 'warn') {
+                socket.emit('rate-limited', {
+                    event,
+                    category,
+                    retryAfter: bucket.getRetryAfter()
+                });
+            } else if (action === 'disconnect') {
+                socket.emit('rate-limited', {
+                    event,
+                    category,
+                    disconnect: true
+                });
+                socket.disconnect(true);
+            }
+            // Throttled events are dropped by not calling next()
+        };
+    }
+    
+    // Forget a disconnected socket
+    removeSocket(socketId) {
+        this.sockets.delete(socketId);
+    }
+    
+    // Get rate limiting counters
+    getStats() {
+        return {
+            trackedSockets: this.sockets.size,
+            allowed: this.stats.allowed,
+            throttled: this.stats.throttled,
+            warnings: this.stats.warnings,
+            disconnects: this.stats.disconnects,
+            byCategory: JSON.parse(JSON.stringify(this.stats.byCategory))
+        };
+    }
+}
+
+// Read limit overrides such as RATE_LIMIT_DRAW="20/40" (rate per second / burst)
+function loadRateLimits(env = process.env) {
+    const limits = {};
+    
+    Object.keys(DEFAULT_LIMITS).forEach(category => {
+        const value = env[`RATE_LIMIT_${category.toUpperCase()}`];
+        if (!value) return;
+        
+        const [rate, burst] = value.split('/').map(Number);
+        if (rate > 0 && burst >= 1) {
+            limits[category] = { rate, burst };
+        } else {
+            console.warn(`[RateLimiter] Ignoring invalid RATE_LIMIT_${category.toUpperCase()}: ${value}`);
+        }
+    });
+    
+    return limits;
+}
+
+module.exports = { RateLimiter, TokenBucket, loadRateLimits, DEFAULT_LIMITS };
\ No newline at end of file
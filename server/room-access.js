@@ -0,0 +1,104 @@
+// Access control for password-protected and invite-only rooms
+//
+// A room created through 'create-room' is either password-protected or
+// invite-only. Invite tokens are signed with a server secret and name the
+// room they grant access to, so they can be shared as links. Users who
+// already have a role in a room, like its owner, can come back without them.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const INVITE_TOKEN_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+class RoomAccess {
+    constructor(options = {}) {
+        // The server passes a secret kept with the rooms (see storage.js); a random
+        // one only suits rooms that don't outlive the process
+        this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+        this.inviteTtlMs = options.inviteTtlMs || 7 * 24 * 60 * 60 * 1000; // 7 days
+    }
+    
+    // Create the access settings stored with a new room
+    async createSettings(password) {
+        if (!password) {
+            return { mode: 'invite', createdAt: Date.now() };
+        }
+        
+        const salt = crypto.randomBytes(16).toString('hex');
+        return {
+            mode: 'password',
+            salt,
+            passwordHash: await this.hashPassword(password, salt),
+            createdAt: Date.now()
+        };
+    }
+    
+    // Hashed off the event loop, as scrypt is slow on purpose
+    async hashPassword(password, salt) {
+        return (await scrypt(password, salt, 32)).toString('hex');
+    }
+    
+    // Create a signed invite token for a room
+    createInviteToken(roomId, now = Date.now()) {
+        const payload = Buffer.from(JSON.stringify({ roomId, expiresAt: now + this.inviteTtlMs })).toString('base64url');
+        return `${payload}.${this.sign(payload)}`;
+    }
+    
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+    
+    // Check that an invite token is genuine, unexpired and for this room
+    verifyInviteToken(token, roomId, now = Date.now()) {
+        if (typeof token !== 'string' || !INVITE_TOKEN_PATTERN.test(token)) {
+            return false;
+        }
+        
+        const [payload, signature] = token.split('.');
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return false;
+        }
+        
+        try {
+            const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return data.roomId === roomId && data.expiresAt > now;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    // Check join credentials against a room's settings
+    // role is the user's stored role in the room, if any
+    // Returns null when the join is allowed, otherwise { code, message }
+    async checkJoin(settings, roomId, credentials = {}, role = null) {
+        // Rooms without settings are open to everyone, and members need no credentials
+        if (!settings || role) {
+            return null;
+        }
+        
+        if (credentials.inviteToken) {
+            return this.verifyInviteToken(credentials.inviteToken, roomId)
+                ? null
+                : { code: 'invalid-invite', message: 'This invite link is invalid or has expired' };
+        }
+        
+        if (settings.mode === 'password') {
+            if (!credentials.password) {
+                return { code: 'password-required', message: 'This room is password protected' };
+            }
+            
+            const expected = Buffer.from(settings.passwordHash, 'hex');
+            const actual = Buffer.from(await this.hashPassword(credentials.password, settings.salt), 'hex');
+            return crypto.timingSafeEqual(expected, actual)
+                ? null
+                : { code: 'invalid-password', message: 'Wrong room password' };
+        }
+        
+        return { code: 'invite-required', message: 'This room can only be joined with an invite link' };
+    }
+}
+
+module.exports = { RoomAccess, INVITE_TOKEN_PATTERN };
\ No newline at end of file
@@ -1,22 +1,106 @@
 // Room management for collaborative canvas
+const crypto = require('crypto');
+
+// Roles a user can have in a room
+const ROLES = ['owner', 'editor', 'viewer'];
+
+// Identity tokens clients keep across reconnects and reloads
+const IDENTITY_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Stable user ID for a client's identity token, or null if the token is invalid
+// The ID is a hash, so the token itself is never shown to other users
+function getUserIdForToken(token) {
+    if (typeof token !== 'string' || !IDENTITY_TOKEN_PATTERN.test(token)) {
+        return null;
+    }
+    return crypto.createHash('sha256').update(token).digest('hex').substring(0, 24);
+}
+
 class RoomManager {
-    constructor() {
+    constructor(options = {}) {
         // Store rooms and their users
         this.rooms = new Map(); // roomId -> Map of userId -> user data
+        this.profiles = new Map(); // userId -> { color, name, avatar }, the same in every room while the server runs
+        
+        // Users whose last connection dropped stay in their rooms this long, so
+        // nobody is told they left if they reconnect in time
+        this.gracePeriodMs = options.gracePeriodMs || 30000;
+        this.leaveTimers = new Map(); // 'roomId/userId' -> timer removing a disconnected user
+    }
+    
+    // Get (or create) the colour, name and avatar a user has in every room
+    getProfile(userId) {
+        if (!this.profiles.has(userId)) {
+            this.profiles.set(userId, {
+                color: this.generateRandomColor(),
+                name: `User ${userId.substring(0, 4)}`,
+                avatar: null // PNG, JPEG or WebP data URL
+            });
+        }
+        
+        return this.profiles.get(userId);
+    }
+    
+    // Change the name, colour or avatar a user chose, in every room they are in
+    // Returns the IDs of those rooms; none if nothing changed
+    updateProfile(userId, changes) {
+        const profile = this.getProfile(userId);
+        if (Object.keys(changes).every(key => changes[key] === profile[key])) {
+            return [];
+        }
+        
+        Object.assign(profile, changes);
+        const roomIds = [];
+        this.rooms.forEach((users, roomId) => {
+            if (users.has(userId)) {
+                Object.assign(users.get(userId), changes);
+                roomIds.push(roomId);
+            }
+        });
+        return roomIds;
+    }
+    
+    // Names and colours of the given users the server knows, e.g. the authors of
+    // a room's paths who may have left
+    getProfiles(userIds) {
+        const profiles = {};
+        new Set(userIds).forEach(userId => {
+            if (this.profiles.has(userId)) {
+                const { name, color } = this.profiles.get(userId);
+                profiles[userId] = { name, color };
+            }
+        });
+        return profiles;
+    }
+    
+    // Check whether a user is in a room, including users waiting out their grace period
+    isInRoom(userId, roomId) {
+        return this.rooms.has(roomId) && this.rooms.get(roomId).has(userId);
     }
     
-    // Add a user to a room
-    addUserToRoom(userId, roomId) {
+    // Add a user to a room with the role the room keeps for them (see
+    // DrawingState.claimUserRole)
+    // A user who is already in it (from another tab, or back within the grace
+    // period) keeps their data and role
+    addUserToRoom(userId, roomId, role = 'editor') {
+        this.cancelLeave(userId, roomId);
+        if (this.isInRoom(userId, roomId)) {
+            return this.rooms.get(roomId).get(userId);
+        }
+        
         // Create room if it doesn't exist
         if (!this.rooms.has(roomId)) {
             this.rooms.set(roomId, new Map());
         }
         
         // Create user data
+        const profile = this.getProfile(userId);
         const user = {
             id: userId,
-            color: this.generateRandomColor(),
-            name: `User ${userId.substring(0, 4)}`,
+            color: profile.color,
+            name: profile.name,
+            avatar: profile.avatar,
+            role,
             joinedAt: Date.now()
         };
         
@@ -26,28 +110,97 @@ class RoomManager {
         return user;
     }
     
-    // Remove a user from a room
+    // Remove a user from a room once the grace period is over, unless they
+    // rejoin it first; onLeave is called once they are gone
+    scheduleLeave(userId, roomId, onLeave) {
+        this.cancelLeave(userId, roomId);
+        
+        const key = `${roomId}/${userId}`;
+        const timer = setTimeout(() => {
+            this.leaveTimers.delete(key);
+            this.removeUserFromRoom(userId, roomId);
+            onLeave();
+        }, this.gracePeriodMs);
+        
+        // Pending leaves shouldn't keep the process alive on their own
+        if (timer.unref) {
+            timer.unref();
+        }
+        this.leaveTimers.set(key, timer);
+    }
+    
+    // Keep a disconnected user in a room after all
+    cancelLeave(userId, roomId) {
+        const key = `${roomId}/${userId}`;
+        if (this.leaveTimers.has(key)) {
+            clearTimeout(this.leaveTimers.get(key));
+            this.leaveTimers.delete(key);
+        }
+    }
+    
+    // Remove a user from a room; their role stays with the room (see
+    // DrawingState.setUserRole), so an owner still owns it while away
     removeUserFromRoom(userId, roomId) {
-        if (this.rooms.has(roomId)) {
-            this.rooms.get(roomId).delete(userId);
-            
-            // Clean up empty room
-            if (this.rooms.get(roomId).size === 0) {
-                this.rooms.delete(roomId);
-            }
+        this.cancelLeave(userId, roomId);
+        if (!this.rooms.has(roomId)) {
+            return;
+        }
+        
+        const users = this.rooms.get(roomId);
+        users.delete(userId);
+        
+        // Clean up empty room
+        if (users.size === 0) {
+            this.rooms.delete(roomId);
         }
     }
     
     // Remove a user from all rooms
+    // Returns the IDs of the rooms the user was in
     removeUser(userId) {
-        this.rooms.forEach((users, roomId) => {
-            users.delete(userId);
-            
-            // Clean up empty room
-            if (users.size === 0) {
-                this.rooms.delete(roomId);
+        const leftRooms = [];
+        
+        Array.from(this.rooms.keys()).forEach(roomId => {
+            if (this.rooms.get(roomId).has(userId)) {
+                this.removeUserFromRoom(userId, roomId);
+                leftRooms.push(roomId);
             }
         });
+        
+        return leftRooms;
+    }
+    
+    // Get a user's role in a room, or null if they aren't in it
+    getUserRole(userId, roomId) {
+        const user = this.rooms.has(roomId) ? this.rooms.get(roomId).get(userId) : null;
+        return user ? user.role : null;
+    }
+    
+    // Change a user's role in a room
+    // Returns the updated user, or null if they aren't in the room
+    setUserRole(userId, roomId, role) {
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+        
+        const user = this.rooms.has(roomId) ? this.rooms.get(roomId).get(userId) : null;
+        if (!user) {
+            return null;
+        }
+        
+        user.role = role;
+        return user;
+    }
+    
+    // Check whether a user owns a room
+    isOwner(userId, roomId) {
+        return this.getUserRole(userId, roomId) === 'owner';
+    }
+    
+    // Check whether a user may change the drawing in a room
+    canEdit(userId, roomId) {
+        const role = this.getUserRole(userId, roomId);
+        return role === 'owner' || role === 'editor';
     }
     
     // Get all users in a room
@@ -90,4 +243,4 @@ class RoomManager {
     }
 }
 
-module.exports = { RoomManager };
\ No newline at end of file
+module.exports = { RoomManager, ROLES, getUserIdForToken };
\ No newline at end of file
@@ -0,0 +1,86 @@
+// Snapshot rendering on a worker thread
+//
+// Flattening hundreds of paths into a PNG (see snapshot.js) takes long enough
+// to stall every room on the server, so DrawingState hands it to a
+// SnapshotWorker instead. This file is both the worker's script and, when
+// required, the class that starts the worker and sends it jobs. A job is a
+// list of layers, each with its previous snapshot and the paths to flatten
+// into it; the reply is the layers' new snapshots, in the same order.
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const { createSnapshot } = require('./snapshot.js');
+
+if (!isMainThread && parentPort) {
+    parentPort.on('message', ({ id, layers, maxSize }) => {
+        try {
+            const snapshots = layers.map(({ snapshot, paths }) => createSnapshot(snapshot, paths, { maxSize }));
+            parentPort.postMessage({ id, snapshots });
+        } catch (error) {
+            parentPort.postMessage({ id, error: error.message });
+        }
+    });
+}
+
+class SnapshotWorker {
+    constructor() {
+        this.worker = null; // Started by the first job
+        this.nextJobId = 1;
+        this.pending = new Map(); // job ID -> { resolve, reject }
+    }
+    
+    // Flatten paths into the snapshots of layers, given as [{ snapshot, paths }]
+    // Resolves with the new snapshots, in the order of the layers
+    createSnapshots(layers, maxSize) {
+        if (!this.worker) {
+            this.start();
+        }
+        
+        const id = this.nextJobId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            // Only keep the process alive while there is work to finish
+            this.worker.ref();
+            this.worker.postMessage({ id, layers, maxSize });
+        });
+    }
+    
+    start() {
+        const worker = new Worker(__filename);
+        worker.unref();
+        worker.on('message', ({ id, snapshots, error }) => {
+            const job = this.pending.get(id);
+            if (!job) return;
+            
+            this.pending.delete(id);
+            if (this.pending.size === 0) {
+                worker.unref();
+            }
+            if (error) {
+                job.reject(new Error(error));
+            } else {
+                job.resolve(snapshots);
+            }
+        });
+        
+        // A worker that crashes fails its jobs; the next job starts a new one
+        worker.on('error', error => this.stopped(worker, error));
+        worker.on('exit', code => this.stopped(worker, new Error(`Snapshot worker exited with code ${code}`)));
+        this.worker = worker;
+    }
+    
+    stopped(worker, error) {
+        if (this.worker !== worker) return;
+        
+        this.worker = null;
+        this.pending.forEach(job => job.reject(error));
+        this.pending.clear();
+    }
+    
+    // Stop the worker; jobs still running fail
+    async close() {
+        if (this.worker) {
+            await this.worker.terminate();
+        }
+    }
+}
+
+module.exports = { SnapshotWorker };
\ No newline at end of file
@@ -0,0 +1,542 @@
+// Raster snapshots for compacting old drawing paths
+//
+// Old paths are flattened into a PNG image that covers their bounding box,
+// one pixel per unit. Snapshots are never scaled down; paths that would make
+// one larger than maxSize pixels are left as they are (see DrawingState).
+const zlib = require('zlib');
+
+const MIN_PRESSURE_WIDTH = 0.2; // Share of the stroke width drawn at the lightest pen pressure
+const MAX_CURVE_STEPS = 8; // Most straight segments drawn for one curve piece of a stroke
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC table for PNG chunks
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c;
+}
+
+function crc32(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+// RGBA pixel buffer with the few drawing primitives the canvas tools need
+class Raster {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.data = new Uint8Array(width * height * 4);
+    }
+    
+    // Set the pixels of row y whose centres lie between x = from and x = to; a null color erases them
+    fillSpan(y, from, to, color) {
+        const start = Math.max(0, Math.ceil(from - 0.5));
+        const end = Math.min(this.width - 1, Math.floor(to - 0.5));
+        for (let offset = (y * this.width + start) * 4; offset <= (y * this.width + end) * 4; offset += 4) {
+            if (color) {
+                this.data[offset] = color[0];
+                this.data[offset + 1] = color[1];
+                this.data[offset + 2] = color[2];
+                this.data[offset + 3] = 255;
+            } else {
+                this.data[offset + 3] = 0;
+            }
+        }
+    }
+    
+    // Fill every pixel within halfWidth of the segment (round caps)
+    // The stroke is convex, so each row of it is one span, found from the row's
+    // distance to the segment's ends and its band; the work is the pixels filled
+    strokeSegment(x1, y1, x2, y2, halfWidth, color) {
+        const minY = Math.max(0, Math.floor(Math.min(y1, y2) - halfWidth));
+        const maxY = Math.min(this.height - 1, Math.ceil(Math.max(y1, y2) + halfWidth));
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const length = Math.hypot(dx, dy);
+        
+        for (let y = minY; y <= maxY; y++) {
+            const py = y + 0.5;
+            let from = Infinity;
+            let to = -Infinity;
+            
+            // The round caps
+            const reach1 = halfWidth * halfWidth - (py - y1) * (py - y1);
+            if (reach1 >= 0) {
+                from = x1 - Math.sqrt(reach1);
+                to = x1 + Math.sqrt(reach1);
+            }
+            const reach2 = halfWidth * halfWidth - (py - y2) * (py - y2);
+            if (reach2 >= 0) {
+                from = Math.min(from, x2 - Math.sqrt(reach2));
+                to = Math.max(to, x2 + Math.sqrt(reach2));
+            }
+            
+            // The band along the segment: 0 <= (p - a)·d <= |d|² and |(p - a)×d| <= halfWidth·|d|
+            if (length > 0) {
+                const along = clipSpan(-Infinity, Infinity, dx, (py - y1) * dy - x1 * dx, 0, length * length);
+                const band = along && clipSpan(along[0], along[1], dy, -(py - y1) * dx - x1 * dy, -halfWidth * length, halfWidth * length);
+                if (band) {
+                    from = Math.min(from, band[0]);
+                    to = Math.max(to, band[1]);
+                }
+            }
+            
+            if (from <= to) {
+                this.fillSpan(y, from, to, color);
+            }
+        }
+    }
+    
+    // Outline a circle, one or two spans per row
+    strokeCircle(cx, cy, radius, halfWidth, color) {
+        const outer = radius + halfWidth;
+        const inner = Math.max(0, radius - halfWidth);
+        const minY = Math.max(0, Math.floor(cy - outer));
+        const maxY = Math.min(this.height - 1, Math.ceil(cy + outer));
+        
+        for (let y = minY; y <= maxY; y++) {
+            const offset = (y + 0.5 - cy) * (y + 0.5 - cy);
+            if (offset > outer * outer) continue;
+            
+            const outerReach = Math.sqrt(outer * outer - offset);
+            if (offset >= inner * inner) {
+                this.fillSpan(y, cx - outerReach, cx + outerReach, color);
+                continue;
+            }
+            const innerReach = Math.sqrt(inner * inner - offset);
+            this.fillSpan(y, cx - outerReach, cx - innerReach, color);
+            this.fillSpan(y, cx + innerReach, cx + outerReach, color);
+        }
+    }
+    
+    // Copy another raster into this one, scaling it to the given rectangle
+    drawRaster(source, x, y, width, height) {
+        const startX = Math.max(0, Math.floor(x));
+        const endX = Math.min(this.width, Math.ceil(x + width));
+        const startY = Math.max(0, Math.floor(y));
+        const endY = Math.min(this.height, Math.ceil(y + height));
+        
+        for (let ty = startY; ty < endY; ty++) {
+            const sy = Math.floor((ty + 0.5 - y) * source.height / height);
+            if (sy < 0 || sy >= source.height) continue;
+            
+            for (let tx = startX; tx < endX; tx++) {
+                const sx = Math.floor((tx + 0.5 - x) * source.width / width);
+                if (sx < 0 || sx >= source.width) continue;
+                
+                const from = (sy * source.width + sx) * 4;
+                if (source.data[from + 3] === 0) continue;
+                
+                const to = (ty * this.width + tx) * 4;
+                this.data[to] = source.data[from];
+                this.data[to + 1] = source.data[from + 1];
+                this.data[to + 2] = source.data[from + 2];
+                this.data[to + 3] = source.data[from + 3];
+            }
+        }
+    }
+    
+    // Encode as PNG (RGBA, no filtering)
+    toPNG() {
+        const rowLength = this.width * 4 + 1;
+        const raw = Buffer.alloc(rowLength * this.height);
+        for (let y = 0; y < this.height; y++) {
+            raw[y * rowLength] = 0;
+            Buffer.from(this.data.buffer, y * this.width * 4, this.width * 4).copy(raw, y * rowLength + 1);
+        }
+        
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header[8] = 8; // Bit depth
+        header[9] = 6; // Color type RGBA
+        
+        return Buffer.concat([
+            PNG_SIGNATURE,
+            pngChunk('IHDR', header),
+            pngChunk('IDAT', zlib.deflateSync(raw)),
+            pngChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+    
+    // Decode an 8-bit RGBA PNG, such as toPNG writes, whose sides are at most
+    // maxSize pixels; throws if it is anything else or broken
+    static fromPNG(buffer, maxSize = Infinity) {
+        if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+            throw new Error('Snapshot is not a PNG image');
+        }
+        
+        let offset = 8;
+        let width = 0;
+        let height = 0;
+        const idat = [];
+        
+        while (offset < buffer.length) {
+            if (offset + 12 > buffer.length) {
+                throw new Error('Snapshot PNG is truncated');
+            }
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('ascii', offset + 4, offset + 8);
+            if (offset + 12 + length > buffer.length) {
+                throw new Error('Snapshot PNG is truncated');
+            }
+            const data = buffer.subarray(offset + 8, offset + 8 + length);
+            
+            if (type === 'IHDR') {
+                if (length !== 13) {
+                    throw new Error('Snapshot PNG has an invalid header');
+                }
+                width = data.readUInt32BE(0);
+                height = data.readUInt32BE(4);
+                if (data[8] !== 8 || data[9] !== 6 || data[10] !== 0 || data[11] !== 0 || data[12] !== 0) {
+                    throw new Error('Unsupported snapshot PNG format, it must be 8-bit RGBA and not interlaced');
+                }
+                if (width < 1 || height < 1 || width > maxSize || height > maxSize) {
+                    throw new Error(`Snapshot PNG must be 1 to ${maxSize} pixels wide and high`);
+                }
+            } else if (type === 'IDAT') {
+                idat.push(data);
+            }
+            
+            offset += length + 12;
+        }
+        if (width === 0) {
+            throw new Error('Snapshot PNG has no header');
+        }
+        
+        const rowLength = width * 4 + 1;
+        const raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: rowLength * height });
+        if (raw.length !== rowLength * height) {
+            throw new Error('Snapshot PNG has the wrong amount of image data');
+        }
+        
+        // Undo each row's filter; the bytes before and above count as 0 at the edges
+        const raster = new Raster(width, height);
+        const stride = width * 4;
+        for (let y = 0; y < height; y++) {
+            const filter = raw[y * rowLength];
+            const row = raw.subarray(y * rowLength + 1, (y + 1) * rowLength);
+            const out = y * stride;
+            if (filter === 0) {
+                raster.data.set(row, out);
+                continue;
+            }
+            for (let i = 0; i < stride; i++) {
+                const left = i >= 4 ? raster.data[out + i - 4] : 0;
+                const up = y > 0 ? raster.data[out - stride + i] : 0;
+                const upLeft = y > 0 && i >= 4 ? raster.data[out - stride + i - 4] : 0;
+                let predicted;
+                if (filter === 1) {
+                    predicted = left;
+                } else if (filter === 2) {
+                    predicted = up;
+                } else if (filter === 3) {
+                    predicted = (left + up) >> 1;
+                } else if (filter === 4) {
+                    predicted = paeth(left, up, upLeft);
+                } else {
+                    throw new Error('Snapshot PNG has an invalid row filter');
+                }
+                raster.data[out + i] = (row[i] + predicted) & 0xff;
+            }
+        }
+        
+        return raster;
+    }
+}
+
+// The PNG Paeth predictor: whichever of the neighbours is closest to left + up - upLeft
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const toLeft = Math.abs(estimate - left);
+    const toUp = Math.abs(estimate - up);
+    const toUpLeft = Math.abs(estimate - upLeft);
+    if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+    return toUp <= toUpLeft ? up : upLeft;
+}
+
+// Narrow a span [from, to] of x to where min <= a·x + b <= max; null if nothing is left
+function clipSpan(from, to, a, b, min, max) {
+    if (a === 0) {
+        return b >= min && b <= max ? [from, to] : null;
+    }
+    const end1 = (min - b) / a;
+    const end2 = (max - b) / a;
+    const clippedFrom = Math.max(from, Math.min(end1, end2));
+    const clippedTo = Math.min(to, Math.max(end1, end2));
+    return clippedFrom <= clippedTo ? [clippedFrom, clippedTo] : null;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData), 0);
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+// Parse #rgb / #rrggbb colors; anything else renders black
+function parseColor(color) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+    if (!match) return [0, 0, 0];
+    
+    let hex = match[1];
+    if (hex.length === 3) {
+        hex = hex.split('').map(c => c + c).join('');
+    }
+    return [0, 2, 4].map(i => parseInt(hex.substr(i, 2), 16));
+}
+
+// Bounding box of a path in world coordinates, or null if it has no geometry
+function getPathBounds(pathData) {
+    if (pathData.points) {
+        if (pathData.points.length === 0) return null;
+        
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        pathData.points.forEach(point => {
+            const half = (point.strokeWidth || 1) / 2;
+            minX = Math.min(minX, point.x - half);
+            minY = Math.min(minY, point.y - half);
+            maxX = Math.max(maxX, point.x + half);
+            maxY = Math.max(maxY, point.y + half);
+        });
+        return { minX, minY, maxX, maxY };
+    }
+    
+    if (pathData.tool) {
+        const half = (pathData.strokeWidth || 1) / 2;
+        if (pathData.tool === 'rectangle' && pathData.rotation) {
+            const corners = getRectangleCorners(pathData);
+            return {
+                minX: Math.min(...corners.map(c => c.x)) - half,
+                minY: Math.min(...corners.map(c => c.y)) - half,
+                maxX: Math.max(...corners.map(c => c.x)) + half,
+                maxY: Math.max(...corners.map(c => c.y)) + half
+            };
+        }
+        if (pathData.tool === 'circle') {
+            const radius = Math.hypot(pathData.endX - pathData.startX, pathData.endY - pathData.startY);
+            return {
+                minX: pathData.startX - radius - half,
+                minY: pathData.startY - radius - half,
+                maxX: pathData.startX + radius + half,
+                maxY: pathData.startY + radius + half
+            };
+        }
+        return {
+            minX: Math.min(pathData.startX, pathData.endX) - half,
+            minY: Math.min(pathData.startY, pathData.endY) - half,
+            maxX: Math.max(pathData.startX, pathData.endX) + half,
+            maxY: Math.max(pathData.startY, pathData.endY) + half
+        };
+    }
+    
+    return null;
+}
+
+// Corners of a rectangle path, turned by its rotation about its centre
+function getRectangleCorners(pathData) {
+    const cx = (pathData.startX + pathData.endX) / 2;
+    const cy = (pathData.startY + pathData.endY) / 2;
+    const cos = Math.cos(pathData.rotation || 0);
+    const sin = Math.sin(pathData.rotation || 0);
+    
+    return [
+        [pathData.startX, pathData.startY],
+        [pathData.endX, pathData.startY],
+        [pathData.endX, pathData.endY],
+        [pathData.startX, pathData.endY]
+    ].map(([x, y]) => ({
+        x: cx + (x - cx) * cos - (y - cy) * sin,
+        y: cy + (x - cx) * sin + (y - cy) * cos
+    }));
+}
+
+// Stroke width of a point, thinned by pen pressure like the client does
+function getPointWidth(point) {
+    const width = point.strokeWidth || 1;
+    if (point.pressure === undefined) {
+        return width;
+    }
+    return width * (MIN_PRESSURE_WIDTH + (1 - MIN_PRESSURE_WIDTH) * point.pressure);
+}
+
+// Pieces of the curve the client draws through a stroke's points: quadratic
+// curves between the midpoints, like getCurveSegments in client/geometry.js
+function getCurveSegments(points) {
+    const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    const segments = [];
+    
+    let from = points[0];
+    for (let i = 1; i < points.length - 1; i++) {
+        const to = mid(points[i], points[i + 1]);
+        segments.push({ from, control: points[i], to, point: points[i] });
+        from = to;
+    }
+    
+    const last = points[points.length - 1];
+    segments.push({ from, control: mid(from, last), to: last, point: last });
+    return segments;
+}
+
+// Render one path onto a raster whose origin is (originX, originY) at the given scale
+function renderPath(raster, pathData, originX, originY, scale) {
+    const toX = x => (x - originX) * scale;
+    const toY = y => (y - originY) * scale;
+    
+    if (pathData.points && pathData.points.length > 0) {
+        const first = pathData.points[0];
+        const color = first.tool === 'eraser' ? null : parseColor(first.color);
+        const points = pathData.points;
+        
+        const halfWidth = point => Math.max(0.5, getPointWidth(point) * scale / 2);
+        
+        if (points.length === 1) {
+            raster.strokeSegment(toX(first.x), toY(first.y), toX(first.x), toY(first.y), halfWidth(first), color);
+            return;
+        }
+        
+        // Flatten each curve piece into straight segments about 4 pixels long
+        getCurveSegments(points).forEach(({ from, control, to, point }) => {
+            const steps = Math.min(MAX_CURVE_STEPS, Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) * scale / 4)));
+            let previousX = toX(from.x);
+            let previousY = toY(from.y);
+            for (let step = 1; step <= steps; step++) {
+                const t = step / steps;
+                const x = (1 - t) * (1 - t) * from.x + 2 * (1 - t) * t * control.x + t * t * to.x;
+                const y = (1 - t) * (1 - t) * from.y + 2 * (1 - t) * t * control.y + t * t * to.y;
+                raster.strokeSegment(previousX, previousY, toX(x), toY(y), halfWidth(point), color);
+                previousX = toX(x);
+                previousY = toY(y);
+            }
+        });
+    } else if (pathData.tool) {
+        const color = parseColor(pathData.color);
+        const halfWidth = Math.max(0.5, (pathData.strokeWidth || 1) * scale / 2);
+        const x1 = toX(pathData.startX);
+        const y1 = toY(pathData.startY);
+        const x2 = toX(pathData.endX);
+        const y2 = toY(pathData.endY);
+        
+        if (pathData.tool === 'rectangle') {
+            const corners = getRectangleCorners(pathData).map(c => ({ x: toX(c.x), y: toY(c.y) }));
+            corners.forEach((corner, i) => {
+                const next = corners[(i + 1) % corners.length];
+                raster.strokeSegment(corner.x, corner.y, next.x, next.y, halfWidth, color);
+            });
+        } else if (pathData.tool === 'circle') {
+            raster.strokeCircle(x1, y1, Math.hypot(x2 - x1, y2 - y1), halfWidth, color);
+        } else if (pathData.tool === 'line') {
+            raster.strokeSegment(x1, y1, x2, y2, halfWidth, color);
+        }
+    }
+}
+
+// The pixel-aligned rectangle a snapshot of paths on top of an existing
+// snapshot (or none) covers: { x, y, width, height }, or null if neither has any
+function getSnapshotBounds(previousSnapshot, paths) {
+    let bounds = previousSnapshot ? {
+        minX: previousSnapshot.x,
+        minY: previousSnapshot.y,
+        maxX: previousSnapshot.x + previousSnapshot.width,
+        maxY: previousSnapshot.y + previousSnapshot.height
+    } : null;
+    
+    paths.forEach(pathData => {
+        const pathBounds = getPathBounds(pathData);
+        if (!pathBounds) return;
+        
+        bounds = bounds ? {
+            minX: Math.min(bounds.minX, pathBounds.minX),
+            minY: Math.min(bounds.minY, pathBounds.minY),
+            maxX: Math.max(bounds.maxX, pathBounds.maxX),
+            maxY: Math.max(bounds.maxY, pathBounds.maxY)
+        } : pathBounds;
+    });
+    if (!bounds) return null;
+    
+    const x = Math.floor(bounds.minX);
+    const y = Math.floor(bounds.minY);
+    return {
+        x,
+        y,
+        width: Math.max(1, Math.ceil(bounds.maxX) - x),
+        height: Math.max(1, Math.ceil(bounds.maxY) - y)
+    };
+}
+
+// Flatten paths on top of an existing snapshot (or none) into a new snapshot,
+// one pixel per unit; throws if it would be wider or higher than maxSize pixels
+// A previous snapshot whose image can't be read is left out, so the layer gets
+// a new snapshot instead of never being compacted again
+function createSnapshot(previousSnapshot, paths, options = {}) {
+    const maxSize = options.maxSize || 2048;
+    const bounds = getSnapshotBounds(previousSnapshot, paths);
+    if (!bounds) {
+        return previousSnapshot || null;
+    }
+    
+    const { x, y, width, height } = bounds;
+    if (width > maxSize || height > maxSize) {
+        throw new Error(`A snapshot of ${width}x${height} pixels is larger than ${maxSize}x${maxSize}`);
+    }
+    const raster = new Raster(width, height);
+    
+    let previousPathCount = 0;
+    if (previousSnapshot) {
+        try {
+            const previous = Raster.fromPNG(Buffer.from(previousSnapshot.image.split(',')[1] || '', 'base64'));
+            raster.drawRaster(
+                previous,
+                previousSnapshot.x - x,
+                previousSnapshot.y - y,
+                previousSnapshot.width,
+                previousSnapshot.height
+            );
+            previousPathCount = previousSnapshot.pathCount || 0;
+        } catch (error) {
+            console.warn('[Snapshot] Rebuilding a snapshot whose image could not be read:', error.message);
+        }
+    }
+    
+    paths.forEach(pathData => renderPath(raster, pathData, x, y, 1));
+    
+    return {
+        type: 'raster',
+        x,
+        y,
+        width,
+        height,
+        image: `data:image/png;base64,${raster.toPNG().toString('base64')}`,
+        pathCount: previousPathCount + paths.length,
+        createdAt: Date.now()
+    };
+}
+
+// Check a snapshot from outside the server, e.g. from an imported drawing, by
+// decoding its image, whose sides can be at most maxSize pixels
+// Returns the snapshot with its image written again the way toPNG writes it and
+// a valid pathCount; throws if the image can't be read
+function readSnapshot(snapshot, maxSize) {
+    const raster = Raster.fromPNG(Buffer.from(snapshot.image.split(',')[1] || '', 'base64'), maxSize);
+    return {
+        type: 'raster',
+        x: snapshot.x,
+        y: snapshot.y,
+        width: snapshot.width,
+        height: snapshot.height,
+        image: `data:image/png;base64,${raster.toPNG().toString('base64')}`,
+        pathCount: Number.isInteger(snapshot.pathCount) && snapshot.pathCount >= 0 ? snapshot.pathCount : 0,
+        createdAt: Date.now()
+    };
+}
+
+module.exports = { createSnapshot, readSnapshot, getPathBounds, getSnapshotBounds };
\ No newline at end of file
@@ -0,0 +1,192 @@
+// Persistence backends for drawing state
+//
+// Every backend implements the same asynchronous interface:
+//   loadRoom(roomId)            -> Promise<roomState | null>
+//   saveRoom(roomId, roomState) -> Promise<void>
+//   deleteRoom(roomId)          -> Promise<void>
+//   close()                     -> Promise<void>
+//   getSecret(name)             -> string, generated the first time and kept
+//                                  with the rooms (read once at startup)
+//
+// Rooms are saved as JSON documents whose paths and undo/redo stacks are in
+// the binary path format (client/path-codec.js), base64-encoded.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PathCodec = require('../client/path-codec.js');
+
+function encodePathList(paths) {
+    return Buffer.from(PathCodec.encodePaths(paths)).toString('base64');
+}
+
+function decodePathList(data) {
+    return PathCodec.decodePaths(Buffer.from(data, 'base64'));
+}
+
+// Turn a room state into the document that is saved
+function serializeRoom(roomState) {
+    const history = {};
+    Object.entries(roomState.history || {}).forEach(([userId, stacks]) => {
+        history[userId] = {
+            undoStack: encodePathList(stacks.undoStack),
+            redoStack: encodePathList(stacks.redoStack)
+        };
+    });
+    
+    return JSON.stringify({
+        ...roomState,
+        pathFormat: PathCodec.FORMAT_VERSION,
+        paths: encodePathList(roomState.paths),
+        history
+    });
+}
+
+// Read a saved document back into a room state
+function deserializeRoom(data) {
+    const { pathFormat, ...roomState } = JSON.parse(data);
+    
+    // Rooms saved before the binary format store their paths as plain JSON
+    if (!pathFormat) {
+        return roomState;
+    }
+    
+    roomState.paths = decodePathList(roomState.paths);
+    Object.values(roomState.history || {}).forEach(stacks => {
+        stacks.undoStack = decodePathList(stacks.undoStack);
+        stacks.redoStack = decodePathList(stacks.redoStack);
+    });
+    return roomState;
+}
+
+// Stores each room as a JSON file in a directory
+class FileStorage {
+    constructor(directory) {
+        this.directory = directory;
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+    
+    // Map a room ID to a safe file name
+    getRoomFile(roomId) {
+        return path.join(this.directory, `${encodeURIComponent(roomId)}.json`);
+    }
+    
+    async loadRoom(roomId) {
+        try {
+            const data = await fs.promises.readFile(this.getRoomFile(roomId), 'utf8');
+            return deserializeRoom(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+    
+    async saveRoom(roomId, roomState) {
+        // Write to a temporary file first so a crash never leaves a half-written room
+        const file = this.getRoomFile(roomId);
+        const tempFile = `${file}.tmp`;
+        await fs.promises.writeFile(tempFile, serializeRoom(roomState));
+        await fs.promises.rename(tempFile, file);
+    }
+    
+    async deleteRoom(roomId) {
+        try {
+            await fs.promises.unlink(this.getRoomFile(roomId));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+    
+    async close() {}
+    
+    // Secrets are kept in dot files, which no room ID maps to
+    getSecret(name) {
+        const file = path.join(this.directory, `.${name}-secret`);
+        try {
+            fs.writeFileSync(file, crypto.randomBytes(32).toString('hex'), { flag: 'wx', mode: 0o600 });
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+        return fs.readFileSync(file, 'utf8').trim();
+    }
+}
+
+// Stores each room as a row in an embedded SQLite database
+class SqliteStorage {
+    constructor(file) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('SQLite storage requires the "better-sqlite3" package (npm install better-sqlite3)');
+        }
+        
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS rooms (
+                room_id TEXT PRIMARY KEY,
+                state TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            )
+        `);
+        
+        this.selectRoom = this.db.prepare('SELECT state FROM rooms WHERE room_id = ?');
+        this.upsertRoom = this.db.prepare(`
+            INSERT INTO rooms (room_id, state, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT(room_id) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+        `);
+        this.removeRoom = this.db.prepare('DELETE FROM rooms WHERE room_id = ?');
+        
+        this.db.exec('CREATE TABLE IF NOT EXISTS secrets (name TEXT PRIMARY KEY, value TEXT NOT NULL)');
+        this.insertSecret = this.db.prepare('INSERT OR IGNORE INTO secrets (name, value) VALUES (?, ?)');
+        this.selectSecret = this.db.prepare('SELECT value FROM secrets WHERE name = ?');
+    }
+    
+    async loadRoom(roomId) {
+        const row = this.selectRoom.get(roomId);
+        return row ? deserializeRoom(row.state) : null;
+    }
+    
+    async saveRoom(roomId, roomState) {
+        this.upsertRoom.run(roomId, serializeRoom(roomState), Date.now());
+    }
+    
+    async deleteRoom(roomId) {
+        this.removeRoom.run(roomId);
+    }
+    
+    async close() {
+        this.db.close();
+    }
+    
+    getSecret(name) {
+        this.insertSecret.run(name, crypto.randomBytes(32).toString('hex'));
+        return this.selectSecret.get(name).value;
+    }
+}
+
+// Create the storage backend named in the configuration
+// Returns null for the in-memory backend, which needs no storage
+function createStorage(config = {}) {
+    const backend = (config.backend || 'memory').toLowerCase();
+    
+    switch (backend) {
+        case 'memory':
+            return null;
+        case 'file':
+            return new FileStorage(config.path || path.join(process.cwd(), 'data', 'rooms'));
+        case 'sqlite':
+            return new SqliteStorage(config.path || path.join(process.cwd(), 'data', 'canvas.db'));
+        default:
+            throw new Error(`Unknown storage backend: ${config.backend}`);
+    }
+}
+
+module.exports = { FileStorage, SqliteStorage, createStorage, serializeRoom, deserializeRoom };
\ No newline at end of file
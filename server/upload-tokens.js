@@ -0,0 +1,58 @@
+// Short-lived tokens that let an HTTP request act for a socket
+//
+// Image uploads and drawing imports are plain HTTP requests, so they can't prove
+// which connection they come from by themselves, and socket IDs are no secret. A client first
+// asks for a token over its socket with 'request-upload-token', then sends it
+// in the X-Upload-Token header. Tokens are random, work once and expire after
+// a minute; the server then checks the permissions of the socket the token
+// was issued to, which has to be still connected.
+const crypto = require('crypto');
+
+class UploadTokens {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || 60 * 1000;
+        this.tokens = new Map(); // token -> { socketId, expiresAt }
+    }
+    
+    // Issue a token for a socket; returns { token, expiresAt }
+    issue(socketId, now = Date.now()) {
+        this.prune(now);
+        
+        const token = crypto.randomBytes(24).toString('base64url');
+        const expiresAt = now + this.ttlMs;
+        this.tokens.set(token, { socketId, expiresAt });
+        return { token, expiresAt };
+    }
+    
+    // Use up a token
+    // Returns the ID of the socket it was issued to, or null if it is unknown or expired
+    redeem(token, now = Date.now()) {
+        const entry = typeof token === 'string' ? this.tokens.get(token) : null;
+        if (!entry) {
+            return null;
+        }
+        
+        this.tokens.delete(token);
+        return entry.expiresAt > now ? entry.socketId : null;
+    }
+    
+    // Forget the tokens of a socket that disconnected
+    revokeSocket(socketId) {
+        this.tokens.forEach((entry, token) => {
+            if (entry.socketId === socketId) {
+                this.tokens.delete(token);
+            }
+        });
+    }
+    
+    // Forget expired tokens
+    prune(now = Date.now()) {
+        this.tokens.forEach((entry, token) => {
+            if (entry.expiresAt <= now) {
+                this.tokens.delete(token);
+            }
+        });
+    }
+}
+
+module.exports = { UploadTokens };
\ No newline at end of file
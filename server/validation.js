@@ -0,0 +1,662 @@
+// Schema validation for socket events
+//
+// Every client event is checked against its shape from ARCHITECTURE.md and
+// rebuilt from the known fields only, so nothing unexpected is stored or
+// rebroadcast. Rejected events get a 'validation-error' event back.
+
+const { INVITE_TOKEN_PATTERN } = require('./room-access.js');
+const { ASSET_ID_PATTERN } = require('./assets.js');
+const PathCodec = require('../client/path-codec.js');
+const Shapes = require('../client/shapes.js');
+
+const LIMITS = {
+    maxPoints: 5000,
+    maxVertices: Shapes.MAX_VERTICES,
+    maxBatchPoints: 500,
+    maxCoordinate: 1000000,
+    minStrokeWidth: 1,
+    maxStrokeWidth: 100,
+    maxRotation: 2 * Math.PI,
+    maxRoomIdLength: 64,
+    maxPasswordLength: 128,
+    maxInviteTokenLength: 512,
+    maxLayerNameLength: 50,
+    maxLayers: 50,
+    maxTextLength: 2000,
+    maxDisplayNameLength: 32,
+    maxAvatarLength: 32768, // About 24 KB of image data
+    maxMessageLength: 1000,
+    maxMentions: 20,
+    minFontSize: 4,
+    maxFontSize: 1000
+};
+
+const BRUSH_TOOLS = ['brush', 'eraser'];
+const FONT_FAMILIES = ['sans-serif', 'serif', 'monospace', 'cursive'];
+const CURSOR_TOOLS = ['select', ...BRUSH_TOOLS, ...Shapes.SHAPE_TOOLS, 'text']; // Tools a cursor can show
+
+const ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+const ROOM_ID_PATTERN = /^[^\x00-\x1f\x7f]+$/;
+const LAYER_NAME_PATTERN = /^[^\x00-\x1f\x7f]+$/;
+const TEXT_PATTERN = /^[^\x00-\x08\x0b-\x1f\x7f]+$/; // Tabs and newlines are allowed
+const DISPLAY_NAME_PATTERN = /^[^\s\x00-\x1f\x7f](?:[^\x00-\x1f\x7f]*[^\s\x00-\x1f\x7f])?$/; // No spaces at either end
+const AVATAR_PATTERN = /^data:image\/(?:png|jpeg|webp);base64,[A-Za-z0-9+/]+={0,2}$/;
+
+class ValidationError extends Error {
+    constructor(code, field, message) {
+        super(message);
+        this.name = 'ValidationError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+// Field checks; each returns the value or throws a ValidationError
+
+function expectObject(value, field) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new ValidationError('invalid-type', field, `${field} must be an object`);
+    }
+    return value;
+}
+
+function expectNumber(value, field, min = -LIMITS.maxCoordinate, max = LIMITS.maxCoordinate) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new ValidationError('invalid-type', field, `${field} must be a finite number`);
+    }
+    if (value < min || value > max) {
+        throw new ValidationError('out-of-range', field, `${field} must be between ${min} and ${max}`);
+    }
+    return value;
+}
+
+function expectString(value, field, pattern, maxLength) {
+    if (typeof value !== 'string') {
+        throw new ValidationError('invalid-type', field, `${field} must be a string`);
+    }
+    if (maxLength && value.length > maxLength) {
+        throw new ValidationError('too-large', field, `${field} must be at most ${maxLength} characters`);
+    }
+    if (pattern && !pattern.test(value)) {
+        throw new ValidationError('invalid-format', field, `${field} has an invalid format`);
+    }
+    return value;
+}
+
+function expectBoolean(value, field) {
+    if (typeof value !== 'boolean') {
+        throw new ValidationError('invalid-type', field, `${field} must be true or false`);
+    }
+    return value;
+}
+
+function expectId(value, field) {
+    return expectString(value, field, ID_PATTERN);
+}
+
+function expectColor(value, field) {
+    return expectString(value, field, COLOR_PATTERN);
+}
+
+function expectOneOf(value, field, allowed) {
+    if (!allowed.includes(value)) {
+        throw new ValidationError('invalid-value', field, `${field} must be one of: ${allowed.join(', ')}`);
+    }
+    return value;
+}
+
+function expectStrokeWidth(value, field) {
+    return expectNumber(value, field, LIMITS.minStrokeWidth, LIMITS.maxStrokeWidth);
+}
+
+function expectTimestamp(value, field) {
+    return expectNumber(value, field, 0, Number.MAX_SAFE_INTEGER);
+}
+
+// Room IDs are optional; the server falls back to the default room
+function validateRoomId(roomId) {
+    if (roomId === undefined || roomId === null || roomId === '') {
+        return roomId;
+    }
+    return expectString(roomId, 'roomId', ROOM_ID_PATTERN, LIMITS.maxRoomIdLength);
+}
+
+// A user's display name, colour and avatar (a small image data URL); every
+// field is optional, and a null avatar removes it
+function validateProfile(data) {
+    expectObject(data, 'profile');
+    
+    const profile = {};
+    if (data.name !== undefined) {
+        profile.name = expectString(data.name, 'name', DISPLAY_NAME_PATTERN, LIMITS.maxDisplayNameLength);
+    }
+    if (data.color !== undefined) {
+        profile.color = expectColor(data.color, 'color');
+    }
+    if (data.avatar !== undefined) {
+        profile.avatar = data.avatar === null ? null : expectString(data.avatar, 'avatar', AVATAR_PATTERN, LIMITS.maxAvatarLength);
+    }
+    return profile;
+}
+
+// Join a room by ID, or with { roomId, password, inviteToken, profile } for
+// protected rooms and users who chose a name, colour or avatar
+function validateJoinRoom(data) {
+    if (data === null || typeof data !== 'object') {
+        return { roomId: validateRoomId(data) };
+    }
+    
+    const join = { roomId: validateRoomId(data.roomId) };
+    if (data.password !== undefined) {
+        join.password = expectString(data.password, 'password', null, LIMITS.maxPasswordLength);
+    }
+    if (data.inviteToken !== undefined) {
+        join.inviteToken = expectString(data.inviteToken, 'inviteToken', INVITE_TOKEN_PATTERN, LIMITS.maxInviteTokenLength);
+    }
+    if (data.profile !== undefined) {
+        join.profile = validateProfile(data.profile);
+    }
+    return join;
+}
+
+// Create a room with an optional password; without one it is invite-only
+function validateCreateRoom(data) {
+    expectObject(data, 'data');
+    
+    const room = { roomId: expectString(data.roomId, 'roomId', ROOM_ID_PATTERN, LIMITS.maxRoomIdLength) };
+    if (data.password !== undefined && data.password !== '') {
+        room.password = expectString(data.password, 'password', null, LIMITS.maxPasswordLength);
+    }
+    return room;
+}
+
+// A brush or eraser point, with pen pressure between 0 and 1 if there is any
+function validatePoint(point, field) {
+    expectObject(point, field);
+    const validPoint = {
+        x: expectNumber(point.x, `${field}.x`),
+        y: expectNumber(point.y, `${field}.y`),
+        tool: expectOneOf(point.tool, `${field}.tool`, BRUSH_TOOLS),
+        color: expectColor(point.color, `${field}.color`),
+        strokeWidth: expectStrokeWidth(point.strokeWidth, `${field}.strokeWidth`)
+    };
+    if (point.pressure !== undefined) {
+        validPoint.pressure = expectNumber(point.pressure, `${field}.pressure`, 0, 1);
+    }
+    return validPoint;
+}
+
+// A finished path: either a brush/eraser stroke with points, a shape, a text object or an image
+function validatePath(pathData) {
+    expectObject(pathData, 'path');
+    
+    const path = {
+        id: expectId(pathData.id, 'id')
+    };
+    
+    if (pathData.timestamp !== undefined) {
+        path.timestamp = expectTimestamp(pathData.timestamp, 'timestamp');
+    }
+    if (pathData.layerId !== undefined) {
+        path.layerId = expectId(pathData.layerId, 'layerId');
+    }
+    
+    if (pathData.points !== undefined) {
+        if (!Array.isArray(pathData.points) || pathData.points.length === 0) {
+            throw new ValidationError('invalid-type', 'points', 'points must be a non-empty array');
+        }
+        if (pathData.points.length > LIMITS.maxPoints) {
+            throw new ValidationError('too-large', 'points', `points must have at most ${LIMITS.maxPoints} entries`);
+        }
+        path.points = pathData.points.map((point, i) => validatePoint(point, `points[${i}]`));
+        return path;
+    }
+    
+    if (pathData.tool === 'text') {
+        return validateText(pathData, path);
+    }
+    if (pathData.tool === 'image') {
+        return validateImage(pathData, path);
+    }
+    return validateShape(pathData, path);
+}
+
+// A shape (see client/shapes.js): its outline colour and width, with an
+// optional fill for closed shapes, dash style and opacity, then its geometry
+function validateShape(pathData, path) {
+    path.tool = expectOneOf(pathData.tool, 'tool', Shapes.SHAPE_TOOLS);
+    path.color = expectColor(pathData.color, 'color');
+    path.strokeWidth = expectStrokeWidth(pathData.strokeWidth, 'strokeWidth');
+    
+    if (pathData.fill !== undefined && Shapes.isClosedShape(path)) {
+        path.fill = expectColor(pathData.fill, 'fill');
+    }
+    if (pathData.dash !== undefined) {
+        path.dash = expectOneOf(pathData.dash, 'dash', Shapes.DASH_STYLES);
+    }
+    if (pathData.opacity !== undefined) {
+        path.opacity = expectNumber(pathData.opacity, 'opacity', 0, 1);
+    }
+    
+    // Polylines and polygons are made of their vertices
+    if (Shapes.VERTEX_TOOLS.includes(path.tool)) {
+        const minVertices = path.tool === 'polygon' ? Shapes.MIN_POLYGON_VERTICES : Shapes.MIN_POLYLINE_VERTICES;
+        if (!Array.isArray(pathData.vertices) || pathData.vertices.length < minVertices) {
+            throw new ValidationError('invalid-type', 'vertices', `vertices must be an array of at least ${minVertices} points`);
+        }
+        if (pathData.vertices.length > LIMITS.maxVertices) {
+            throw new ValidationError('too-large', 'vertices', `vertices must have at most ${LIMITS.maxVertices} entries`);
+        }
+        path.vertices = pathData.vertices.map((vertex, i) => {
+            expectObject(vertex, `vertices[${i}]`);
+            return {
+                x: expectNumber(vertex.x, `vertices[${i}].x`),
+                y: expectNumber(vertex.y, `vertices[${i}].y`)
+            };
+        });
+        return path;
+    }
+    
+    path.startX = expectNumber(pathData.startX, 'startX');
+    path.startY = expectNumber(pathData.startY, 'startY');
+    path.endX = expectNumber(pathData.endX, 'endX');
+    path.endY = expectNumber(pathData.endY, 'endY');
+    
+    // Rectangles, ellipses, triangles and stars can be rotated about their centre
+    if (pathData.rotation !== undefined && Shapes.isBoxShape(path)) {
+        path.rotation = expectNumber(pathData.rotation, 'rotation', -LIMITS.maxRotation, LIMITS.maxRotation);
+    }
+    
+    if (path.tool === 'rounded-rectangle') {
+        path.cornerRadius = expectNumber(pathData.cornerRadius, 'cornerRadius', 0, LIMITS.maxCoordinate);
+    } else if (path.tool === 'star') {
+        path.spikes = expectNumber(pathData.spikes, 'spikes', Shapes.MIN_STAR_SPIKES, Shapes.MAX_STAR_SPIKES);
+        if (!Number.isInteger(path.spikes)) {
+            throw new ValidationError('invalid-value', 'spikes', 'spikes must be a whole number');
+        }
+    } else if (path.tool === 'arrow') {
+        ['startHead', 'endHead'].forEach(key => {
+            if (pathData[key] !== undefined) {
+                path[key] = expectOneOf(pathData[key], key, Shapes.ARROW_HEADS);
+            }
+        });
+    }
+    return path;
+}
+
+// A text object: its lines, font and colour, in a box it is stretched to fill,
+// rotated about the box's centre
+function validateText(pathData, path) {
+    path.tool = 'text';
+    path.text = expectString(pathData.text, 'text', TEXT_PATTERN, LIMITS.maxTextLength);
+    if (!path.text.trim()) {
+        throw new ValidationError('invalid-value', 'text', 'text must not be blank');
+    }
+    path.fontFamily = expectOneOf(pathData.fontFamily, 'fontFamily', FONT_FAMILIES);
+    path.fontSize = expectNumber(pathData.fontSize, 'fontSize', LIMITS.minFontSize, LIMITS.maxFontSize);
+    path.color = expectColor(pathData.color, 'color');
+    path.startX = expectNumber(pathData.startX, 'startX');
+    path.startY = expectNumber(pathData.startY, 'startY');
+    path.endX = expectNumber(pathData.endX, 'endX');
+    path.endY = expectNumber(pathData.endY, 'endY');
+    
+    if (pathData.rotation !== undefined) {
+        path.rotation = expectNumber(pathData.rotation, 'rotation', -LIMITS.maxRotation, LIMITS.maxRotation);
+    }
+    return path;
+}
+
+// An uploaded image (see assets.js), referenced by its asset ID and stretched
+// to fill its box, rotated about the box's centre
+function validateImage(pathData, path) {
+    path.tool = 'image';
+    path.assetId = expectString(pathData.assetId, 'assetId', ASSET_ID_PATTERN);
+    path.startX = expectNumber(pathData.startX, 'startX');
+    path.startY = expectNumber(pathData.startY, 'startY');
+    path.endX = expectNumber(pathData.endX, 'endX');
+    path.endY = expectNumber(pathData.endY, 'endY');
+    
+    if (pathData.rotation !== undefined) {
+        path.rotation = expectNumber(pathData.rotation, 'rotation', -LIMITS.maxRotation, LIMITS.maxRotation);
+    }
+    return path;
+}
+
+// { pathId, path } for a moved, resized, rotated or retyped path, or { pathId, deleted: true }
+function validatePathUpdate(data) {
+    expectObject(data, 'data');
+    const pathId = expectId(data.pathId, 'pathId');
+    
+    if (data.deleted === true) {
+        return { pathId, deleted: true };
+    }
+    
+    const path = validatePath(data.path);
+    if (path.id !== pathId) {
+        throw new ValidationError('invalid-value', 'path.id', 'path.id must match pathId');
+    }
+    return { pathId, path };
+}
+
+// { id, point, layerId } starting a live stroke; the layer is optional
+function validateStrokeBegin(data) {
+    expectObject(data, 'data');
+    const begin = {
+        id: expectId(data.id, 'id'),
+        point: validatePoint(data.point, 'point')
+    };
+    if (data.layerId !== undefined) {
+        begin.layerId = expectId(data.layerId, 'layerId');
+    }
+    return begin;
+}
+
+// { id, points } adding a batch of points to a live stroke
+function validateStrokeAppend(data) {
+    expectObject(data, 'data');
+    if (!Array.isArray(data.points) || data.points.length === 0) {
+        throw new ValidationError('invalid-type', 'points', 'points must be a non-empty array');
+    }
+    if (data.points.length > LIMITS.maxBatchPoints) {
+        throw new ValidationError('too-large', 'points', `points must have at most ${LIMITS.maxBatchPoints} entries`);
+    }
+    return {
+        id: expectId(data.id, 'id'),
+        points: data.points.map((point, i) => validatePoint(point, `points[${i}]`))
+    };
+}
+
+// { id, points } ending a live stroke; the optional points replace the streamed ones
+function validateStrokeEnd(data) {
+    expectObject(data, 'data');
+    const end = { id: expectId(data.id, 'id') };
+    
+    if (data.points !== undefined) {
+        if (!Array.isArray(data.points) || data.points.length === 0) {
+            throw new ValidationError('invalid-type', 'points', 'points must be a non-empty array');
+        }
+        if (data.points.length > LIMITS.maxPoints) {
+            throw new ValidationError('too-large', 'points', `points must have at most ${LIMITS.maxPoints} entries`);
+        }
+        end.points = data.points.map((point, i) => validatePoint(point, `points[${i}]`));
+    }
+    return end;
+}
+
+// { id } cancelling a live stroke
+function validateStrokeReference(data) {
+    expectObject(data, 'data');
+    return { id: expectId(data.id, 'id') };
+}
+
+// { pathId } for undo and redo; the path ID is optional
+function validatePathReference(data) {
+    if (data === undefined || data === null) {
+        return {};
+    }
+    expectObject(data, 'data');
+    return data.pathId === undefined ? {} : { pathId: expectId(data.pathId, 'pathId') };
+}
+
+function expectLayerName(value, field) {
+    return expectString(value, field, LAYER_NAME_PATTERN, LIMITS.maxLayerNameLength);
+}
+
+// { id, name } for a new layer; it starts visible, unlocked and opaque
+function validateLayerCreate(data) {
+    expectObject(data, 'data');
+    return {
+        id: expectId(data.id, 'id'),
+        name: expectLayerName(data.name, 'name')
+    };
+}
+
+// { layerId, name, visible, locked, opacity } with at least one of the changes
+function validateLayerUpdate(data) {
+    expectObject(data, 'data');
+    const update = { layerId: expectId(data.layerId, 'layerId') };
+    
+    if (data.name !== undefined) {
+        update.name = expectLayerName(data.name, 'name');
+    }
+    if (data.visible !== undefined) {
+        update.visible = expectBoolean(data.visible, 'visible');
+    }
+    if (data.locked !== undefined) {
+        update.locked = expectBoolean(data.locked, 'locked');
+    }
+    if (data.opacity !== undefined) {
+        update.opacity = expectNumber(data.opacity, 'opacity', 0, 1);
+    }
+    if (Object.keys(update).length === 1) {
+        throw new ValidationError('invalid-value', 'data', 'A layer update needs name, visible, locked or opacity');
+    }
+    return update;
+}
+
+// { layerId, index } moving a layer; index 0 is the bottom
+function validateLayerMove(data) {
+    expectObject(data, 'data');
+    const index = expectNumber(data.index, 'index', 0, LIMITS.maxLayers - 1);
+    if (!Number.isInteger(index)) {
+        throw new ValidationError('invalid-type', 'index', 'index must be an integer');
+    }
+    return { layerId: expectId(data.layerId, 'layerId'), index };
+}
+
+function validateNoData(data) {
+    if (data !== undefined && data !== null) {
+        throw new ValidationError('invalid-type', 'data', 'This event takes no data');
+    }
+    return undefined;
+}
+
+// A pointer position, with the tool and stroke width the user has picked
+function validateCursor(data) {
+    expectObject(data, 'cursor');
+    const cursor = {
+        x: expectNumber(data.x, 'x'),
+        y: expectNumber(data.y, 'y')
+    };
+    if (data.color !== undefined) {
+        cursor.color = expectColor(data.color, 'color');
+    }
+    if (data.tool !== undefined) {
+        cursor.tool = expectOneOf(data.tool, 'tool', CURSOR_TOOLS);
+    }
+    if (data.strokeWidth !== undefined) {
+        cursor.strokeWidth = expectStrokeWidth(data.strokeWidth, 'strokeWidth');
+    }
+    return cursor;
+}
+
+// Message text and the users it @mentions, for chat messages and comments;
+// adds them to message
+function validateMessage(data, message = {}) {
+    message.text = expectString(data.text, 'text', TEXT_PATTERN, LIMITS.maxMessageLength);
+    if (!message.text.trim()) {
+        throw new ValidationError('invalid-value', 'text', 'text must not be blank');
+    }
+    
+    message.mentions = [];
+    if (data.mentions !== undefined) {
+        if (!Array.isArray(data.mentions)) {
+            throw new ValidationError('invalid-type', 'mentions', 'mentions must be an array of user IDs');
+        }
+        if (data.mentions.length > LIMITS.maxMentions) {
+            throw new ValidationError('too-large', 'mentions', `mentions must have at most ${LIMITS.maxMentions} entries`);
+        }
+        message.mentions = [...new Set(data.mentions.map((userId, i) => expectId(userId, `mentions[${i}]`)))];
+    }
+    return message;
+}
+
+// { text, mentions } for the room's chat
+function validateChatMessage(data) {
+    expectObject(data, 'data');
+    return validateMessage(data);
+}
+
+// { x, y, pathId, text, mentions } starting a comment thread at a point, or on
+// a path if pathId is given
+function validateCommentCreate(data) {
+    expectObject(data, 'data');
+    const comment = {
+        x: expectNumber(data.x, 'x'),
+        y: expectNumber(data.y, 'y')
+    };
+    if (data.pathId !== undefined) {
+        comment.pathId = expectId(data.pathId, 'pathId');
+    }
+    return validateMessage(data, comment);
+}
+
+// { commentId, text, mentions } replying to a comment thread
+function validateCommentReply(data) {
+    expectObject(data, 'data');
+    return validateMessage(data, { commentId: expectId(data.commentId, 'commentId') });
+}
+
+// { commentId, resolved } resolving or reopening a comment thread
+function validateCommentResolve(data) {
+    expectObject(data, 'data');
+    return {
+        commentId: expectId(data.commentId, 'commentId'),
+        resolved: expectBoolean(data.resolved, 'resolved')
+    };
+}
+
+// { userId } for owner actions on another user
+function validateUserReference(data) {
+    expectObject(data, 'data');
+    return { userId: expectId(data.userId, 'userId') };
+}
+
+function validateLatencyTest(data) {
+    expectObject(data, 'data');
+    return { startTime: expectTimestamp(data.startTime, 'startTime') };
+}
+
+// Decode binary path data (see client/path-codec.js) so it is checked like JSON
+function decodeWireData(event, data) {
+    try {
+        return PathCodec.decodeEvent(event, data);
+    } catch (error) {
+        throw new ValidationError('invalid-format', 'data', `Invalid binary path data: ${error.message}`);
+    }
+}
+
+// Schema for every client event
+const SCHEMAS = {
+    'join-room': validateJoinRoom,
+    'create-room': validateCreateRoom,
+    'create-invite': validateNoData,
+    'request-upload-token': validateNoData,
+    'leave-room': validateRoomId,
+    'draw-path': validatePath,
+    'stroke-begin': validateStrokeBegin,
+    'stroke-append': validateStrokeAppend,
+    'stroke-end': validateStrokeEnd,
+    'stroke-cancel': validateStrokeReference,
+    'undo-path': validatePathReference,
+    'redo-path': validatePathReference,
+    'path-updated': validatePathUpdate,
+    'clear-canvas': validateNoData,
+    'layer-created': validateLayerCreate,
+    'layer-updated': validateLayerUpdate,
+    'layer-moved': validateLayerMove,
+    'cursor-move': validateCursor,
+    'promote-user': validateUserReference,
+    'demote-user': validateUserReference,
+    'kick-user': validateUserReference,
+    'update-profile': validateProfile,
+    'chat-message': validateChatMessage,
+    'comment-create': validateCommentCreate,
+    'comment-reply': validateCommentReply,
+    'comment-resolve': validateCommentResolve,
+    'latency-test': validateLatencyTest
+};
+
+// Validates events and counts the ones it rejects
+class EventValidator {
+    constructor() {
+        this.stats = {
+            rejected: 0,
+            byEvent: {},
+            byCode: {}
+        };
+    }
+    
+    // Returns { value, opId } with the sanitized payload and operation ID, or { error }
+    validate(event, data, opId) {
+        const schema = SCHEMAS[event];
+        if (!schema) {
+            return { value: data };
+        }
+        
+        try {
+            const value = schema(decodeWireData(event, data));
+            return { value, opId: opId === undefined ? undefined : expectId(opId, 'opId') };
+        } catch (error) {
+            if (!(error instanceof ValidationError)) {
+                throw error;
+            }
+            
+            this.stats.rejected++;
+            this.stats.byEvent[event] = (this.stats.byEvent[event] || 0) + 1;
+            this.stats.byCode[error.code] = (this.stats.byCode[error.code] || 0) + 1;
+            
+            return {
+                error: {
+                    event,
+                    code: error.code,
+                    field: error.field,
+                    message: error.message
+                }
+            };
+        }
+    }
+    
+    // Wrap a socket handler so it only runs with a valid, sanitized payload
+    // Events sent with an acknowledgement callback are answered once handled:
+    // with { error } if the payload was rejected or the handler failed, or with
+    // what the handler returned ({} if nothing). Changes from the outbox carry
+    // an operation ID after the payload, which is passed on to the handler
+    guard(socket, event, handler) {
+        return (data, ...args) => {
+            const ack = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+            const result = this.validate(event, data, args[0]);
+            if (result.error) {
+                socket.emit('validation-error', result.error);
+                if (typeof ack === 'function') {
+                    ack({ error: result.error });
+                }
+                return;
+            }
+            
+            // Handlers run straight away; a throw or a rejected promise is logged
+            // and answered, so the sender isn't left waiting for the ack
+            const outcome = new Promise(resolve => resolve(handler(result.value, result.opId)))
+                .catch(error => {
+                    console.error(`[EventValidator] Failed to handle ${event} from ${socket.id}:`, error);
+                    return { error: { code: 'server-error', message: 'The server could not handle this event' } };
+                });
+            if (typeof ack === 'function') {
+                outcome.then(value => ack(value || {}));
+            }
+            return outcome;
+        };
+    }
+    
+    // Get rejection counters
+    getStats() {
+        return {
+            rejected: this.stats.rejected,
+            byEvent: { ...this.stats.byEvent },
+            byCode: { ...this.stats.byCode }
+        };
+    }
+}
+
+module.exports = { EventValidator, ValidationError, LIMITS, validatePath };
\ No newline at end of file
@@ -0,0 +1,69 @@
+// Sends path data to each client in the format it understands
+//
+// Clients that decode the binary path format (client/path-codec.js) announce
+// its version in their handshake as auth.pathFormat. Everyone else, such as
+// clients from before the binary format, gets plain JSON.
+const PathCodec = require('../client/path-codec.js');
+
+class WireFormat {
+    constructor(io) {
+        this.io = io;
+        this.stats = {
+            binary: 0,
+            json: 0
+        };
+    }
+    
+    // Check whether a socket decodes binary path data
+    isBinaryClient(socket) {
+        const auth = socket.handshake.auth || {};
+        return auth.pathFormat === PathCodec.FORMAT_VERSION;
+    }
+    
+    // Send an event to one socket
+    emit(socket, event, data) {
+        if (this.isBinaryClient(socket)) {
+            this.stats.binary++;
+            socket.emit(event, PathCodec.encodeEvent(event, data));
+        } else {
+            this.stats.json++;
+            socket.emit(event, data);
+        }
+    }
+    
+    // Send an event to everyone in a room, except the sender if one is given
+    broadcast(roomId, event, data, sender = null) {
+        const jsonClients = [];
+        let binaryClients = 0;
+        
+        (this.io.sockets.adapter.rooms.get(roomId) || new Set()).forEach(socketId => {
+            const member = this.io.sockets.sockets.get(socketId);
+            if (!member || (sender && socketId === sender.id)) return;
+            
+            if (this.isBinaryClient(member)) {
+                binaryClients++;
+            } else {
+                jsonClients.push(socketId);
+            }
+        });
+        
+        if (jsonClients.length > 0) {
+            this.stats.json += jsonClients.length;
+            this.io.to(jsonClients).emit(event, data);
+        }
+        
+        if (binaryClients > 0) {
+            // Encode once for every binary client
+            this.stats.binary += binaryClients;
+            const target = sender ? sender.to(roomId) : this.io.to(roomId);
+            target.except(jsonClients).emit(event, PathCodec.encodeEvent(event, data));
+        }
+    }
+    
+    // Get how many messages went out in each format
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+module.exports = { WireFormat };
\ No newline at end of file